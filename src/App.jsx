@@ -142,24 +142,17 @@ function App() {
     }
   }, [preprocessTreeData]);
   
-  // 优化handleCheck函数，使用节点映射提高效率
+  // 树组件使用SHOW_USER策略，keys和checkedNodes中只包含人员节点
   const handleCheck = useCallback((keys, info) => {
     // 使用批处理模式，避免频繁更新状态
     const batchUpdate = () => {
       setCheckedKeys(keys);
-      
-      // 使用Map快速查找节点
-      const checkedUserNodes = Array.from(keys)
-        .filter(key => nodeRelationsRef.current.userNodes.has(key))
-        .map(key => nodeMap.get(key))
-        .filter(Boolean);
-      
-      setCheckedNodes(checkedUserNodes);
+      setCheckedNodes(info.checkedNodes || []);
     };
     
     // 使用requestAnimationFrame确保UI流畅
     requestAnimationFrame(batchUpdate);
-  }, [nodeMap]);
+  }, []);
   
   // 优化获取子节点函数，使用缓存提高效率
   const getChildrenKeys = useCallback((nodeId) => {
@@ -232,7 +225,7 @@ function App() {
     if (window.Worker && checkedNodes.length > 50) {
       try {
         // 创建临时Worker处理批量操作
-        const invitationWorker = new Worker('/workers/batchWorker.js');
+        const invitationWorker = new Worker(new URL('./workers/batchWorker.js', import.meta.url));
         
         invitationWorker.onmessage = (e) => {
           const { type, displayNodes, totalCount, hasMore } = e.data;
@@ -395,7 +388,7 @@ function App() {
     if (window.Worker) {
       try {
         // 创建临时Worker处理批量操作
-        const batchWorker = new Worker('/workers/batchWorker.js');
+        const batchWorker = new Worker(new URL('./workers/batchWorker.js', import.meta.url));
         
         batchWorker.onmessage = (e) => {
           const { type, allKeys, userKeys, userNodes, processed, total } = e.data;
@@ -516,7 +509,7 @@ function App() {
     if (window.Worker) {
       try {
         // 创建临时Worker处理批量操作
-        const batchWorker = new Worker('/workers/batchWorker.js');
+        const batchWorker = new Worker(new URL('./workers/batchWorker.js', import.meta.url));
         
         batchWorker.onmessage = (e) => {
           const { type, userKeys, userNodes, processed, total } = e.data;
@@ -717,6 +710,8 @@ function App() {
                     performanceMode={useWorker}
                     showSearch={true}
                     searchPlaceholder="搜索部门或人员..."
+                    searchHistory={true}
+                    showFilter={true}
                     emptyText="暂无数据"
                     loadingText="加载中..."
                     showIcon={true}
@@ -725,6 +720,7 @@ function App() {
                     defaultExpandAll={false}
                     onVisibleNodesChange={handleVisibleNodesChange}
                     checkedKeys={checkedKeys}
+                    showCheckedStrategy={VirtualAntTree.SHOW_USER}
                   />
                 </ErrorBoundary>
                 
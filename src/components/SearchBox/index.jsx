@@ -1,28 +1,115 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Input, Badge } from 'antd';
-import { SearchOutlined, CloseCircleFilled } from '@ant-design/icons';
+import { Input, Badge, Button } from 'antd';
+import {
+  SearchOutlined,
+  CloseCircleFilled,
+  UpOutlined,
+  DownOutlined,
+  StarOutlined,
+  StarFilled,
+  HistoryOutlined,
+  CloseOutlined
+} from '@ant-design/icons';
+import {
+  DEFAULT_MAX_HISTORY,
+  localStorageAdapter,
+  loadSearchHistory,
+  saveSearchHistory,
+  addRecentSearch
+} from './searchHistory';
 import './styles.scss';
 
 /**
  * 搜索框组件
- * 支持实时搜索和防抖处理
+ * 支持实时搜索和防抖处理，提供onNavigate时可在匹配项之间跳转（Enter下一个，Shift+Enter上一个）
+ * 开启showHistory后，输入框为空并获得焦点时显示最近搜索和保存的搜索，选择条目立即执行搜索
+ * 按Enter、选择条目或搜索后离开输入框时记入最近搜索，输入过程中的中间结果不记录
  * @param {Object} props 组件属性
  * @param {string} props.placeholder 占位文本
  * @param {Function} props.onSearch 搜索回调
  * @param {Function} props.onClear 清除回调
  * @param {number} props.debounceTime 防抖时间(毫秒)
  * @param {number} props.matchCount 匹配数量
+ * @param {number} props.activeMatchIndex 当前定位的匹配项序号，从0开始，-1表示尚未定位
+ * @param {Function} props.onNavigate 匹配项导航回调，参数为1(下一个)或-1(上一个)
+ * @param {boolean} props.showHistory 是否启用搜索历史和保存的搜索
+ * @param {Object} props.historyStorage 存储适配器，需实现getItem/setItem，默认使用localStorage
+ * @param {string} props.historyKey 搜索历史的存储键，多个搜索框需要分开保存时使用不同的键
+ * @param {number} props.maxHistory 最多保留的最近搜索条数
  */
 const SearchBox = ({
   placeholder = '搜索...',
   onSearch,
   onClear,
   debounceTime = 300,
-  matchCount = 0
+  matchCount = 0,
+  activeMatchIndex = -1,
+  onNavigate,
+  showHistory = false,
+  historyStorage = localStorageAdapter,
+  historyKey = 'search-box-history',
+  maxHistory = DEFAULT_MAX_HISTORY
 }) => {
   const [value, setValue] = useState('');
   const [focused, setFocused] = useState(false);
+  // 最近搜索和保存的搜索
+  const [history, setHistory] = useState({ recent: [], saved: [] });
+  const historyRef = useRef(history);
   const timerRef = useRef(null);
+  
+  // 读取搜索历史，存储或存储键变化时重新读取
+  useEffect(() => {
+    if (!showHistory) return;
+    
+    let cancelled = false;
+    loadSearchHistory(historyStorage, historyKey).then(loaded => {
+      if (cancelled) return;
+      historyRef.current = loaded;
+      setHistory(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [showHistory, historyStorage, historyKey]);
+  
+  // 修改搜索历史并写入存储
+  const updateHistory = useCallback((updater) => {
+    const next = updater(historyRef.current);
+    if (next === historyRef.current) return;
+    
+    historyRef.current = next;
+    setHistory(next);
+    saveSearchHistory(historyStorage, historyKey, next);
+  }, [historyStorage, historyKey]);
+  
+  // 记入最近搜索
+  const recordSearch = useCallback((term) => {
+    if (!showHistory || !term.trim()) return;
+    updateHistory(prev => {
+      const recent = addRecentSearch(prev.recent, term, maxHistory);
+      return recent === prev.recent ? prev : { ...prev, recent };
+    });
+  }, [showHistory, maxHistory, updateHistory]);
+  
+  // 保存或取消保存搜索
+  const toggleSaved = useCallback((term) => {
+    const trimmed = term.trim();
+    if (!trimmed) return;
+    updateHistory(prev => ({
+      ...prev,
+      saved: prev.saved.includes(trimmed) ? prev.saved.filter(item => item !== trimmed) : [trimmed, ...prev.saved]
+    }));
+  }, [updateHistory]);
+  
+  // 删除一条最近搜索
+  const removeRecent = useCallback((term) => {
+    updateHistory(prev => ({ ...prev, recent: prev.recent.filter(item => item !== term) }));
+  }, [updateHistory]);
+  
+  // 清除最近搜索，保存的搜索不受影响
+  const clearRecent = useCallback(() => {
+    updateHistory(prev => (prev.recent.length > 0 ? { ...prev, recent: [] } : prev));
+  }, [updateHistory]);
 
   // 清除定时器
   const clearTimer = () => {
@@ -33,7 +120,7 @@ const SearchBox = ({
   };
 
   // 处理搜索，支持防抖
-  const handleSearch = useCallback((val, immediate = false) => {
+  const handleSearch = useCallback((val) => {
     // 清除之前的定时器
     clearTimer();
 
@@ -47,18 +134,12 @@ const SearchBox = ({
     // 更新输入值
     setValue(val);
 
-    // 即时模式立即执行一次快速搜索
-    if (onSearch && val.trim()) {
-      // 即时模式搜索
-      onSearch(val, 'immediate');
-
-      // 如果不是立即执行模式，设置防抖定时器
-      if (!immediate) {
-        timerRef.current = setTimeout(() => {
-          // 完整模式搜索
-          onSearch(val, 'complete');
-        }, debounceTime);
-      }
+    // 停止输入后执行一次完整搜索
+    if (onSearch) {
+      timerRef.current = setTimeout(() => {
+        timerRef.current = null;
+        onSearch(val);
+      }, debounceTime);
     }
   }, [onSearch, onClear, debounceTime]);
 
@@ -74,12 +155,31 @@ const SearchBox = ({
     handleSearch(newValue);
   };
 
+  // 选择历史条目，立即执行搜索
+  const handleHistorySelect = (term) => {
+    clearTimer();
+    setValue(term);
+    onSearch && onSearch(term);
+    recordSearch(term);
+  };
+
   // 处理按键事件
   const handleKeyDown = (e) => {
-    // 按下回车键立即执行搜索
-    if (e.key === 'Enter' && value.trim()) {
+    if (e.key !== 'Enter' || !value.trim()) return;
+    
+    recordSearch(value);
+    
+    // 防抖中的搜索尚未执行时，回车立即执行搜索
+    if (timerRef.current) {
       clearTimer();
-      onSearch && onSearch(value, 'complete');
+      onSearch && onSearch(value);
+      return;
+    }
+    
+    // 搜索已完成时，回车跳到下一个匹配项，Shift+回车跳到上一个
+    if (onNavigate && matchCount > 0) {
+      e.preventDefault();
+      onNavigate(e.shiftKey ? -1 : 1);
     }
   };
 
@@ -90,6 +190,10 @@ const SearchBox = ({
     };
   }, []);
 
+  // 输入框为空并获得焦点时显示历史面板
+  const historyOpen = showHistory && focused && !value &&
+    (history.recent.length > 0 || history.saved.length > 0);
+
   return (
     <div className={`search-box ${focused ? 'focused' : ''}`}>
       <Input
@@ -98,19 +202,138 @@ const SearchBox = ({
         onChange={handleChange}
         onKeyDown={handleKeyDown}
         onFocus={() => setFocused(true)}
-        onBlur={() => setFocused(false)}
+        onBlur={() => {
+          setFocused(false);
+          recordSearch(value);
+        }}
         prefix={<SearchOutlined className="search-icon" />}
         suffix={
           value ? (
-            <CloseCircleFilled
-              className="clear-icon"
-              onClick={handleClear}
-            />
+            <>
+              {showHistory && (
+                history.saved.includes(value.trim()) ? (
+                  <StarFilled
+                    className="save-icon saved"
+                    onClick={() => toggleSaved(value)}
+                    title="取消保存"
+                  />
+                ) : (
+                  <StarOutlined
+                    className="save-icon"
+                    onClick={() => toggleSaved(value)}
+                    title="保存搜索"
+                  />
+                )
+              )}
+              <CloseCircleFilled
+                className="clear-icon"
+                onClick={handleClear}
+              />
+            </>
           ) : null
         }
         allowClear
       />
-      {matchCount > 0 && (
+      {historyOpen && (
+        // 阻止mousedown使输入框失焦，保证点击条目时面板不会先关闭
+        <div className="search-history" role="listbox" onMouseDown={e => e.preventDefault()}>
+          {history.saved.length > 0 && (
+            <div className="search-history-section">
+              <div className="search-history-header">已保存</div>
+              {history.saved.map(term => (
+                <div
+                  key={term}
+                  className="search-history-item"
+                  role="option"
+                  aria-selected={false}
+                  onClick={() => handleHistorySelect(term)}
+                >
+                  <StarFilled className="search-history-icon saved" />
+                  <span className="search-history-term">{term}</span>
+                  <Button
+                    type="text"
+                    size="small"
+                    icon={<CloseOutlined />}
+                    title="取消保存"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      toggleSaved(term);
+                    }}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+          {history.recent.length > 0 && (
+            <div className="search-history-section">
+              <div className="search-history-header">
+                最近搜索
+                <Button type="link" size="small" onClick={clearRecent}>清除</Button>
+              </div>
+              {history.recent.map(term => (
+                <div
+                  key={term}
+                  className="search-history-item"
+                  role="option"
+                  aria-selected={false}
+                  onClick={() => handleHistorySelect(term)}
+                >
+                  <HistoryOutlined className="search-history-icon" />
+                  <span className="search-history-term">{term}</span>
+                  {!history.saved.includes(term) && (
+                    <Button
+                      type="text"
+                      size="small"
+                      icon={<StarOutlined />}
+                      title="保存搜索"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        toggleSaved(term);
+                      }}
+                    />
+                  )}
+                  <Button
+                    type="text"
+                    size="small"
+                    icon={<CloseOutlined />}
+                    title="删除"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      removeRecent(term);
+                    }}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      {onNavigate && value && (
+        <div className="search-nav">
+          <span className="search-nav-counter">
+            {matchCount === 0
+              ? '无匹配'
+              : activeMatchIndex < 0 ? `${matchCount} 个匹配` : `${activeMatchIndex + 1} / ${matchCount}`}
+          </span>
+          <Button
+            type="text"
+            size="small"
+            icon={<UpOutlined />}
+            disabled={matchCount === 0}
+            onClick={() => onNavigate(-1)}
+            title="上一个匹配项 (Shift+Enter)"
+          />
+          <Button
+            type="text"
+            size="small"
+            icon={<DownOutlined />}
+            disabled={matchCount === 0}
+            onClick={() => onNavigate(1)}
+            title="下一个匹配项 (Enter)"
+          />
+        </div>
+      )}
+      {!onNavigate && matchCount > 0 && (
         <Badge
           count={matchCount}
           className="match-count"
@@ -0,0 +1,98 @@
+/**
+ * 搜索历史与保存的搜索
+ * 数据通过存储适配器持久化，适配器与 window.localStorage 接口一致：getItem(key) 和 setItem(key, value)
+ * 两个方法都可以返回Promise，便于接入服务端或IndexedDB等异步存储
+ */
+
+// 默认最多保留的最近搜索条数
+export const DEFAULT_MAX_HISTORY = 10;
+
+/**
+ * 基于localStorage的存储适配器
+ * 不支持localStorage的环境（服务端渲染、隐私模式、配额已满）下读写失败不影响搜索
+ */
+export const localStorageAdapter = {
+  getItem(key) {
+    try {
+      return typeof window !== 'undefined' && window.localStorage ? window.localStorage.getItem(key) : null;
+    } catch {
+      return null;
+    }
+  },
+
+  setItem(key, value) {
+    try {
+      if (typeof window !== 'undefined' && window.localStorage) {
+        window.localStorage.setItem(key, value);
+      }
+    } catch (error) {
+      console.warn('保存搜索历史失败:', error);
+    }
+  }
+};
+
+/**
+ * 创建内存存储适配器，用于不需要持久化的场景
+ * @returns {Object} 存储适配器
+ */
+export function createMemoryStorage() {
+  const store = new Map();
+
+  return {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => {
+      store.set(key, value);
+    }
+  };
+}
+
+// 过滤无效条目并去重
+const normalizeTerms = (terms) => {
+  if (!Array.isArray(terms)) return [];
+  return Array.from(new Set(terms.filter(term => typeof term === 'string' && term.trim())));
+};
+
+/**
+ * 读取搜索历史，数据损坏或读取失败时返回空历史
+ * @param {Object} storage 存储适配器
+ * @param {string} storageKey 存储键
+ * @returns {Promise<{recent: Array<string>, saved: Array<string>}>} 最近搜索和保存的搜索
+ */
+export async function loadSearchHistory(storage, storageKey) {
+  try {
+    const raw = await storage.getItem(storageKey);
+    const data = raw ? JSON.parse(raw) : null;
+    return {
+      recent: normalizeTerms(data?.recent),
+      saved: normalizeTerms(data?.saved)
+    };
+  } catch (error) {
+    console.warn('读取搜索历史失败:', error);
+    return { recent: [], saved: [] };
+  }
+}
+
+/**
+ * 写入搜索历史，写入失败时只打印警告
+ * @param {Object} storage 存储适配器
+ * @param {string} storageKey 存储键
+ * @param {{recent: Array<string>, saved: Array<string>}} history 搜索历史
+ */
+export function saveSearchHistory(storage, storageKey, history) {
+  Promise.resolve()
+    .then(() => storage.setItem(storageKey, JSON.stringify(history)))
+    .catch(error => console.warn('保存搜索历史失败:', error));
+}
+
+/**
+ * 把搜索词放到最近搜索的最前面，已存在时移动到最前，超出数量时丢弃最早的
+ * @param {Array<string>} recent 最近搜索
+ * @param {string} term 搜索词
+ * @param {number} maxHistory 最多保留的条数
+ * @returns {Array<string>} 新的最近搜索，没有变化时返回原数组
+ */
+export function addRecentSearch(recent, term, maxHistory = DEFAULT_MAX_HISTORY) {
+  const value = term.trim();
+  if (!value || recent[0] === value) return recent;
+  return [value, ...recent.filter(item => item !== value)].slice(0, maxHistory);
+}
@@ -8,7 +8,7 @@ import { ReloadOutlined, WarningOutlined } from '@ant-design/icons';
 import OptimizedTreeNode from './OptimizedTreeNode';
 import SearchBox from './SearchBox';
 import MemoryMonitor from './MemoryMonitor';
-import { CompactTreeNodeManager } from '../utils/compactTreeNode';
+import { CompactTreeNodeManager, STATE_EXPANDED, STATE_SELECTED, STATE_CHECKED } from '../utils/compactTreeNode';
 import { createObjectPool, createNodePool } from '../utils/objectPool';
 import { useMemoryMonitor, detectDOMLeaks } from '../utils/memoryMonitor';
 import './UltraOptimizedTree.scss';
@@ -85,7 +85,7 @@ const UltraOptimizedTree = ({
     const manager = new CompactTreeNodeManager(treeData.length * 2);
     
     // 递归处理节点
-    const processNode = (node, parentId = 0, level = 0) => {
+    const processNode = (node, parentId = null, level = 0) => {
       const nodeId = node.id || node.key;
       const isExpandedByDefault = defaultExpandAll || level === 0 || defaultExpandedKeys.includes(nodeId);
       
@@ -93,7 +93,6 @@ const UltraOptimizedTree = ({
       manager.addNode({
         id: nodeId,
         parentId,
-        level,
         name: node.name || node.title,
         title: node.title || node.name,
         expanded: isExpandedByDefault,
@@ -182,12 +181,7 @@ const UltraOptimizedTree = ({
     
     // 触发展开/折叠回调
     if (onExpand) {
-      const expandedKeys = [];
-      for (let i = 0; i < treeManagerRef.current.nodeCount; i++) {
-        if (treeManagerRef.current.getNodeState(i, 1)) { // 1是STATE_EXPANDED
-          expandedKeys.push(treeManagerRef.current.ids[i]);
-        }
-      }
+      const expandedKeys = treeManagerRef.current.getIdsWithState(STATE_EXPANDED);
       onExpand(expandedKeys, { 
         expanded: treeManagerRef.current.getNode(nodeId).expanded,
         node: treeManagerRef.current.getNode(nodeId)
@@ -207,12 +201,7 @@ const UltraOptimizedTree = ({
     
     // 触发选择回调
     if (onSelect) {
-      const selectedKeys = [];
-      for (let i = 0; i < treeManagerRef.current.nodeCount; i++) {
-        if (treeManagerRef.current.getNodeState(i, 2)) { // 2是STATE_SELECTED
-          selectedKeys.push(treeManagerRef.current.ids[i]);
-        }
-      }
+      const selectedKeys = treeManagerRef.current.getIdsWithState(STATE_SELECTED);
       onSelect(selectedKeys, { 
         selected: true,
         node: treeManagerRef.current.getNode(nodeId),
@@ -233,12 +222,7 @@ const UltraOptimizedTree = ({
     
     // 触发勾选回调
     if (onCheck) {
-      const checkedKeys = [];
-      for (let i = 0; i < treeManagerRef.current.nodeCount; i++) {
-        if (treeManagerRef.current.getNodeState(i, 4)) { // 4是STATE_CHECKED
-          checkedKeys.push(treeManagerRef.current.ids[i]);
-        }
-      }
+      const checkedKeys = treeManagerRef.current.getIdsWithState(STATE_CHECKED);
       onCheck(checkedKeys, { 
         checked,
         node: treeManagerRef.current.getNode(nodeId),
@@ -0,0 +1,378 @@
+/**
+ * 紧凑存储的虚拟树
+ * VirtualAntTree在storage="compact"时渲染该组件，展开、勾选、选中、搜索和视口计算都基于compactTreeStore，
+ * 不生成全量的扁平节点对象，适合节点数很多、只需要基本选择功能的场景
+ * 支持的属性和命令式API是VirtualAntTree的子集，见README；传入不支持的属性时在控制台提示一次，不会报错
+ * 搜索只按关键字和搜索语法匹配，不做拼音匹配；没有键盘导航
+ */
+import React, { useState, useEffect, useRef, useMemo, useCallback, forwardRef, useImperativeHandle, useId } from 'react';
+import { Spin, Empty } from 'antd';
+import VirtualTreeNode from './VirtualTreeNode';
+import SearchBox from '../SearchBox';
+import { createSearchMatcher } from '../../utils/searchMatcher';
+import {
+  createCompactTreeStore,
+  STATE_EXPANDED,
+  STATE_SELECTED,
+  STATE_CHECKED
+} from '../../utils/compactTreeStore';
+import './styles.scss';
+
+// 紧凑存储只支持固定行高
+const NODE_HEIGHT = 40;
+
+// 对象存储支持、紧凑存储会忽略的属性
+const UNSUPPORTED_PROPS = [
+  'performanceMode',
+  'loadingText',
+  'showCheckedStrategy',
+  'draggable',
+  'allowDrop',
+  'onDrop',
+  'autoExpandParent',
+  'searchResultView',
+  'searchMode',
+  'searchHistory',
+  'searchHistoryStorage',
+  'searchHistoryKey',
+  'showFilter',
+  'onFilterChange',
+  'loadData',
+  'onLoad'
+];
+
+const CompactVirtualTree = forwardRef(function CompactVirtualTree({
+  treeData = [],
+  height = 500,
+  itemHeight = NODE_HEIGHT,
+  loading = false,
+  showSearch = true,
+  searchPlaceholder = '搜索...',
+  multiple = false,
+  checkable = false,
+  checkStrictly = false,
+  emptyText = '暂无数据',
+  onSelect,
+  onCheck,
+  onExpand,
+  expandedKeys: expandedKeysProp,
+  checkedKeys: checkedKeysProp,
+  selectedKeys: selectedKeysProp,
+  defaultExpandedKeys = [],
+  defaultSelectedKeys = [],
+  defaultCheckedKeys = [],
+  defaultExpandAll = false,
+  selectable = true,
+  showIcon = true,
+  showLine = false,
+  blockNode = true,
+  onVisibleNodesChange,
+  ...restProps
+}, ref) {
+  const [visibleNodes, setVisibleNodes] = useState([]);
+  const [totalHeight, setTotalHeight] = useState(0);
+  const [searchValue, setSearchValue] = useState('');
+  const [matchedKeys, setMatchedKeys] = useState([]);
+  const [activeMatchIndex, setActiveMatchIndex] = useState(-1);
+  const containerRef = useRef(null);
+  // 进入搜索前的展开状态，清除搜索后恢复
+  const preSearchExpandedKeysRef = useRef(null);
+  const treeId = useId();
+
+  const rowHeight = typeof itemHeight === 'number' ? itemHeight : NODE_HEIGHT;
+
+  // 提示被忽略的属性，同一个属性只提示一次
+  const warnedPropsRef = useRef(new Set());
+  const ignoredProps = UNSUPPORTED_PROPS.filter(name => restProps[name] !== undefined);
+  if (typeof itemHeight === 'function') ignoredProps.push('itemHeight');
+  const ignoredPropsKey = ignoredProps.join(',');
+  useEffect(() => {
+    const names = ignoredPropsKey ? ignoredPropsKey.split(',') : [];
+    const newNames = names.filter(name => !warnedPropsRef.current.has(name));
+    if (newNames.length === 0) return;
+    newNames.forEach(name => warnedPropsRef.current.add(name));
+    console.warn(`VirtualAntTree: storage="compact"不支持以下属性，已忽略: ${newNames.join(', ')}`);
+  }, [ignoredPropsKey]);
+
+  const isExpandedControlled = expandedKeysProp !== undefined;
+  const isCheckedControlled = checkedKeysProp !== undefined;
+  const isSelectedControlled = selectedKeysProp !== undefined;
+
+  // 初始状态只在treeData变化时应用，之后的变化由交互或受控属性驱动
+  const initialStateRef = useRef(null);
+  initialStateRef.current = {
+    expandedKeys: isExpandedControlled ? expandedKeysProp : defaultExpandedKeys,
+    checkedKeys: isCheckedControlled ? checkedKeysProp : defaultCheckedKeys,
+    selectedKeys: isSelectedControlled ? selectedKeysProp : defaultSelectedKeys,
+    expandRoot: !isExpandedControlled,
+    checkStrictly
+  };
+
+  const store = useMemo(() => {
+    const next = createCompactTreeStore(treeData, { defaultExpandAll: defaultExpandAll && !isExpandedControlled });
+    const { expandedKeys, checkedKeys, selectedKeys, expandRoot, checkStrictly: strictly } = initialStateRef.current;
+
+    // 非受控时与对象存储一致，默认展开顶级节点
+    expandedKeys.forEach(key => next.setExpanded(key, true));
+    if (expandRoot) {
+      treeData.forEach(node => {
+        if (next.getNode(node.key ?? node.id)?.isLeaf === false) next.setExpanded(node.key ?? node.id, true);
+      });
+    }
+    next.setCheckedKeys(checkedKeys, strictly);
+    next.setKeys(STATE_SELECTED, selectedKeys);
+    return next;
+  }, [treeData, defaultExpandAll, isExpandedControlled]);
+
+  // 按当前滚动位置重新计算视口内的行
+  const refreshViewport = useCallback(() => {
+    const scrollTop = containerRef.current?.scrollTop || 0;
+    const nodes = store.getViewportNodes(scrollTop, height, rowHeight, 10);
+
+    setVisibleNodes(nodes);
+    setTotalHeight(store.getVisibleCount() * rowHeight);
+    if (typeof onVisibleNodesChange === 'function') {
+      onVisibleNodesChange(nodes.length);
+    }
+  }, [store, height, rowHeight, onVisibleNodesChange]);
+
+  useEffect(() => {
+    refreshViewport();
+  }, [refreshViewport]);
+
+  // 受控属性变化时同步到存储
+  useEffect(() => {
+    if (!isExpandedControlled) return;
+    store.setKeys(STATE_EXPANDED, expandedKeysProp);
+    refreshViewport();
+  }, [store, isExpandedControlled, expandedKeysProp, refreshViewport]);
+
+  useEffect(() => {
+    if (!isCheckedControlled) return;
+    store.setCheckedKeys(checkedKeysProp, checkStrictly);
+    refreshViewport();
+  }, [store, isCheckedControlled, checkedKeysProp, checkStrictly, refreshViewport]);
+
+  useEffect(() => {
+    if (!isSelectedControlled) return;
+    store.setKeys(STATE_SELECTED, selectedKeysProp);
+    refreshViewport();
+  }, [store, isSelectedControlled, selectedKeysProp, refreshViewport]);
+
+  // 展开状态变化后通知外部；受控时恢复为受控值，由外部决定是否采纳
+  const commitExpanded = useCallback((info) => {
+    const keys = store.getKeys(STATE_EXPANDED);
+    if (isExpandedControlled) store.setKeys(STATE_EXPANDED, expandedKeysProp);
+    if (onExpand) onExpand(keys, info);
+    refreshViewport();
+  }, [store, isExpandedControlled, expandedKeysProp, onExpand, refreshViewport]);
+
+  const handleToggle = useCallback((key) => {
+    const expanded = !store.isExpanded(key);
+    store.setExpanded(key, expanded);
+    commitExpanded({ expanded, node: store.getNode(key) });
+  }, [store, commitExpanded]);
+
+  const handleSelect = useCallback((key, event) => {
+    const selectedKeys = store.getKeys(STATE_SELECTED);
+    const wasSelected = selectedKeys.includes(key);
+    let nextKeys;
+    if (multiple) {
+      nextKeys = wasSelected ? selectedKeys.filter(item => item !== key) : [...selectedKeys, key];
+    } else {
+      nextKeys = wasSelected ? [] : [key];
+    }
+
+    if (!isSelectedControlled) store.setKeys(STATE_SELECTED, nextKeys);
+    if (onSelect) {
+      onSelect(nextKeys, { selected: !wasSelected, node: store.getNode(key), nodeIds: [key], event });
+    }
+    refreshViewport();
+  }, [store, multiple, isSelectedControlled, onSelect, refreshViewport]);
+
+  const handleCheck = useCallback((key, checked) => {
+    store.setChecked(key, checked, checkStrictly);
+    const checkedKeys = store.getKeys(STATE_CHECKED);
+    if (isCheckedControlled) store.setCheckedKeys(checkedKeysProp, checkStrictly);
+    if (onCheck) {
+      onCheck(checkedKeys, { checked, node: store.getNode(key), nodeIds: [key] });
+    }
+    refreshViewport();
+  }, [store, checkStrictly, isCheckedControlled, checkedKeysProp, onCheck, refreshViewport]);
+
+  // 搜索：标记匹配节点并展开其祖先，清除搜索后恢复之前的展开状态
+  const handleSearch = useCallback((value) => {
+    if (value === searchValue) return;
+    setSearchValue(value);
+    setActiveMatchIndex(-1);
+
+    if (!value) {
+      store.search('');
+      setMatchedKeys([]);
+      if (preSearchExpandedKeysRef.current) {
+        store.setKeys(STATE_EXPANDED, preSearchExpandedKeysRef.current);
+        preSearchExpandedKeysRef.current = null;
+      }
+      refreshViewport();
+      return;
+    }
+
+    if (!preSearchExpandedKeysRef.current) {
+      preSearchExpandedKeysRef.current = store.getKeys(STATE_EXPANDED);
+    }
+    const matchNode = createSearchMatcher(value);
+    setMatchedKeys(matchNode ? store.search(value, matchNode) : []);
+    refreshViewport();
+  }, [store, searchValue, refreshViewport]);
+
+  const handleClearSearch = useCallback(() => handleSearch(''), [handleSearch]);
+
+  // 滚动到指定节点，节点被折叠时先展开其祖先节点
+  const scrollToKey = useCallback((key, options = {}) => {
+    const { align = 'auto' } = options;
+    const container = containerRef.current;
+    if (!store.has(key)) return false;
+
+    let index = store.getVisibleIndex(key);
+    if (index === -1) {
+      store.expandPath(key);
+      index = store.getVisibleIndex(key);
+    }
+    if (!container || index === -1) return false;
+
+    const nodeTop = index * rowHeight;
+    const viewportHeight = container.clientHeight || height;
+    const currentTop = container.scrollTop;
+    let targetTop = currentTop;
+    if (align === 'top') {
+      targetTop = nodeTop;
+    } else if (align === 'center') {
+      targetTop = nodeTop - (viewportHeight - rowHeight) / 2;
+    } else if (align === 'bottom') {
+      targetTop = nodeTop - viewportHeight + rowHeight;
+    } else if (nodeTop < currentTop) {
+      targetTop = nodeTop;
+    } else if (nodeTop + rowHeight > currentTop + viewportHeight) {
+      targetTop = nodeTop - viewportHeight + rowHeight;
+    }
+
+    setTotalHeight(store.getVisibleCount() * rowHeight);
+    container.scrollTop = Math.max(0, targetTop);
+    refreshViewport();
+    return true;
+  }, [store, rowHeight, height, refreshViewport]);
+
+  // 定位到下一个(1)或上一个(-1)匹配项，到达末尾后循环
+  const navigateMatch = useCallback((direction) => {
+    const count = matchedKeys.length;
+    if (count === 0) return;
+
+    const nextIndex = activeMatchIndex === -1
+      ? (direction > 0 ? 0 : count - 1)
+      : (activeMatchIndex + direction + count) % count;
+    setActiveMatchIndex(nextIndex);
+    scrollToKey(matchedKeys[nextIndex], { align: 'center' });
+  }, [activeMatchIndex, matchedKeys, scrollToKey]);
+
+  const handleScroll = useCallback(() => {
+    requestAnimationFrame(refreshViewport);
+  }, [refreshViewport]);
+
+  // 命令式API，与对象存储同名的方法行为一致
+  useImperativeHandle(ref, () => ({
+    scrollToKey,
+    nextMatch: () => navigateMatch(1),
+    prevMatch: () => navigateMatch(-1),
+    expandToKey: (key) => {
+      store.expandPath(key, true);
+      commitExpanded({ expanded: true, node: store.getNode(key) });
+    },
+    collapseAll: () => {
+      store.setAllExpanded(false);
+      if (containerRef.current) containerRef.current.scrollTop = 0;
+      commitExpanded({ expanded: false, node: null });
+    },
+    expandAll: () => {
+      store.setAllExpanded(true);
+      commitExpanded({ expanded: true, node: null });
+    },
+    getCheckedNodes: () => store.getKeys(STATE_CHECKED).map(key => store.getNode(key)),
+    getVisibleRange: () => ({
+      startIndex: visibleNodes.length > 0 ? visibleNodes[0].index : -1,
+      endIndex: visibleNodes.length > 0 ? visibleNodes[visibleNodes.length - 1].index : -1,
+      keys: visibleNodes.map(node => node.key)
+    }),
+    focus: () => containerRef.current?.focus(),
+    // 紧凑存储的内存占用估算，见CompactTreeNodeManager.getMemoryUsage
+    getMemoryUsage: () => ({ storage: 'compact', ...store.getMemoryUsage() })
+  }), [store, scrollToKey, navigateMatch, commitExpanded, visibleNodes]);
+
+  const activeMatchKey = matchedKeys[activeMatchIndex] ?? null;
+
+  return (
+    <div className="virtual-ant-tree-container">
+      {showSearch && (
+        <div className="virtual-ant-tree-search-bar">
+          <SearchBox
+            placeholder={searchPlaceholder}
+            onSearch={handleSearch}
+            onClear={handleClearSearch}
+            debounceTime={200}
+            matchCount={matchedKeys.length}
+            activeMatchIndex={activeMatchIndex}
+            onNavigate={navigateMatch}
+          />
+        </div>
+      )}
+
+      <Spin spinning={!!loading}>
+        {treeData && treeData.length > 0 ? (
+          <div
+            className="virtual-ant-tree-viewport"
+            style={{ height }}
+            ref={containerRef}
+            role="tree"
+            tabIndex={0}
+            aria-multiselectable={multiple || undefined}
+            onScroll={handleScroll}
+          >
+            <div className="virtual-ant-tree-content" style={{ height: totalHeight }}>
+              {visibleNodes.map(node => (
+                <div
+                  key={node.key}
+                  className="virtual-ant-tree-node-wrapper"
+                  style={{
+                    position: 'absolute',
+                    top: node.offsetTop,
+                    width: '100%',
+                    height: rowHeight
+                  }}
+                >
+                  <VirtualTreeNode
+                    node={node}
+                    checkable={checkable}
+                    multiple={multiple}
+                    searchValue={searchValue}
+                    onToggle={handleToggle}
+                    onCheck={handleCheck}
+                    onSelect={handleSelect}
+                    showIcon={showIcon}
+                    showLine={showLine}
+                    blockNode={blockNode}
+                    selectable={selectable}
+                    treeItemId={`${treeId}-${node.key}`}
+                    activeMatch={node.key === activeMatchKey}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <Empty description={emptyText} />
+        )}
+      </Spin>
+    </div>
+  );
+});
+
+export default CompactVirtualTree;
@@ -0,0 +1,111 @@
+/**
+ * 属性筛选面板
+ * 位于搜索框旁的筛选按钮，点开后按类型、职位、部门、人数多选筛选，按入职日期范围筛选
+ * 每个取值旁显示满足其余条件的节点数
+ */
+import React from 'react';
+import { Button, Badge, Popover, Select, Input, Space } from 'antd';
+import { FilterOutlined } from '@ant-design/icons';
+import { FILTER_FIELDS, countActiveFilters } from '../../utils/attributeFilter';
+import './styles.scss';
+
+// 类型字段的显示名称
+const TYPE_LABELS = {
+  user: '人员',
+  department: '部门'
+};
+
+const FilterPanel = ({ filters, facetCounts, onChange }) => {
+  const activeCount = countActiveFilters(filters);
+
+  // 修改单个字段的条件，条件为空时从筛选条件中移除该字段
+  const setCondition = (field, condition) => {
+    const next = { ...filters };
+    if (condition == null) {
+      delete next[field];
+    } else {
+      next[field] = condition;
+    }
+    onChange(next);
+  };
+
+  const renderFacet = ({ field, label }) => {
+    const options = (facetCounts[field] || []).map(({ value, count }) => ({
+      value,
+      label: `${field === 'type' ? TYPE_LABELS[value] || value : value} (${count})`
+    }));
+
+    return (
+      <Select
+        mode="multiple"
+        allowClear
+        showSearch
+        optionFilterProp="label"
+        maxTagCount="responsive"
+        placeholder={`全部${label}`}
+        value={filters[field] || []}
+        options={options}
+        onChange={values => setCondition(field, values.length > 0 ? values : null)}
+        style={{ width: '100%' }}
+      />
+    );
+  };
+
+  // 日期范围使用原生日期输入，值为YYYY-MM-DD字符串，任一端留空表示不限
+  const renderDateRange = ({ field }) => {
+    const [start = null, end = null] = filters[field] || [];
+    const setRange = (nextStart, nextEnd) => {
+      setCondition(field, nextStart || nextEnd ? [nextStart || null, nextEnd || null] : null);
+    };
+
+    return (
+      <Space.Compact style={{ width: '100%' }}>
+        <Input
+          type="date"
+          value={start || ''}
+          max={end || undefined}
+          onChange={e => setRange(e.target.value, end)}
+          aria-label="开始日期"
+        />
+        <Input
+          type="date"
+          value={end || ''}
+          min={start || undefined}
+          onChange={e => setRange(start, e.target.value)}
+          aria-label="结束日期"
+        />
+      </Space.Compact>
+    );
+  };
+
+  const content = (
+    <div className="virtual-ant-tree-filter-panel">
+      {FILTER_FIELDS.map(config => (
+        <div key={config.field} className="virtual-ant-tree-filter-panel-field">
+          <div className="virtual-ant-tree-filter-panel-label">{config.label}</div>
+          {config.kind === 'dateRange' ? renderDateRange(config) : renderFacet(config)}
+        </div>
+      ))}
+      <div className="virtual-ant-tree-filter-panel-footer">
+        <Button size="small" disabled={activeCount === 0} onClick={() => onChange({})}>
+          重置
+        </Button>
+      </div>
+    </div>
+  );
+
+  return (
+    <Popover content={content} trigger="click" placement="bottomRight">
+      <Badge count={activeCount} size="small">
+        <Button
+          icon={<FilterOutlined />}
+          type={activeCount > 0 ? 'primary' : 'default'}
+          ghost={activeCount > 0}
+          title="属性筛选"
+        />
+      </Badge>
+    </Popover>
+  );
+};
+
+export default FilterPanel;
@@ -3,10 +3,41 @@
  * 使用React.memo和useMemo优化渲染性能
  */
 import React, { memo, useMemo, useCallback } from 'react';
-import { CaretDownOutlined, CaretRightOutlined, LoadingOutlined, FileOutlined, FolderOutlined, FolderOpenOutlined, UserOutlined, TeamOutlined } from '@ant-design/icons';
+import { CaretDownOutlined, CaretRightOutlined, LoadingOutlined, FileOutlined, FolderOutlined, FolderOpenOutlined, UserOutlined, TeamOutlined, ReloadOutlined } from '@ant-design/icons';
 import { Avatar, Checkbox } from 'antd';
 import classNames from 'classnames';
 
+// 可作为第二行展示的命中字段及其标签
+const SECONDARY_FIELD_LABELS = {
+  name: '名称',
+  realName: '姓名',
+  userId: '工号',
+  email: '邮箱',
+  phone: '电话',
+  position: '职位',
+  department: '部门',
+  departmentName: '部门'
+};
+
+/**
+ * 高亮文本中的命中区间
+ * @param {string} text 文本
+ * @param {Array<number>} range 命中区间[start, end)，与匹配器一致按UTF-16下标计
+ * @returns {React.ReactNode}
+ */
+const renderHighlight = (text, range) => {
+  if (!range) return text;
+  
+  const [start, end] = range;
+  return (
+    <>
+      {text.slice(0, start)}
+      <span className="virtual-ant-tree-node-title-highlight">{text.slice(start, end)}</span>
+      {text.slice(end)}
+    </>
+  );
+};
+
 /**
  * 虚拟树节点组件
  * 使用React.memo和useMemo优化渲染性能
@@ -23,18 +54,29 @@ const VirtualTreeNode = memo(function VirtualTreeNode(props) {
     showIcon = true,
     showLine = false,
     blockNode = true,
+    focused = false,
+    treeItemId,
+    draggable = false,
+    dragging = false,
+    dropPosition = null, // 拖拽放置提示：before、after或inside
+    loading: loadingProp,
+    loadError = null,
+    onRetry = () => {},
+    flat = false, // 平铺展示（搜索结果列表），不缩进也不显示展开图标
+    match = null, // 搜索结果{ matchedField, ranges }，用于高亮命中的字符
+    activeMatch = false, // 是否为搜索导航当前定位的匹配项
     style = {}
   } = props;
 
   // 从节点中提取属性，使用默认值确保安全
-  const nodeId = node?.id || '';
-  const nodeKey = node?.key || nodeId;
+  const nodeId = node?.id ?? '';
+  const nodeKey = node?.key ?? nodeId;
   const name = node?.name || '';
   const title = node?.title || name;
   const level = node?.level || 0;
   const expanded = node?.expanded || false;
   const children = node?.children || [];
-  const loading = node?.loading || false;
+  const loading = loadingProp ?? (node?.loading || false);
   const matched = node?.matched || false;
   const selected = node?.selected || false;
   const checked = node?.checked || false;
@@ -43,11 +85,13 @@ const VirtualTreeNode = memo(function VirtualTreeNode(props) {
   const type = node?.type || 'department';
   const avatar = node?.avatar || '';
   const position = node?.position || '';
+  const posInSet = node?.posInSet;
+  const setSize = node?.setSize;
 
   // 派生状态
   const isUser = type === 'user';
   const hasChildren = Array.isArray(children) && children.length > 0;
-  const showSwitcher = !isLeaf;
+  const showSwitcher = !isLeaf && !flat;
   const isChecked = !!checked;
   const isIndeterminate = !!indeterminate;
   
@@ -60,19 +104,27 @@ const VirtualTreeNode = memo(function VirtualTreeNode(props) {
     }
   }, [nodeKey, onToggle]);
 
-  // 处理选择
+  // 处理选择，传递原生事件以便识别Shift/Ctrl/Cmd修饰键
   const handleSelect = useCallback((e) => {
     e.stopPropagation();
     if (selectable && onSelect && nodeKey) {
-      onSelect(nodeKey);
+      onSelect(nodeKey, e.nativeEvent);
     }
   }, [nodeKey, selectable, onSelect]);
 
+  // 重新加载失败的子节点
+  const handleRetry = useCallback((e) => {
+    e.stopPropagation();
+    if (onRetry && nodeKey) {
+      onRetry(nodeKey);
+    }
+  }, [nodeKey, onRetry]);
+
   // 处理复选框
   const handleCheck = useCallback((e) => {
     e.stopPropagation();
     if (checkable && onCheck && nodeKey) {
-      onCheck(nodeKey, e.target.checked);
+      onCheck(nodeKey, e.target.checked, e.nativeEvent);
     }
   }, [nodeKey, checkable, onCheck]);
 
@@ -101,11 +153,15 @@ const VirtualTreeNode = memo(function VirtualTreeNode(props) {
   const nodeClassNames = useMemo(() => classNames(
     'virtual-ant-tree-node',
     { 'virtual-ant-tree-node-selected': selected },
+    { 'virtual-ant-tree-node-focused': focused },
     { 'virtual-ant-tree-node-checked': isChecked }, 
     { 'virtual-ant-tree-node-indeterminate': isIndeterminate }, 
     { 'virtual-ant-tree-node-user': isUser },
-    { 'virtual-ant-tree-node-department': !isUser }
-  ), [selected, isChecked, isIndeterminate, isUser]);
+    { 'virtual-ant-tree-node-department': !isUser },
+    { 'virtual-ant-tree-node-dragging': dragging },
+    { [`virtual-ant-tree-node-drop-${dropPosition}`]: dropPosition },
+    { 'virtual-ant-tree-node-active-match': activeMatch }
+  ), [selected, focused, isChecked, isIndeterminate, isUser, dragging, dropPosition, activeMatch]);
 
   // 展开图标类名
   const switcherClassNames = useMemo(() => classNames('virtual-ant-tree-node-switcher', {
@@ -121,34 +177,73 @@ const VirtualTreeNode = memo(function VirtualTreeNode(props) {
 
   // 容器样式
   const containerStyle = useMemo(() => ({
-    paddingLeft: level * 24,
+    paddingLeft: flat ? 0 : level * 24,
     contain: 'content',
     ...style
-  }), [level, style]);
+  }), [flat, level, style]);
 
+  // 标题显示的字段，title为空时显示name
+  const titleField = node?.title ? 'title' : 'name';
+  const titleRange = match?.ranges?.[titleField] || null;
+  
+  // 标题未命中时，把命中的次要字段作为第二行展示，说明该节点为何匹配
+  const secondaryField = match && !titleRange && SECONDARY_FIELD_LABELS[match.matchedField]
+    ? match.matchedField
+    : null;
+  const secondaryText = secondaryField ? String(node[secondaryField] ?? '') : '';
+  const secondaryRange = secondaryField ? match.ranges[secondaryField] : null;
+  
   // 显示名称
   const displayName = useMemo(() => {
     const text = title || name || '';
     
-    if (matched) {
+    if (titleRange) {
+      return renderHighlight(text, titleRange);
+    }
+    
+    // 没有区间信息时（如旧版Worker结果）整体高亮
+    if (matched && !match) {
       return <span className="virtual-ant-tree-node-title-highlight">{text}</span>;
     }
     
     return text;
-  }, [title, name, matched]);
+  }, [title, name, matched, match, titleRange]);
+  
+  // 次要命中字段
+  const secondaryLine = useMemo(() => {
+    if (!secondaryField) return null;
+    
+    return (
+      <span className="virtual-ant-tree-node-secondary">
+        {SECONDARY_FIELD_LABELS[secondaryField]}：{renderHighlight(secondaryText, secondaryRange)}
+      </span>
+    );
+  }, [secondaryField, secondaryText, secondaryRange]);
   
   // 如果没有节点，返回空div以保持结构完整
   if (!node) {
     return <div className="virtual-ant-tree-node-empty" style={style}></div>;
   }
 
+  // ARIA复选状态，半选时为mixed
+  const ariaChecked = checkable ? (isIndeterminate ? 'mixed' : isChecked) : undefined;
+
   // 渲染节点
   return (
     <div
+      id={treeItemId}
+      role="treeitem"
+      aria-level={level + 1}
+      aria-setsize={setSize}
+      aria-posinset={posInSet}
+      aria-expanded={showSwitcher ? expanded : undefined}
+      aria-selected={selectable ? selected : undefined}
+      aria-checked={ariaChecked}
       className={nodeClassNames}
       style={containerStyle}
       onClick={handleSelect}
       data-node-id={nodeKey}
+      draggable={draggable || undefined}
     >
       {/* 展开/折叠图标 */}
       {showSwitcher && (
@@ -171,13 +266,30 @@ const VirtualTreeNode = memo(function VirtualTreeNode(props) {
       {/* 节点图标 */}
       {nodeIcon}
       
-      {/* 节点标题 */}
-      <span className={titleClassNames}>{displayName}</span>
+      {/* 节点标题，次要字段命中时在标题下方展示该字段 */}
+      {secondaryLine ? (
+        <span className="virtual-ant-tree-node-content">
+          <span className={titleClassNames}>{displayName}</span>
+          {secondaryLine}
+        </span>
+      ) : (
+        <span className={titleClassNames}>{displayName}</span>
+      )}
       
-      {/* 附加信息 */}
-      {isUser && position && (
+      {/* 附加信息，职位已在第二行展示时不再重复 */}
+      {isUser && position && secondaryField !== 'position' && (
         <span className="virtual-ant-tree-node-position">{position}</span>
       )}
+      
+      {/* 加载失败提示 */}
+      {loadError && !loading && (
+        <span className="virtual-ant-tree-node-load-error" title={loadError.message || String(loadError)}>
+          加载失败
+          <a className="virtual-ant-tree-node-retry" onClick={handleRetry}>
+            <ReloadOutlined /> 重试
+          </a>
+        </span>
+      )}
     </div>
   );
 });
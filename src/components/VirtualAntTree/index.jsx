@@ -5,8 +5,22 @@
  * @param {Array} props.treeData 树形数据
  * @param {Number} props.height 容器高度
  * @param {Boolean} props.loading 加载状态
+ * @param {Number|Function} props.itemHeight 节点高度，函数形式为(node) => height
+ * @param {Array} props.expandedKeys 受控展开节点，需配合onExpand使用
+ * @param {Array} props.checkedKeys 受控勾选节点，需配合onCheck使用
+ * @param {Array} props.selectedKeys 受控选中节点，需配合onSelect使用
+ * @param {Boolean} props.checkStrictly 父子节点勾选状态不再联动
+ * @param {String} props.showCheckedStrategy onCheck返回的勾选节点策略，取值SHOW_ALL、SHOW_PARENT、SHOW_CHILD、SHOW_USER
+ * @param {Boolean} props.draggable 是否允许拖拽移动节点
+ * @param {Function} props.allowDrop 判断是否允许放置，参数为{ dragNode, dropNode, position }
+ * @param {Function} props.onDrop 放置回调，返回false时不移动节点
+ * @param {Function} props.loadData 异步加载子节点，展开isLeaf为false且没有children的节点时调用
+ * @param {String} props.storage 节点存储方式，'object'为扁平节点对象，'compact'使用CompactTreeNodeManager（见CompactVirtualTree）
+ * @param {Object} ref 命令式API，提供scrollToKey、expandToKey、collapseAll、expandAll、
+ *   getCheckedNodes、getVisibleRange、focus、getMemoryUsage方法，以及insertNode、removeNode、moveNode、
+ *   updateNode增量修改树结构
  */
-import React, { useState, useEffect, useRef, useMemo, useCallback, useLayoutEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback, useLayoutEffect, forwardRef, useImperativeHandle, useId } from 'react';
 import { Spin, Input, Empty, Checkbox, Button, Dropdown, Space, Tooltip, message } from 'antd';
 import { 
   SearchOutlined, 
@@ -14,896 +28,135 @@ import {
   CheckSquareOutlined, 
   BorderOutlined, 
   DownOutlined, 
+  FileSearchOutlined,
+  SwapOutlined,
   TeamOutlined,
   UserOutlined
 } from '@ant-design/icons';
 import VirtualTreeNode from './VirtualTreeNode';
-import { processTreeData, getNodesInViewport, getVisibleNodes } from '../../utils/treeUtils';
+import CompactVirtualTree from './CompactVirtualTree';
+import { 
+  processTreeData, 
+  getNodesInViewport, 
+  getVisibleNodes, 
+  getSearchFilterKeys,
+  buildOffsetIndex,
+  conductCheckedKeys,
+  formatCheckedKeys,
+  getDescendantKeys,
+  getAncestorKeys,
+  getChildKeys,
+  insertTreeNode,
+  removeTreeNode,
+  moveTreeNode,
+  updateTreeNode,
+  SHOW_ALL,
+  SHOW_PARENT,
+  SHOW_CHILD,
+  SHOW_USER
+} from '../../utils/treeUtils';
 import SelectedCounter from './SelectedCounter';
 import './styles.scss';
 import SearchBox from '../SearchBox';
-import SearchService from '../../services/SearchService';
+import FilterPanel from './FilterPanel';
+import { createSearchService } from '../../services/SearchService';
+import { MessageType } from '../../utils/treeWorkerProtocol';
+import { createTreeWorkerClient, isAbortError } from '../../utils/treeWorkerClient';
+import {
+  createTreeBuffer,
+  getTreeBufferViews,
+  isSharedTreeBuffer,
+  writeTreeBuffer,
+  readVisibleLayout,
+  mapRangeToNodes
+} from '../../utils/treeBuffer';
+import { SEARCH_FIELDS } from '../../utils/searchMatcher';
+import { getFilteredKeys, getFacetCounts, hasActiveFilters } from '../../utils/attributeFilter';
 import { getSafeTransition, useSafeTransition } from '../../utils/compatUtils';
 
-// 节点高度固定为40px
+// 默认节点高度40px，可通过itemHeight属性按节点指定
 const NODE_HEIGHT = 40; 
 
-// 获取安全的transition函数
-const safeStartTransition = getSafeTransition();
-
-// 获取指定节点的所有子节点键值
-const getChildrenKeys = (nodes, nodeId) => {
-  const result = [];
-  
-  const findChildren = (parentId) => {
-    nodes.forEach(node => {
-      if (node.parentId === parentId) {
-        result.push(node.key);
-        findChildren(node.key);
-      }
-    });
-  };
-  
-  findChildren(nodeId);
-  return result;
-};
-
-// 获取指定节点的所有父节点键值
-const getParentKeys = (nodes, nodeId) => {
-  const result = [];
-  let currentId = nodeId;
-  
-  while (currentId) {
-    const parent = nodes.find(node => node.key === currentId)?.parentId;
-    if (parent) {
-      result.push(parent);
-      currentId = parent;
-    } else {
-      currentId = null;
-    }
-  }
-  
-  return result;
-};
-
-// 更新父节点选中状态
-const updateParentCheckedState = (nodes, nodeMap, nodeId, checkedKeys) => {
-  const updateParentState = (id) => {
-    const node = nodes.find(n => n.key === id);
-    if (!node || !node.parentId) return;
-    
-    const parentId = node.parentId;
-    const parentNode = nodeMap.get(parentId);
-    if (!parentNode) return;
-    
-    // 获取所有直接子节点
-    const childrenNodes = nodes.filter(n => n.parentId === parentId);
-    if (childrenNodes.length === 0) return;
-    
-    // 统计子节点状态
-    const checkedChildrenCount = childrenNodes.filter(child => 
-      checkedKeys.includes(child.key)
-    ).length;
-    
-    // 更新父节点状态
-    if (checkedChildrenCount === 0) {
-      // 无子节点选中，父节点未选中且不是半选
-      parentNode.checked = false;
-      parentNode.indeterminate = false;
-      
-      // 如果父节点在选中列表中，移除它
-      if (checkedKeys.includes(parentId)) {
-        const index = checkedKeys.indexOf(parentId);
-        if (index > -1) {
-          checkedKeys.splice(index, 1);
-        }
-      }
-    } else if (checkedChildrenCount === childrenNodes.length) {
-      // 所有子节点选中，父节点选中且不是半选
-      parentNode.checked = true;
-      parentNode.indeterminate = false;
-      
-      // 添加父节点到选中列表
-      if (!checkedKeys.includes(parentId)) {
-        checkedKeys.push(parentId);
-      }
-    } else {
-      // 部分子节点选中，父节点半选
-      parentNode.checked = false;
-      parentNode.indeterminate = true;
-      
-      // 如果父节点已选中，移除它
-      if (checkedKeys.includes(parentId)) {
-        const index = checkedKeys.indexOf(parentId);
-        if (index > -1) {
-          checkedKeys.splice(index, 1);
-        }
-      }
-    }
-    
-    // 递归更新上层父节点
-    if (parentNode.parentId) {
-      updateParentState(parentId);
-    }
-  };
-  
-  // 更新当前节点的父节点
-  updateParentState(nodeId);
-};
-
-// 创建内联Worker函数
-const createInlineWorker = (workerFunction) => {
-  // 将函数体转换为字符串
-  const functionBody = workerFunction.toString();
-  // 创建一个自执行函数
-  const blob = new Blob([
-    `(${functionBody})()`
-  ], { type: 'application/javascript' });
-  
-  return new Worker(URL.createObjectURL(blob));
-};
-
-// Worker函数
-const workerFunction = () => {
-  // 节点高度固定为40px
-  const NODE_HEIGHT = 40;
-
-  // 扁平化树结构
-  const flattenTree = (data, options = {}) => {
-    const {
-      childrenKey = 'children',
-      parentKey = 'parentId',
-      levelKey = 'level',
-      isLeafKey = 'isLeaf',
-      expanded = false,
-      defaultExpandedKeys = [],
-      defaultSelectedKeys = [],
-      defaultCheckedKeys = [],
-    } = options;
-
-    const flatNodes = [];
-    const nodeMap = new Map();
-
-    const processNode = (node, parent = null, level = 0, parentPath = []) => {
-      const nodeId = node.id || node.key;
-      const children = node[childrenKey];
-      const hasChildren = Array.isArray(children) && children.length > 0;
-      const currentPath = [...parentPath, nodeId];
-      const pathKey = currentPath.join('/');
-
-      const flatNode = {
-        ...node,
-        key: nodeId,
-        id: nodeId,
-        [levelKey]: level,
-        [isLeafKey]: !hasChildren,
-        [parentKey]: parent ? parent.id : null,
-        expanded: defaultExpandedKeys.includes(nodeId) || expanded,
-        selected: defaultSelectedKeys.includes(nodeId),
-        checked: defaultCheckedKeys.includes(nodeId),
-        pathKey,
-        loaded: true,
-        // 支持部门和人员两种类型
-        type: node.type || 'department',
-        // 添加我们新增的字段，确保它们被传递
-        realName: node.realName,
-        phone: node.phone,
-        userId: node.userId,
-        departmentId: node.departmentId,
-        departmentName: node.departmentName,
-        entryDate: node.entryDate,
-        position: node.position,
-      };
-
-      nodeMap.set(nodeId, flatNode);
-      flatNodes.push(flatNode);
-
-      if (hasChildren) {
-        children.forEach(child => processNode(child, flatNode, level + 1, currentPath));
-      }
-    };
-
-    data.forEach(node => processNode(node));
-
-    return { flatNodes, nodeMap };
-  };
-
-  // 过滤树节点
-  const filterTreeNodes = (nodes, searchValue) => {
-    if (!searchValue || typeof searchValue !== 'string' || searchValue.trim() === '') {
-      return nodes.map(node => ({
-        ...node,
-        matched: false
-      }));
-    }
-
-    const matchingKeys = new Set();
-    const valueLower = searchValue.toLowerCase();
-
-    // 第一遍找到所有匹配的节点
-    nodes.forEach(node => {
-      const nodeTitle = (node.title || node.name || '').toLowerCase();
-      const nodeEmail = (node.email || '').toLowerCase();
-      const nodePosition = (node.position || '').toLowerCase();
-      const nodeRealName = (node.realName || '').toLowerCase();
-      const nodePhone = (node.phone || '').toLowerCase();
-      const nodeUserId = (node.userId || '').toLowerCase();
-      
-      const isMatch = 
-        nodeTitle.includes(valueLower) || 
-        nodeEmail.includes(valueLower) || 
-        nodePosition.includes(valueLower) ||
-        nodeRealName.includes(valueLower) ||
-        nodePhone.includes(valueLower) ||
-        nodeUserId.includes(valueLower);
-        
-      if (isMatch) {
-        matchingKeys.add(node.key || node.id);
-      }
-    });
-
-    // 第二遍找到所有匹配节点的父节点
-    nodes.forEach(node => {
-      if (matchingKeys.has(node.key || node.id)) {
-        let currentNode = node;
-        while (currentNode && currentNode.parentId) {
-          const parentNode = nodes.find(n => n.id === currentNode.parentId || n.key === currentNode.parentId);
-          if (parentNode) {
-            matchingKeys.add(parentNode.id || parentNode.key);
-            currentNode = parentNode;
-          } else {
-            break;
-          }
-        }
-      }
-    });
-
-    // 标记匹配的节点并展开路径
-    return nodes.map(node => {
-      const nodeMatched = matchingKeys.has(node.id || node.key);
-      return {
-        ...node,
-        matched: nodeMatched,
-        expanded: node.expanded || nodeMatched,
-      };
-    });
-  };
-
-  // 获取可见节点
-  const getVisibleNodes = (nodes, options = {}) => {
-    if (!nodes || !Array.isArray(nodes)) return [];
-    
-    const { expandedKeys = [], searchValue = '' } = options;
-    const visibleNodes = [];
-    const expandedKeysSet = new Set(expandedKeys);
-    const visibilityCache = new Map(); // 当前可见性缓存
-    
-    // 获取节点的所有父节点ID
-    const getParentKeys = (node) => {
-      const parents = [];
-      let current = node;
-      
-      while (current && current.parentId) {
-        parents.push(current.parentId);
-        current = nodes.find(n => n.id === current.parentId || n.key === current.parentId);
-      }
-      
-      return parents;
-    };
-
-    // 判断节点是否可见
-    const isNodeVisible = (node, currentSearchValue = '') => {
-      // 检查缓存
-      if (visibilityCache.has(node.id || node.key)) {
-        return visibilityCache.get(node.id || node.key);
-      }
-
-      // 根节点总是可见
-      if (node.level === 0 || !node.parentId) {
-        visibilityCache.set(node.id || node.key, true);
-        return true;
-      }
-      
-      // 搜索状态下的处理
-      if (currentSearchValue && currentSearchValue.trim() !== '') {
-        // 如果是匹配的员工节点，直接可见
-        if (node.type === 'user' && node.matched) {
-          visibilityCache.set(node.id || node.key, true);
-          return true;
-        }
-        
-        // 如果是部门节点，只有当它是匹配员工的父级路径时才可见
-        if (node.type !== 'user') {
-          // 查找该部门下是否有匹配的员工
-          const hasMatchedChild = findMatchedChildUser(nodes, node.id || node.key);
-          if (hasMatchedChild) {
-            node.expanded = true; // 确保包含匹配员工的部门展开
-            if (expandedKeysSet && !expandedKeysSet.has(node.id || node.key)) {
-              expandedKeysSet.add(node.id || node.key);
-            }
-            visibilityCache.set(node.id || node.key, true);
-            return true;
-          } else {
-            // 没有匹配的员工，在搜索状态下不可见
-            visibilityCache.set(node.id || node.key, false);
-            return false;
-          }
-        }
-        
-        // 非匹配的员工节点在搜索状态下不可见
-        if (node.type === 'user' && !node.matched) {
-          visibilityCache.set(node.id || node.key, false);
-          return false;
-        }
-      }
-
-      // 常规的展开状态检查（非搜索状态）
-      const parentKeys = getParentKeys(node);
-      let isVisible = true;
-      
-      for (const parentKey of parentKeys) {
-        const parent = nodes.find(n => n.id === parentKey || n.key === parentKey);
-        if (!parent || (!expandedKeysSet.has(parentKey) && !parent.expanded)) {
-          isVisible = false;
-          break;
-        }
-      }
-      
-      // 存入缓存
-      visibilityCache.set(node.id || node.key, isVisible);
-      return isVisible;
-    };
-    
-    // 递归查找部门下是否有匹配的员工节点
-    const findMatchedChildUser = (allNodes, departmentId) => {
-      // 直接子节点中查找匹配的员工
-      const directMatchedUsers = allNodes.filter(node => 
-        node.parentId === departmentId && 
-        node.type === 'user' && 
-        node.matched
-      );
-      
-      if (directMatchedUsers.length > 0) {
-        return true;
-      }
-      
-      // 查找子部门
-      const childDepartments = allNodes.filter(node => 
-        node.parentId === departmentId && 
-        node.type !== 'user'
-      );
-      
-      // 递归检查每个子部门
-      for (const childDept of childDepartments) {
-        if (findMatchedChildUser(allNodes, childDept.id || childDept.key)) {
-          return true;
-        }
-      }
-      
-      return false;
-    };
-
-    // 筛选可见节点
-    nodes.forEach(node => {
-      if (isNodeVisible(node, searchValue)) { // 传递搜索值参数
-        visibleNodes.push(node);
-      }
-    });
-
-    return visibleNodes;
-  };
-
-  // 获取视图内的节点
-  const getNodesInViewport = (visibleNodes, options = {}) => {
-    const { 
-      scrollTop = 0, 
-      viewportHeight = 500, 
-      nodeHeight = NODE_HEIGHT, 
-      overscan = 10 
-    } = options;
-    
-    if (!visibleNodes || visibleNodes.length === 0) return [];
-    
-    const startIndex = Math.max(0, Math.floor(scrollTop / nodeHeight) - overscan);
-    const endIndex = Math.min(
-      visibleNodes.length - 1,
-      Math.ceil((scrollTop + viewportHeight) / nodeHeight) + overscan
-    );
-
-    return visibleNodes.slice(startIndex, endIndex + 1).map((node, idx) => ({
-      ...node,
-      offsetTop: (startIndex + idx) * nodeHeight,
-      index: startIndex + idx
-    }));
-  };
+// 读取节点行高
+const getRowHeight = (node) => node.rowHeight || NODE_HEIGHT;
 
-  // 消息处理
-  self.onmessage = (e) => {
-    const { type, data } = e.data;
+// 拖拽时距离容器边缘多少像素内开始自动滚动
+const DRAG_SCROLL_EDGE = 40;
+// 自动滚动的最大步长
+const DRAG_SCROLL_STEP = 20;
 
-    switch (type) {
-      case 'INIT_DATA': {
-        // 初始化数据
-        console.log('Worker初始化数据:', data);
-        break;
-      }
-      
-      case 'SEARCH': {
-        // 搜索节点
-        console.log('Worker搜索节点:', data);
-        break;
-      }
-      
-      case 'UPDATE_NODE': {
-        // 更新节点状态
-        console.log('Worker更新节点状态:', data);
-        
-        if (data.updatedNodes && Array.isArray(data.updatedNodes)) {
-          // 更新节点状态
-          data.updatedNodes.forEach(updatedNode => {
-            const node = nodeMap.get(updatedNode.key);
-            if (node) {
-              node.checked = updatedNode.checked;
-              node.indeterminate = updatedNode.indeterminate;
-            }
-          });
-          
-          // 更新视图中的节点
-          self.postMessage({
-            type: 'NODE_UPDATED',
-            data: {
-              updatedNodes: data.updatedNodes
-            }
-          });
-        }
-        break;
-      }
+// 批量勾选涉及的节点超过该数量时交给batchWorker处理
+const BATCH_WORKER_THRESHOLD = 1000;
 
-      case 'GET_VISIBLE_NODES': {
-        const { nodes, expandedKeys } = data;
-        const visibleNodes = getVisibleNodes(nodes, expandedKeys);
-        self.postMessage({
-          type: 'VISIBLE_NODES_RESULT',
-          data: { visibleNodes }
-        });
-        break;
-      }
-
-      case 'GET_VIEWPORT_NODES': {
-        const { visibleNodes: vNodes, scrollOptions } = data;
-        const viewportNodes = getNodesInViewport(vNodes, scrollOptions);
-        self.postMessage({
-          type: 'VIEWPORT_NODES_RESULT',
-          data: { viewportNodes }
-        });
-        break;
-      }
-
-      case 'SEARCH_NODES': {
-        const { nodes: searchNodes, searchValue } = data;
-        const filteredNodes = filterTreeNodes(searchNodes, searchValue);
-        self.postMessage({
-          type: 'SEARCH_RESULT',
-          data: { filteredNodes }
-        });
-        break;
-      }
-
-      case 'SELECT_NODE': {
-        const { nodeId, selected, multiple, currentSelectedKeys } = data;
-        let newSelectedKeys;
-        
-        if (multiple) {
-          if (selected) {
-            newSelectedKeys = [...currentSelectedKeys, nodeId];
-          } else {
-            newSelectedKeys = currentSelectedKeys.filter(k => k !== nodeId);
-          }
-        } else {
-          newSelectedKeys = selected ? [nodeId] : [];
-        }
-        
-        self.postMessage({
-          type: 'NODE_SELECTED',
-          data: { 
-            nodeId, 
-            selected, 
-            selectedKeys: newSelectedKeys 
-          }
-        });
-        break;
-      }
+// 只保留搜索结果的键、评分和命中区间，渲染时从nodeMap取最新节点
+const toSearchResults = (matchedNodes) => matchedNodes.map(({ key, score, matchedField, matchRanges }) => ({
+  key,
+  score,
+  matchedField,
+  ranges: matchRanges
+}));
 
-      case 'CHECK_NODE': {
-        const { nodeId, checked, currentCheckedKeys, nodes } = data;
-        let newCheckedKeys;
-        
-        if (checked) {
-          newCheckedKeys = [...currentCheckedKeys, nodeId];
-        } else {
-          newCheckedKeys = currentCheckedKeys.filter(k => k !== nodeId);
-        }
-        
-        self.postMessage({
-          type: 'NODE_CHECKED',
-          data: { 
-            nodeId, 
-            checked, 
-            checkedKeys: newCheckedKeys,
-            nodes: nodes || []
-          }
-        });
-        
-        // 处理级联选择和半选状态更新
-        if (data.updatedNodes && Array.isArray(data.updatedNodes)) {
-          // 更新节点状态
-          data.updatedNodes.forEach(updatedNode => {
-            const node = nodes.find(n => n.id === updatedNode.id || n.key === updatedNode.key);
-            if (node) {
-              node.checked = updatedNode.checked;
-              node.indeterminate = updatedNode.indeterminate;
-            }
-          });
-          
-          // 更新视图中的节点
-          self.postMessage({
-            type: 'NODE_UPDATED',
-            data: {
-              updatedNodes: data.updatedNodes
-            }
-          });
-        }
-        break;
-      }
-
-      case 'NODE_CHECKED': {
-        // 处理节点复选框结果
-        console.log(`Worker返回选中结果: 节点${data.nodeId}, checked=${data.checked}, 选中数量=${data.checkedKeys.length}`);
-        
-        if (data.checkedKeys) {
-          setCheckedKeys(data.checkedKeys);
-        }
-        
-        // 处理级联选择和半选状态更新
-        if (data.updatedNodes && Array.isArray(data.updatedNodes)) {
-          console.log('收到Worker更新:', data.updatedNodes.length, '个节点状态变更');
-          
-          // 更新节点状态
-          data.updatedNodes.forEach(updatedNode => {
-            const node = processedDataRef.current?.nodeMap.get(updatedNode.key);
-            if (node) {
-              node.checked = updatedNode.checked;
-              node.indeterminate = updatedNode.indeterminate;
-              console.log(`更新节点 ${node.name || node.title} (${updatedNode.key}) 状态: checked=${updatedNode.checked}, indeterminate=${updatedNode.indeterminate}`);
-            }
-          });
-          
-          // 强制重新渲染
-          setForceUpdate(prev => prev + 1);
-          
-          // 如果有回调，调用它
-          if (onCheck) {
-            // 获取所有选中的节点
-            const checkedNodes = data.checkedKeys.map(key => {
-              return processedDataRef.current?.nodeMap.get(key);
-            }).filter(Boolean);
-            
-            // 调用回调
-            onCheck(data.checkedKeys, {
-              checkedNodes,
-              node: processedDataRef.current?.nodeMap.get(data.nodeId),
-              checked: data.checked,
-              // 添加flattenedData以便App组件使用
-              flattenedData: processedDataRef.current?.flattenedData
-            });
-          }
-        }
-        break;
-      }
-
-      case 'VISIBLE_NODES_RESULT': {
-        // 处理可见节点结果
-        console.log(`Worker返回可见节点结果: ${data.visibleNodes?.length || 0}个节点`);
-        
-        // 更新总高度
-        setTotalHeight(data.totalHeight || 0);
-        
-        // 更新视口内节点
-        if (data.visibleNodes && data.visibleNodes.length > 0) {
-          updateNodesInViewport(data.visibleNodes);
-        } else {
-          setVisibleNodes([]);
-        }
-        
-        // 通知可见节点变化
-        onVisibleNodesChange && onVisibleNodesChange(data.visibleNodes || []);
-        break;
-      }
-      
-      case 'VIEWPORT_NODES_RESULT': {
-        // 处理视口内节点结果
-        console.log(`Worker返回视口内节点结果: ${data.nodes?.length || 0}个节点`);
-        
-        // 更新视口内节点
-        if (data.nodes && data.nodes.length > 0) {
-          setVisibleNodes(data.nodes);
-        } else {
-          setVisibleNodes([]);
-        }
-        break;
-      }
-
-      case 'searchComplete':
-        if (options.onSearchComplete && data.matchResult) {
-          options.onSearchComplete(data.matchResult);
-        }
-        
-        // 仅在特定条件下更新可见节点，避免过度刷新
-        // 1. 只有当搜索有明确结果时才更新
-        // 2. 当清除搜索时只更新一次
-        if (options.scrollTop !== undefined) {
-          // 使用节流函数避免过度刷新
-          const shouldUpdate = 
-            // 有明确的匹配结果
-            (data.matchResult && data.matchResult.matchCount > 0) || 
-            // 明确是清除搜索的操作（搜索结果为0且搜索词为空）
-            (data.matchResult && 
-             data.matchResult.matchCount === 0 && 
-             (!data.matchResult.searchTerm || data.matchResult.searchTerm === ''));
-          
-          if (shouldUpdate) {
-            // 使用requestAnimationFrame延迟更新，避免连续多次更新
-            requestAnimationFrame(() => {
-              updateVisibleNodes(options.scrollTop);
-            });
-          }
-        }
-        break;
-
-      default:
-        console.warn('收到未知类型Worker消息:', type);
-    }
-  };
-};
-
-/**
- * 创建Web Worker实例
- * 使用方法：
- * const worker = createTreeWorker();
- * worker.postMessage({type: 'initialize', flattenedData: [...] });
- */
-const createTreeWorker = () => {
-  try {
-    return new Worker('/workers/treeWorker.js', { type: 'module' });
-  } catch (error) {
-    console.error('创建Worker失败:', error);
-    return null;
-  }
+// 按先序位置（即树中自上而下的顺序）排列节点键，不在索引中的键保持原顺序排在最后
+const sortKeysByTreeOrder = (keys, treeIndex) => {
+  if (!treeIndex) return keys;
+  
+  const { positions } = treeIndex;
+  const getPosition = key => positions.get(key) ?? Infinity;
+  return [...keys].sort((a, b) => getPosition(a) - getPosition(b));
 };
 
-/**
- * 自定义Hook: 管理树形组件的Web Worker
- * @param {Object} options Worker配置选项
- * @returns {Object} Worker相关状态和方法
- */
-const useTreeWorker = (options) => {
-  const { 
-    performanceMode, 
-    processedData, 
-    height,
-    nodeHeight = NODE_HEIGHT,
-    onVisibleNodesChange
-  } = options;
+// 默认的放置规则：人员节点不能包含子节点
+const defaultAllowDrop = ({ dropNode, position }) => !(position === 'inside' && dropNode.type === 'user');
 
-  const workerRef = useRef(null);
-  const [workerReady, setWorkerReady] = useState(false);
-  const [workerError, setWorkerError] = useState(null);
-
-  // 使用Worker更新可见节点
-  const workerUpdateVisibleNodes = useCallback((scrollTop, priority = 'normal') => {
-    if (!workerRef.current || !workerReady) return;
-    
-    workerRef.current.postMessage({
-      type: 'updateVisibleNodes',
-      scrollTop,
-      viewportHeight: height,
-      buffer: Math.ceil(height / NODE_HEIGHT) + 10,
-      priority
-    });
-  }, [height, workerReady]);
-
-  // 使用Worker切换节点展开状态
-  const workerToggleNode = useCallback((nodeId, expanded) => {
-    if (!workerRef.current || !workerReady) return;
-    
-    workerRef.current.postMessage({
-      type: 'toggleNode',
-      nodeId,
-      expanded
-    });
-  }, [workerReady]);
-
-  // 使用Worker执行搜索
-  const workerSearch = useCallback((searchTerm) => {
-    if (!workerRef.current || !workerReady) return;
-    
-    workerRef.current.postMessage({
-      type: 'search',
-      searchTerm
-    });
-  }, [workerReady]);
-
-  // 监听loading属性变化
-  useEffect(() => {
-    setIsLoading(loading);
-    
-    // 当loading结束时，立即高优先级请求可见节点
-    if (!loading && workerReady && processedData) {
-      workerUpdateVisibleNodes(0, 'high');
-    }
-  }, [loading, workerReady, processedData, workerUpdateVisibleNodes]);
-
-  // 优化初始数据加载和处理
-  useEffect(() => {
-    if (!loading && treeData && treeData.length > 0 && processedData) {
-      // 数据已加载，立即进行初始处理
-      if (performanceMode && workerReady) {
-        // Worker已就绪，立即高优先级更新可见节点
-        workerUpdateVisibleNodes(scrollTop, 'high');
-      } else {
-        // 主线程处理，立即更新可见节点
-        updateVisibleNodesMainThread();
-      }
-    }
-  }, [loading, treeData, processedData, performanceMode, workerReady, scrollTop, updateVisibleNodesMainThread, workerUpdateVisibleNodes]);
-
-  // 处理Worker消息
-  const handleWorkerMessage = useCallback((event) => {
-    const { type, ...data } = event.data;
-    
-    switch (type) {
-      case 'initialized':
-        setWorkerReady(true);
-        setTotalHeight(data.totalHeight || 0);
-        // 初始化后更新可见节点
-        if (containerRef.current) {
-          workerUpdateVisibleNodes(containerRef.current.scrollTop || 0, 'high');
-        }
-        break;
-        
-      case 'visibleNodesUpdated':
-        setVisibleNodes(data.visibleNodes || []);
-        setTotalHeight(data.totalHeight || 0);
-        
-        // 通知可见节点数量变化
-        if (typeof onVisibleNodesChange === 'function') {
-          onVisibleNodesChange(data.visibleNodes?.length || 0);
-        }
-        break;
-        
-      case 'nodeToggled':
-        setTotalHeight(data.totalHeight || 0);
-        // 更新节点展开状态
-        if (data.nodeId && processedDataRef.current?.nodeMap.has(data.nodeId)) {
-          const node = processedDataRef.current.nodeMap.get(data.nodeId);
-          node.expanded = data.expanded;
-        }
-        
-        // 更新expandedKeys
-        if (data.expanded) {
-          setExpandedKeys(prev => prev.includes(data.nodeId) ? prev : [...prev, data.nodeId]);
-        } else {
-          setExpandedKeys(prev => prev.filter(key => key !== data.nodeId));
-        }
-        break;
-        
-      case 'searchComplete':
-        setSearchLoading(false);
-        // 搜索完成后更新展开键
-        if (data.expandedKeys && data.expandedKeys.length > 0) {
-          setExpandedKeys(prev => {
-            const merged = [...prev, ...data.expandedKeys];
-            return [...new Set(merged)]; // 去重
-          });
-        }
-        // 更新匹配的键
-        if (data.matchResult) {
-          setMatchedKeys(data.matchResult.matches || []);
-        }
-        break;
-        
-      default:
-        console.log('未处理的Worker消息类型:', type);
-    }
-  }, [onVisibleNodesChange, workerUpdateVisibleNodes]);
-
-  // 初始化Worker
-  useEffect(() => {
-    if (!performanceMode) return;
-    
-    try {
-      // 创建Worker
-      const worker = createTreeWorker();
-      
-      if (worker) {
-        workerRef.current = worker;
-        
-        // 设置Worker消息处理
-        worker.onmessage = handleWorkerMessage;
-        worker.onerror = (error) => {
-          console.error('Worker错误:', error);
-          setWorkerError(error);
-          setWorkerReady(false);
-          if (options.onWorkerError) {
-            options.onWorkerError(error);
-          }
-        };
-        
-        // 初始化Worker数据
-        if (processedData && processedData.flattenedData && processedData.flattenedData.length > 0) {
-          worker.postMessage({
-            type: 'initialize',
-            flattenedData: processedData.flattenedData
-          });
-        }
-      }
-    } catch (error) {
-      console.error('初始化Worker失败:', error);
-      setWorkerError(error);
-      if (options.onWorkerError) {
-        options.onWorkerError(error);
-      }
-    }
-    
-    // 组件销毁时终止Worker
-    return () => {
-      if (workerRef.current) {
-        workerRef.current.terminate();
-        workerRef.current = null;
-      }
-    };
-  }, [performanceMode, processedData, handleWorkerMessage, options]);
+// 获取安全的transition函数
+const safeStartTransition = getSafeTransition();
 
-  // 提供Worker方法
-  const workerApi = {
-    // 切换节点展开状态
-    toggleNode: useCallback((nodeId, expanded) => {
-      if (!workerRef.current || !workerReady) return;
-      workerRef.current.postMessage({
-        type: 'toggleNode',
-        nodeId,
-        expanded
-      });
-    }, [workerReady]),
-    
-    // 搜索节点
-    search: useCallback((term) => {
-      if (!workerRef.current || !workerReady) return;
-      workerRef.current.postMessage({
-        type: 'search',
-        searchTerm: term
-      });
-    }, [workerReady]),
-    
-    // 更新节点
-    updateNodes: useCallback((nodes) => {
-      if (!workerRef.current || !workerReady) return;
-      workerRef.current.postMessage({
-        type: 'updateNodes',
-        updatedNodes: nodes
-      });
-    }, [workerReady]),
-    
-    // 更新可见节点
-    workerUpdateVisibleNodes
-  };
+/**
+ * 创建树Worker客户端，消息格式见 utils/treeWorkerProtocol
+ * @param {Function} onError Worker出现未捕获错误时的回调
+ * @returns {Object|null} 客户端，浏览器不支持时返回null
+ */
+const createTreeWorker = (onError) => {
+  try {
+    // Worker由Vite打包，与主线程共用src/utils中的模块
+    const worker = new Worker(new URL('../../workers/treeWorker.js', import.meta.url), { type: 'module' });
+    return createTreeWorkerClient(worker, { onError });
+  } catch (error) {
+    console.error('创建Worker失败:', error);
+    return null;
+  }
+};
 
-  return {
-    worker: workerRef.current,
-    workerReady,
-    workerError,
-    ...workerApi
-  };
+// Worker请求的超时时间(ms)，超时后改由主线程计算
+const WORKER_REQUEST_TIMEOUT = 5000;
+const WORKER_INIT_TIMEOUT = 30000;
+
+// 发给Worker的节点记录只保留这些字段，children等其余字段不复制
+const WORKER_RECORD_FIELDS = ['key', 'id', 'parentId', 'expanded', ...SEARCH_FIELDS.map(({ field }) => field)];
+
+/**
+ * 生成发给Worker的节点记录
+ * @param {Object} node 节点
+ * @param {Number|Function} nodeHeight 固定行高，或根据节点返回行高的函数
+ * @returns {Object} 节点记录
+ */
+const toWorkerRecord = (node, nodeHeight) => {
+  const record = { rowHeight: typeof nodeHeight === 'function' ? nodeHeight(node) : nodeHeight };
+  WORKER_RECORD_FIELDS.forEach(field => {
+    if (node[field] !== undefined) record[field] = node[field];
+  });
+  return record;
+};
+
+/**
+ * 取消ref中进行中的请求，换成新请求的AbortController
+ * @param {Object} requestRef 保存AbortController的ref
+ * @returns {AbortController} 新请求的AbortController
+ */
+const replaceRequest = (requestRef) => {
+  if (requestRef.current) requestRef.current.abort();
+  requestRef.current = new AbortController();
+  return requestRef.current;
 };
 
 // 增加缓冲区大小，提高滚动流畅度
@@ -1122,9 +375,41 @@ const useVirtualScroll = (options) => {
   };
 };
 
-const VirtualAntTree = ({
+/**
+ * 受控/非受控状态合并
+ * 传入value时为受控模式，内部状态不再变化，只能通过外部props更新
+ * @param {*} value 受控值，undefined表示非受控
+ * @param {*} defaultValue 非受控模式下的初始值
+ * @returns {Array} [当前值, 更新函数, 是否受控]
+ */
+const useMergedState = (value, defaultValue) => {
+  const isControlled = value !== undefined;
+  const [innerValue, setInnerValue] = useState(defaultValue);
+  const mergedValue = isControlled ? value : innerValue;
+
+  // 使用ref保存最新值，保证同一帧内的连续更新能基于上一次的结果计算
+  const valueRef = useRef(mergedValue);
+  const controlledRef = useRef(isControlled);
+  valueRef.current = mergedValue;
+  controlledRef.current = isControlled;
+
+  const setMergedValue = useCallback((updater) => {
+    const nextValue = typeof updater === 'function' ? updater(valueRef.current) : updater;
+    valueRef.current = nextValue;
+
+    // 受控模式下只计算新值，由外部通过回调决定是否采纳
+    if (!controlledRef.current) {
+      setInnerValue(nextValue);
+    }
+  }, []);
+
+  return [mergedValue, setMergedValue, isControlled];
+};
+
+const ObjectVirtualTree = forwardRef(function ObjectVirtualTree({
   treeData = [],
   height = 500,
+  itemHeight = NODE_HEIGHT,
   loading = false,
   performanceMode = true, // 默认启用高性能模式
   showSearch = true,
@@ -1136,25 +421,43 @@ const VirtualAntTree = ({
   onSelect,
   onCheck,
   onExpand,
+  expandedKeys: expandedKeysProp,
+  checkedKeys: checkedKeysProp,
+  selectedKeys: selectedKeysProp,
   defaultExpandedKeys = [],
   defaultSelectedKeys = [],
   defaultCheckedKeys = [],
   defaultExpandAll = false,
+  checkStrictly = false,
+  showCheckedStrategy = SHOW_ALL,
+  draggable = false,
+  allowDrop = defaultAllowDrop,
+  onDrop,
   selectable = true,
   showIcon = true,
   showLine = false,
   blockNode = true,
   autoExpandParent = true,
+  searchResultView = 'tree',
+  searchMode = 'filter',
+  searchHistory = false,
+  searchHistoryStorage,
+  searchHistoryKey = 'virtual-ant-tree-search-history',
+  showFilter = false,
+  onFilterChange,
   loadData = null,
   onLoad,
   onVisibleNodesChange
-}) => {
+}, ref) {
   // 状态定义
   const [isLoading, setIsLoading] = useState(loading);
   const [visibleNodes, setVisibleNodes] = useState([]);
-  const [expandedKeys, setExpandedKeys] = useState(defaultExpandedKeys || []);
-  const [checkedKeys, setCheckedKeys] = useState(defaultCheckedKeys || []);
-  const [selectedKeys, setSelectedKeys] = useState(defaultSelectedKeys || []);
+  const [expandedKeys, setExpandedKeys, isExpandedControlled] = useMergedState(
+    expandedKeysProp,
+    defaultExpandedKeys || []
+  );
+  const [checkedKeys, setCheckedKeys] = useMergedState(checkedKeysProp, defaultCheckedKeys || []);
+  const [selectedKeys, setSelectedKeys] = useMergedState(selectedKeysProp, defaultSelectedKeys || []);
   const [matchedKeys, setMatchedKeys] = useState([]);
   const [searchValue, setSearchValue] = useState('');
   const [searchLoading, setSearchLoading] = useState(false);
@@ -1162,6 +465,32 @@ const VirtualAntTree = ({
   const [totalHeight, setTotalHeight] = useState(0);
   const [forceUpdate, setForceUpdate] = useState(0);
   const [matchCount, setMatchCount] = useState(0);
+  // 按得分排序的搜索结果[{ key, score, matchedField, ranges }]
+  const [searchResults, setSearchResults] = useState([]);
+  // 当前定位到的匹配项在导航顺序中的位置，-1表示尚未定位
+  const [activeMatchIndex, setActiveMatchIndex] = useState(-1);
+  // 属性筛选条件，格式见 utils/attributeFilter
+  const [filters, setFilters] = useState({});
+  // 节点键 -> 搜索结果，渲染时取命中区间
+  const searchResultMap = useMemo(
+    () => new Map(searchResults.map(result => [result.key, result])),
+    [searchResults]
+  );
+  // 非受控模式下顶级节点是否默认展开，collapseAll后关闭
+  const [expandRootByDefault, setExpandRootByDefault] = useState(true);
+  // 键盘焦点所在节点，焦点始终保留在容器上，节点移出视口后仍能恢复
+  const [focusedKey, setFocusedKey] = useState(null);
+  // 树结构增量修改的版本号
+  const [treeRevision, setTreeRevision] = useState(0);
+  // 拖拽中的节点和当前放置位置{ key, position }
+  const [dragKey, setDragKey] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // 右键菜单对应的节点和位置{ key, x, y }
+  const [contextMenu, setContextMenu] = useState(null);
+  // 异步加载中的节点和加载失败的节点（key -> error）
+  const [loadingKeys, setLoadingKeys] = useState(() => new Set());
+  const [loadErrors, setLoadErrors] = useState(() => new Map());
+  const treeId = useId();
 
   // Worker相关状态
   const [workerReady, setWorkerReady] = useState(false);
@@ -1171,244 +500,402 @@ const VirtualAntTree = ({
   const containerRef = useRef(null);
   const processedDataRef = useRef(null);
   const searchTimerRef = useRef(null);
+  // 树Worker客户端
   const workerRef = useRef(null);
+  // Worker维护的可见节点序列：共享内存时为缓冲区视图{ views }，否则为Worker发回的副本{ layout }
+  const workerLayoutRef = useRef(null);
+  // 同步给Worker的树结构版本号，每次插入、删除加一，可见节点序列的版本号与之不一致时已过期
+  const layoutVersionRef = useRef(0);
+  // 进行中的可见节点请求和搜索请求，发起新请求时取消旧的
+  const visibleRequestRef = useRef(null);
+  const searchRequestRef = useRef(null);
+  // 每个树实例独立的搜索索引，节点增删改只更新本实例的索引
+  const searchServiceRef = useRef(null);
+  if (!searchServiceRef.current) {
+    searchServiceRef.current = createSearchService();
+  }
   const lastSelectedNodeRef = useRef(null);
+  const lastCheckedKeyRef = useRef(null);
+  const pendingScrollRef = useRef(null);
+  // 进入搜索或属性筛选前的展开状态，两者都清除后恢复
+  const preSearchExpandedKeysRef = useRef(null);
+  const loadingPromisesRef = useRef(new Map());
 
   // 使用安全的useTransition
   const [isPending, startTransition] = useSafeTransition();
 
-  // 处理TreeData
+  // 行高函数保存在ref中，避免内联函数导致每次渲染都重新处理数据
+  const itemHeightRef = useRef(itemHeight);
+  itemHeightRef.current = itemHeight;
+  const isFixedHeight = typeof itemHeight === 'number';
+  const itemHeightKey = isFixedHeight ? itemHeight : 'variable';
+  // 固定高度时直接按数值计算，可变高度时按节点行高构建偏移索引
+  const nodeHeightOption = isFixedHeight ? itemHeight : getRowHeight;
+  // 估算视口行数用的行高，可变高度时按默认行高估算
+  const estimatedRowHeight = isFixedHeight ? Math.max(1, itemHeight) : NODE_HEIGHT;
+
+  // 处理TreeData，只生成树结构；insertNode等增量修改会原地更新该结果
+  const baseData = useMemo(() => {
+    return processTreeData(treeData, {
+      itemHeight: itemHeightKey === 'variable' ? itemHeightRef.current : itemHeightKey
+    });
+  }, [treeData, itemHeightKey]);
+  
+  // 在树结构上应用展开、选中和勾选状态，记录状态变化的节点以便增量同步给Worker
   const processedData = useMemo(() => {
-    // 使用工具函数扁平化处理树数据
-    const result = processTreeData(treeData, {
-      defaultExpandAll,
-      defaultExpandedKeys: expandedKeys,
-      defaultSelectedKeys: selectedKeys,
-      defaultCheckedKeys: checkedKeys
+    const expandedSet = new Set(expandedKeys);
+    const selectedSet = new Set(selectedKeys);
+    // 受控模式下展开状态完全由expandedKeys决定
+    const expandAll = defaultExpandAll && !isExpandedControlled;
+    const expandRoot = !isExpandedControlled && expandRootByDefault;
+    
+    // 勾选值可能只包含父节点或叶子节点（取决于showCheckedStrategy），联动模式下还原出完整的勾选与半选状态
+    let checkedKeySet;
+    let halfCheckedKeySet;
+    if (checkStrictly) {
+      checkedKeySet = new Set(checkedKeys);
+      halfCheckedKeySet = new Set();
+    } else {
+      const conducted = conductCheckedKeys(baseData.flattenedData, checkedKeys, baseData.treeIndex);
+      checkedKeySet = conducted.checkedKeys;
+      halfCheckedKeySet = conducted.halfCheckedKeys;
+    }
+    
+    const changedNodes = [];
+    baseData.flattenedData.forEach(node => {
+      const expanded = expandAll || (expandRoot && node.level === 0) || expandedSet.has(node.key);
+      const selected = selectedSet.has(node.key);
+      const checked = checkedKeySet.has(node.key);
+      const indeterminate = halfCheckedKeySet.has(node.key);
+      
+      if (node.expanded !== expanded || node.selected !== selected ||
+          node.checked !== checked || node.indeterminate !== indeterminate) {
+        node.expanded = expanded;
+        node.selected = selected;
+        node.checked = checked;
+        node.indeterminate = indeterminate;
+        changedNodes.push(node);
+      }
     });
     
+    const result = {
+      ...baseData,
+      checkedKeySet,
+      halfCheckedKeySet,
+      changedNodes,
+      revision: treeRevision
+    };
+    
     // 保存处理结果到ref，以便在回调中访问
     processedDataRef.current = result;
     return result;
-  }, [treeData, defaultExpandAll, expandedKeys, selectedKeys, checkedKeys]);
+  }, [baseData, treeRevision, defaultExpandAll, expandedKeys, selectedKeys, checkedKeys, checkStrictly, isExpandedControlled, expandRootByDefault]);
+  
+  // 将勾选节点按showCheckedStrategy转换为对外的勾选值
+  // checkStrictly模式下父子不联动，SHOW_PARENT和SHOW_CHILD不生效
+  const toCheckedValue = useCallback((keys) => {
+    const { flattenedData, nodeMap, treeIndex } = processedDataRef.current;
+    
+    if (checkStrictly) {
+      return formatCheckedKeys(keys, nodeMap, showCheckedStrategy === SHOW_USER ? SHOW_USER : SHOW_ALL);
+    }
+    
+    const { checkedKeys: fullKeys } = conductCheckedKeys(flattenedData, keys, treeIndex);
+    return formatCheckedKeys(fullKeys, nodeMap, showCheckedStrategy);
+  }, [checkStrictly, showCheckedStrategy]);
+  
+  // Worker相关函数，请求的结果通过Promise返回，消息格式见 utils/treeWorkerProtocol
+  // Worker出错或请求超时后停用Worker，workerError使各处改由主线程计算
+  const fallbackToMainThread = useCallback((error) => {
+    console.error('Worker不可用，改由主线程计算:', error);
+    setWorkerError(error);
+    setWorkerReady(false);
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  }, []);
+  
+  // 发送请求，失败时返回null；被取消或Worker被终止（卸载或重建）导致的AbortError直接忽略
+  const workerRequest = useCallback((type, payload, options) => {
+    if (!workerRef.current || !workerReady) return Promise.resolve(null);
+    
+    return workerRef.current.request(type, payload, { timeout: WORKER_REQUEST_TIMEOUT, ...options }).catch(error => {
+      if (!isAbortError(error)) {
+        fallbackToMainThread(error);
+      }
+      return null;
+    });
+  }, [workerReady, fallbackToMainThread]);
   
-  // Worker相关函数
-  // 使用Worker更新可见节点
+  // 记录Worker应答中的可见节点序列，共享内存换用新缓冲区时更新视图
+  const installWorkerLayout = useCallback((result) => {
+    if (result.buffer) {
+      workerLayoutRef.current = { views: getTreeBufferViews(result.buffer) };
+    } else if (result.layout) {
+      workerLayoutRef.current = { layout: result.layout };
+    }
+  }, []);
+  
+  // 读取当前的可见节点序列
+  const getWorkerLayout = useCallback(() => {
+    const { views, layout } = workerLayoutRef.current || {};
+    return views ? readVisibleLayout(views) : layout || null;
+  }, []);
+  
+  // 使用Worker更新可见节点，Worker只返回索引范围，由主线程映射为节点；新的请求会取消尚未返回的旧请求
   const workerUpdateVisibleNodes = useCallback((scrollTop, priority = 'normal') => {
-    if (!workerRef.current || !workerReady) return;
+    const controller = replaceRequest(visibleRequestRef);
     
-    workerRef.current.postMessage({
-      type: 'updateVisibleNodes',
+    workerRequest(MessageType.UPDATE_VISIBLE_NODES, {
       scrollTop,
       viewportHeight: height,
-      buffer: Math.ceil(height / NODE_HEIGHT) + 10,
-      priority
+      overscan: Math.ceil(height / estimatedRowHeight) + 10
+    }, { priority, signal: controller.signal }).then(result => {
+      const layout = result && getWorkerLayout();
+      if (!layout || !processedDataRef.current || layout.revision !== result.revision) return;
+      // 主线程已修改树结构而Worker尚未应用时，序列中的位置对应旧结构，等待结构修改的应答后再请求
+      if (layout.version !== layoutVersionRef.current) return;
+      
+      const nodes = mapRangeToNodes(processedDataRef.current.flattenedData, layout, result.start, result.end);
+      // 共享内存可能在映射期间被Worker改写，修订号变化时丢弃，新的布局应答会再次请求
+      if (getWorkerLayout().revision !== result.revision) return;
+      
+      setVisibleNodes(nodes);
+      setTotalHeight(result.totalHeight);
+      
+      // 通知可见节点数量变化
+      if (typeof onVisibleNodesChange === 'function') {
+        onVisibleNodesChange(nodes.length);
+      }
     });
-  }, [height, workerReady]);
+  }, [height, estimatedRowHeight, onVisibleNodesChange, workerRequest, getWorkerLayout]);
+  
+  // Worker中的节点或过滤条件变化后更新总高度，并重新获取视口内节点
+  const applyWorkerLayout = useCallback((result) => {
+    if (!result) return;
+    
+    installWorkerLayout(result);
+    setTotalHeight(result.totalHeight);
+    workerUpdateVisibleNodes(containerRef.current?.scrollTop || 0);
+  }, [installWorkerLayout, workerUpdateVisibleNodes]);
   
   // 使用Worker切换节点展开状态
   const workerToggleNode = useCallback((nodeId, expanded) => {
-    if (!workerRef.current || !workerReady) return;
-    
-    workerRef.current.postMessage({
-      type: 'toggleNode',
-      nodeId,
-      expanded
-    });
-  }, [workerReady]);
-  
-  // 使用Worker执行搜索
-  const workerSearch = useCallback((searchTerm) => {
-    if (!workerRef.current || !workerReady) return;
-    
-    workerRef.current.postMessage({
-      type: 'search',
-      searchTerm
+    workerRequest(MessageType.TOGGLE_NODE, { nodeId, expanded }).then(result => {
+      if (!result) return;
+      
+      installWorkerLayout(result);
+      setTotalHeight(result.totalHeight);
+      // 更新节点展开状态
+      if (processedDataRef.current?.nodeMap.has(nodeId)) {
+        processedDataRef.current.nodeMap.get(nodeId).expanded = expanded;
+      }
+      
+      // 更新expandedKeys
+      if (expanded) {
+        setExpandedKeys(prev => prev.includes(nodeId) ? prev : [...prev, nodeId]);
+      } else {
+        setExpandedKeys(prev => prev.filter(key => key !== nodeId));
+      }
+      
+      // 展开状态变化后重新获取视口内节点
+      workerUpdateVisibleNodes(containerRef.current?.scrollTop || 0, 'high');
     });
-  }, [workerReady]);
+  }, [setExpandedKeys, workerRequest, workerUpdateVisibleNodes, installWorkerLayout]);
   
   // 更新Worker中的节点数据
   const workerUpdateNodes = useCallback((nodes) => {
-    if (!workerRef.current || !workerReady) return;
-    
-    workerRef.current.postMessage({
-      type: 'updateNodes',
+    workerRequest(MessageType.UPDATE_NODES, {
       nodes: Array.isArray(nodes) ? nodes : [nodes]
-    });
-  }, [workerReady]);
+    }).then(applyWorkerLayout);
+  }, [applyWorkerLayout, workerRequest]);
   
-  // 处理Worker消息
-  const handleWorkerMessage = useCallback((event) => {
-    const { type, ...data } = event.data;
-    
-    switch (type) {
-      case 'initialized':
-        setWorkerReady(true);
-        setTotalHeight(data.totalHeight || 0);
-        // 初始化后更新可见节点
-        if (containerRef.current) {
-          workerUpdateVisibleNodes(containerRef.current.scrollTop || 0, 'high');
-        }
-        break;
-        
-      case 'visibleNodesUpdated':
-        setVisibleNodes(data.visibleNodes || []);
-        setTotalHeight(data.totalHeight || 0);
-        
-        // 通知可见节点数量变化
-        if (typeof onVisibleNodesChange === 'function') {
-          onVisibleNodesChange(data.visibleNodes?.length || 0);
-        }
-        break;
-        
-      case 'nodeToggled':
-        setTotalHeight(data.totalHeight || 0);
-        // 更新节点展开状态
-        if (data.nodeId && processedDataRef.current?.nodeMap.has(data.nodeId)) {
-          const node = processedDataRef.current.nodeMap.get(data.nodeId);
-          node.expanded = data.expanded;
-        }
-        
-        // 更新expandedKeys
-        if (data.expanded) {
-          setExpandedKeys(prev => prev.includes(data.nodeId) ? prev : [...prev, data.nodeId]);
-        } else {
-          setExpandedKeys(prev => prev.filter(key => key !== data.nodeId));
-        }
-        break;
-        
-      case 'searchComplete':
-        setSearchLoading(false);
-        // 搜索完成后更新展开键
-        if (data.expandedKeys && data.expandedKeys.length > 0) {
-          setExpandedKeys(prev => {
-            const merged = [...prev, ...data.expandedKeys];
-            return [...new Set(merged)]; // 去重
-          });
-        }
-        // 更新匹配的键
-        if (data.matchResult) {
-          setMatchedKeys(data.matchResult.matches || []);
-        }
-        break;
-        
-      default:
-        console.log('未处理的Worker消息类型:', type);
+  // 结果列表视图：搜索时按得分平铺匹配节点，代替树形展示
+  const isResultListView = searchResultView === 'list' && !!searchValue;
+  
+  // 满足属性筛选条件的节点，没有启用的条件时为null
+  const attributeFilterKeys = useMemo(
+    () => getFilteredKeys(processedData.flattenedData, filters),
+    [processedData, filters]
+  );
+  
+  // 搜索过滤保留的节点，highlight模式不按文本过滤
+  // 同时有属性筛选时，文本匹配节点须同时满足筛选条件；只有属性筛选时保留满足条件的节点及其祖先
+  const searchFilterKeys = useMemo(() => {
+    const textFiltering = !!searchValue && searchMode !== 'highlight';
+    if (!textFiltering) {
+      return attributeFilterKeys ? getSearchFilterKeys(processedData, attributeFilterKeys, 'filter') : null;
     }
-  }, [onVisibleNodesChange, workerUpdateVisibleNodes]);
+    const keys = attributeFilterKeys ? matchedKeys.filter(key => attributeFilterKeys.has(key)) : matchedKeys;
+    return getSearchFilterKeys(processedData, keys, searchMode);
+  }, [processedData, matchedKeys, searchMode, searchValue, attributeFilterKeys]);
   
-  // 主线程更新可见节点
-  const updateVisibleNodesMainThread = useCallback(() => {
-    const { flattenedData, visibilityCache } = processedDataRef.current || processedData;
-    
-    // 获取可见节点
-    const vNodes = getVisibleNodes(flattenedData, { 
+  // 各分面取值的节点数，按文本过滤时只统计文本匹配的节点
+  const facetCounts = useMemo(() => {
+    if (!showFilter) return null;
+    const baseKeys = searchValue && searchMode !== 'highlight' ? new Set(matchedKeys) : null;
+    return getFacetCounts(processedData.flattenedData, filters, baseKeys);
+  }, [showFilter, processedData, filters, matchedKeys, searchMode, searchValue]);
+  
+  // 获取当前完整的可见节点列表（不限于视口）
+  const getVisibleNodeList = useCallback(() => {
+    if (!processedDataRef.current) return [];
+    
+    const { flattenedData, visibilityCache, treeIndex, nodeMap } = processedDataRef.current;
+    if (isResultListView) {
+      return searchResults
+        .filter(result => !attributeFilterKeys || attributeFilterKeys.has(result.key))
+        .map(result => nodeMap.get(result.key))
+        .filter(Boolean);
+    }
+    return getVisibleNodes(flattenedData, {
       expandedKeys,
       visibilityCache,
-      searchValue
+      treeIndex,
+      filterKeys: searchFilterKeys
     });
-    
-    // 更新总高度
-    setTotalHeight(vNodes.length * NODE_HEIGHT);
-    
-    // 更新视口内节点
-    updateNodesInViewport(vNodes);
-  }, [expandedKeys, processedData, searchValue]);
+  }, [attributeFilterKeys, expandedKeys, isResultListView, searchFilterKeys, searchResults]);
   
   // 更新视口内需要渲染的节点
-  const updateNodesInViewport = useCallback((vNodes) => {
+  const updateNodesInViewport = useCallback((vNodes, offsetIndex) => {
     if (!containerRef.current) return;
     
     const currentScrollTop = containerRef.current.scrollTop;
     
-    if (performanceMode && !workerError && workerReady) {
+    // 结果列表只在主线程维护，不经过Worker
+    if (performanceMode && !workerError && workerReady && !isResultListView) {
       workerUpdateVisibleNodes(currentScrollTop);
     } else {
       const nodes = getNodesInViewport(vNodes, {
         scrollTop: currentScrollTop,
         viewportHeight: height,
-        nodeHeight: NODE_HEIGHT,
-        overscan: 10
+        nodeHeight: nodeHeightOption,
+        overscan: 10,
+        offsetIndex
       });
       
       setVisibleNodes(nodes);
     }
-  }, [performanceMode, height, workerError, workerReady, workerUpdateVisibleNodes]);
+  }, [performanceMode, height, nodeHeightOption, workerError, workerReady, workerUpdateVisibleNodes, isResultListView]);
+  
+  // 主线程更新可见节点
+  const updateVisibleNodesMainThread = useCallback(() => {
+    // 获取可见节点
+    const vNodes = getVisibleNodeList();
+    
+    // 更新总高度
+    const offsetIndex = buildOffsetIndex(vNodes, nodeHeightOption);
+    setTotalHeight(offsetIndex.totalHeight);
+    
+    // 更新视口内节点
+    updateNodesInViewport(vNodes, offsetIndex);
+  }, [getVisibleNodeList, nodeHeightOption, updateNodesInViewport]);
   
-  // 初始化Worker
+  // 初始化Worker，Worker出错停用后不再重建
   useEffect(() => {
-    if (!performanceMode) return;
-
-    try {
-      // 创建Worker
-      const worker = createTreeWorker();
+    if (!performanceMode || workerError) return;
+    
+    const client = createTreeWorker(fallbackToMainThread);
+    if (!client) return;
+    workerRef.current = client;
+    
+    // 初始化Worker数据，之后的状态变化和结构修改都增量同步
+    // 树结构和状态写入缓冲区交给Worker，节点只发送搜索需要的字段
+    const { flattenedData, treeIndex } = processedDataRef.current || baseData;
+    if (flattenedData && flattenedData.length > 0) {
+      const buffer = createTreeBuffer(flattenedData.length, { version: layoutVersionRef.current });
+      const views = getTreeBufferViews(buffer);
+      writeTreeBuffer(views, flattenedData, treeIndex, { nodeHeight: nodeHeightOption });
       
-      if (worker) {
-        workerRef.current = worker;
-        
-        // 设置Worker消息处理
-        worker.onmessage = handleWorkerMessage;
-        worker.onerror = (error) => {
-          console.error('Worker错误:', error);
-          setWorkerError(error);
-          setWorkerReady(false);
-        };
-        
-        // 初始化Worker数据
-        if (processedData && processedData.flattenedData && processedData.flattenedData.length > 0) {
-          worker.postMessage({
-            type: 'initialize',
-            flattenedData: processedData.flattenedData
-          });
-        }
-      }
-    } catch (error) {
-      console.error('初始化Worker失败:', error);
-      setWorkerError(error);
+      // 共享内存由两边同时持有；普通ArrayBuffer整块转移给Worker，之后从应答的layout读取可见节点序列
+      const shared = isSharedTreeBuffer(buffer);
+      workerLayoutRef.current = shared ? { views } : null;
+      client.initialize(
+        flattenedData.map(node => toWorkerRecord(node, nodeHeightOption)),
+        buffer,
+        { timeout: WORKER_INIT_TIMEOUT, transfer: shared ? [] : [buffer] }
+      ).then(result => {
+        installWorkerLayout(result);
+        setWorkerReady(true);
+        setTotalHeight(result.totalHeight);
+      }).catch(error => {
+        if (!isAbortError(error)) fallbackToMainThread(error);
+      });
     }
     
-    // 组件销毁时终止Worker
+    // 组件销毁或数据重建时终止Worker，未完成的请求随之取消
     return () => {
-      if (workerRef.current) {
-        workerRef.current.terminate();
+      client.terminate();
+      if (workerRef.current === client) {
         workerRef.current = null;
+        workerLayoutRef.current = null;
       }
     };
-  }, [performanceMode, processedData, handleWorkerMessage]);
+  }, [performanceMode, baseData, workerError, nodeHeightOption, fallbackToMainThread, installWorkerLayout]);
+  
+  // 展开、选中、勾选状态变化的节点增量同步给Worker
+  useEffect(() => {
+    if (!performanceMode || workerError || !workerReady) return;
+    
+    const { changedNodes } = processedData;
+    if (changedNodes.length > 0) {
+      workerUpdateNodes(changedNodes.map(node => ({
+        id: node.id,
+        expanded: node.expanded,
+        selected: node.selected,
+        checked: node.checked,
+        indeterminate: node.indeterminate
+      })));
+    }
+  }, [processedData, performanceMode, workerError, workerReady, workerUpdateNodes]);
+  
+  // 搜索过滤条件同步给Worker，Worker按同样的规则计算可见节点
+  useEffect(() => {
+    if (!performanceMode || workerError || !workerReady) return;
+    
+    workerRequest(MessageType.SET_FILTER, {
+      nodeIds: searchFilterKeys ? Array.from(searchFilterKeys) : null
+    }).then(applyWorkerLayout);
+  }, [searchFilterKeys, performanceMode, workerError, workerReady, workerRequest, applyWorkerLayout]);
+  
+  // 树数据或受控状态变化后，主线程模式下重新计算可见节点
+  useEffect(() => {
+    if (performanceMode && !workerError && workerReady && !isResultListView) return;
+    updateVisibleNodesMainThread();
+  }, [processedData, performanceMode, workerError, workerReady, isResultListView, updateVisibleNodesMainThread]);
   
   // 监听loading属性变化
   useEffect(() => {
     setIsLoading(loading);
     
     // 当loading结束时，立即高优先级请求可见节点
-    if (!loading && workerReady && processedData) {
+    if (!loading && workerReady && baseData) {
       workerUpdateVisibleNodes(0, 'high');
     }
-  }, [loading, workerReady, processedData, workerUpdateVisibleNodes]);
+  }, [loading, workerReady, baseData, workerUpdateVisibleNodes]);
   
   // 处理滚动事件
   const handleScroll = useCallback((e) => {
     const newScrollTop = e.target.scrollTop;
     setScrollTop(newScrollTop);
+    // 滚动后右键菜单与节点位置错开，直接关闭
+    setContextMenu(null);
 
     // 使用requestAnimationFrame优化滚动性能
     requestAnimationFrame(() => {
-      if (performanceMode && !workerError && workerReady) {
-        workerUpdateVisibleNodes(newScrollTop);
+      if (performanceMode && !workerError && workerReady && !isResultListView) {
+        // 滚动最影响体验，不排队；尚未返回的上一次滚动请求会被取消
+        workerUpdateVisibleNodes(newScrollTop, 'high');
       } else {
         // 主线程计算可见节点
         if (processedDataRef.current) {
-          const { flattenedData, visibilityCache } = processedDataRef.current;
-          
-          const vNodes = getVisibleNodes(flattenedData, { 
-            expandedKeys,
-            visibilityCache
-          });
+          const vNodes = getVisibleNodeList();
           
           const nodes = getNodesInViewport(vNodes, {
             scrollTop: newScrollTop,
             viewportHeight: height,
-            nodeHeight: NODE_HEIGHT,
+            nodeHeight: nodeHeightOption,
             overscan: 10
           });
           
@@ -1416,7 +903,152 @@ const VirtualAntTree = ({
         }
       }
     });
-  }, [expandedKeys, height, performanceMode, workerError, workerReady, workerUpdateVisibleNodes]);
+  }, [getVisibleNodeList, height, nodeHeightOption, performanceMode, workerError, workerReady, workerUpdateVisibleNodes, isResultListView]);
+  
+  // 将结构修改同步给Worker，受影响父节点的子节点列表和兄弟节点位置信息一并更新
+  const syncTreeMutation = useCallback(({ removedNodes = [], insertedNodes = [], parentKeys = [] }) => {
+    // 节点数组被原地修改，增量更新搜索索引
+    searchServiceRef.current.applyChanges({ removedNodes, insertedNodes });
+    
+    if (!performanceMode || workerError || !workerReady) return;
+    
+    const { flattenedData, nodeMap, treeIndex } = baseData;
+    
+    if (removedNodes.length > 0) {
+      workerRequest(MessageType.REMOVE_NODES, {
+        nodeIds: removedNodes.map(node => node.id),
+        version: ++layoutVersionRef.current
+      }).then(applyWorkerLayout);
+    }
+    
+    if (insertedNodes.length > 0) {
+      const endPosition = treeIndex.positions.get(insertedNodes[0].key) + insertedNodes.length;
+      workerRequest(MessageType.INSERT_NODES, {
+        beforeId: flattenedData[endPosition]?.id ?? null,
+        nodes: insertedNodes.map(node => toWorkerRecord(node, nodeHeightOption)),
+        version: ++layoutVersionRef.current
+      }).then(applyWorkerLayout);
+    }
+    
+    const updatedNodes = new Map();
+    new Set(parentKeys).forEach(parentKey => {
+      if (parentKey != null && nodeMap.has(parentKey)) {
+        updatedNodes.set(parentKey, nodeMap.get(parentKey));
+      }
+      getChildKeys(baseData, parentKey).forEach(key => updatedNodes.set(key, nodeMap.get(key)));
+    });
+    if (updatedNodes.size > 0) {
+      workerUpdateNodes(Array.from(updatedNodes.values(), node => toWorkerRecord(node, nodeHeightOption)));
+    }
+  }, [baseData, performanceMode, workerError, workerReady, nodeHeightOption, workerRequest, workerUpdateNodes, applyWorkerLayout]);
+  
+  // 在父节点下插入节点（可包含子树），parentKey为null时插入到顶层
+  const insertNode = useCallback((parentKey, node, index) => {
+    const insertedNodes = insertTreeNode(baseData, parentKey ?? null, node, index, {
+      itemHeight: itemHeightRef.current
+    });
+    if (!insertedNodes) return false;
+    
+    syncTreeMutation({ insertedNodes, parentKeys: [parentKey ?? null] });
+    setTreeRevision(prev => prev + 1);
+    return true;
+  }, [baseData, syncTreeMutation]);
+  
+  // 删除节点及其子树
+  const removeNode = useCallback((key) => {
+    const removedNodes = removeTreeNode(baseData, key);
+    if (!removedNodes) return false;
+    
+    syncTreeMutation({ removedNodes, parentKeys: [removedNodes[0].parentId] });
+    setTreeRevision(prev => prev + 1);
+    return true;
+  }, [baseData, syncTreeMutation]);
+  
+  // 移动节点及其子树，index为移动后在新兄弟节点中的位置
+  const moveNode = useCallback((key, newParentKey, index) => {
+    const oldParentKey = baseData.nodeMap.get(key)?.parentId ?? null;
+    const movedNodes = moveTreeNode(baseData, key, newParentKey ?? null, index);
+    if (!movedNodes) return false;
+    
+    syncTreeMutation({
+      removedNodes: movedNodes,
+      insertedNodes: movedNodes,
+      parentKeys: [oldParentKey, newParentKey ?? null]
+    });
+    setTreeRevision(prev => prev + 1);
+    return true;
+  }, [baseData, syncTreeMutation]);
+  
+  // 修改节点的名称、职位等业务字段
+  const updateNode = useCallback((key, patch) => {
+    const node = updateTreeNode(baseData, key, patch, { itemHeight: itemHeightRef.current });
+    if (!node) return false;
+    
+    searchServiceRef.current.applyChanges({ updatedNodes: [node] });
+    if (performanceMode && !workerError && workerReady) {
+      workerUpdateNodes([toWorkerRecord(node, nodeHeightOption)]);
+    }
+    setTreeRevision(prev => prev + 1);
+    return true;
+  }, [baseData, performanceMode, workerError, workerReady, nodeHeightOption, workerUpdateNodes]);
+  
+  // 处理节点异步加载，同一节点同时只发起一次请求
+  const handleLoadData = useCallback((node) => {
+    if (!loadData || !node || node.loaded || node.isLeaf) {
+      return Promise.resolve();
+    }
+    
+    const pending = loadingPromisesRef.current.get(node.key);
+    if (pending) return pending;
+    
+    setLoadingKeys(prev => new Set(prev).add(node.key));
+    setLoadErrors(prev => {
+      if (!prev.has(node.key)) return prev;
+      const next = new Map(prev);
+      next.delete(node.key);
+      return next;
+    });
+    
+    const promise = Promise.resolve()
+      .then(() => loadData(node))
+      .then(childNodes => {
+        const currentNode = processedDataRef.current?.nodeMap.get(node.key);
+        
+        // loadData可以直接返回子节点，也可以由外部更新treeData
+        if (Array.isArray(childNodes) && childNodes.length > 0) {
+          insertNode(node.key, childNodes);
+        } else if (currentNode) {
+          currentNode.loaded = true;
+          currentNode.isLeaf = currentNode.children.length === 0;
+          setTreeRevision(prev => prev + 1);
+        }
+        
+        // 触发回调
+        if (onLoad) {
+          onLoad(childNodes, node);
+        }
+      })
+      .catch(error => {
+        console.error('加载子节点失败:', error);
+        setLoadErrors(prev => new Map(prev).set(node.key, error));
+      })
+      .finally(() => {
+        loadingPromisesRef.current.delete(node.key);
+        setLoadingKeys(prev => {
+          const next = new Set(prev);
+          next.delete(node.key);
+          return next;
+        });
+      });
+    
+    loadingPromisesRef.current.set(node.key, promise);
+    return promise;
+  }, [insertNode, loadData, onLoad]);
+  
+  // 重试加载失败的节点
+  const handleRetryLoad = useCallback((nodeId) => {
+    handleLoadData(processedDataRef.current?.nodeMap.get(nodeId));
+  }, [handleLoadData]);
   
   // 处理节点展开/折叠
   const handleToggle = useCallback((nodeId) => {
@@ -1425,6 +1057,21 @@ const VirtualAntTree = ({
 
     const newExpandedState = !node.expanded;
     
+    // 展开未加载的节点时异步加载子节点，加载完成后直接显示在已展开的节点下
+    if (newExpandedState && loadData && !node.loaded && !node.isLeaf) {
+      handleLoadData(node);
+    }
+    
+    const newExpandedKeys = newExpandedState ?
+      [...expandedKeys, nodeId].filter((v, i, a) => a.indexOf(v) === i) :
+      expandedKeys.filter(k => k !== nodeId);
+    
+    // 受控模式下只通知外部，由新的expandedKeys驱动视图更新
+    if (isExpandedControlled) {
+      onExpand && onExpand(newExpandedKeys, { expanded: newExpandedState, node });
+      return;
+    }
+    
     // 更新本地状态
     node.expanded = newExpandedState;
     
@@ -1446,43 +1093,124 @@ const VirtualAntTree = ({
     
     // 触发回调
     if (onExpand) {
-      onExpand(
-        newExpandedState ? 
-          [...expandedKeys, nodeId].filter((v, i, a) => a.indexOf(v) === i) : 
-          expandedKeys.filter(k => k !== nodeId),
-        { 
-          expanded: newExpandedState, 
-          node: processedDataRef.current?.nodeMap.get(nodeId) 
-        }
-      );
+      onExpand(newExpandedKeys, { 
+        expanded: newExpandedState, 
+        node: processedDataRef.current?.nodeMap.get(nodeId) 
+      });
     }
-  }, [expandedKeys, onExpand, performanceMode, updateVisibleNodesMainThread, workerError, workerReady, workerToggleNode]);
+  }, [expandedKeys, handleLoadData, isExpandedControlled, loadData, onExpand, performanceMode, updateVisibleNodesMainThread, workerError, workerReady, workerToggleNode, setExpandedKeys]);
   
-  // 处理清除搜索
+  // 处理清除搜索，恢复搜索前的展开状态
   const handleClearSearch = useCallback(() => {
     setSearchValue('');
     setSearchLoading(false);
     setMatchCount(0);
+    setSearchResults([]);
+    setMatchedKeys([]);
+    setActiveMatchIndex(-1);
+    
+    // 属性筛选仍然启用时保持当前展开状态
+    const previousExpandedKeys = preSearchExpandedKeysRef.current;
+    if (previousExpandedKeys && !hasActiveFilters(filters)) {
+      preSearchExpandedKeysRef.current = null;
+      setExpandedKeys(previousExpandedKeys);
+      if (isExpandedControlled && onExpand) {
+        onExpand(previousExpandedKeys, { expanded: false, node: null });
+      }
+    }
+    
+    // 取消尚未返回的Worker搜索，避免清除后旧结果再次生效
+    if (searchRequestRef.current) {
+      searchRequestRef.current.abort();
+      searchRequestRef.current = null;
+    }
     
     if (processedDataRef.current) {
       const { flattenedData } = processedDataRef.current;
       // 重置匹配状态
-      SearchService.resetMatchState(flattenedData);
+      searchServiceRef.current.resetMatchState(flattenedData);
       // 更新可见性计算
       updateVisibleNodesMainThread();
-    } else if (performanceMode && !workerError && workerReady) {
-      // 使用Worker清除搜索
-      workerSearch('');
     }
-  }, [performanceMode, workerError, workerReady, updateVisibleNodesMainThread, workerSearch]);
+  }, [filters, isExpandedControlled, onExpand, setExpandedKeys, updateVisibleNodesMainThread]);
+  
+  // 展开搜索结果所在路径，受控模式下通过onExpand交由外部更新
+  const expandSearchPath = useCallback((keys) => {
+    if (!keys || keys.length === 0) return;
+    
+    const newKeys = Array.from(new Set([...expandedKeys, ...keys]));
+    setExpandedKeys(newKeys);
+    if (isExpandedControlled && onExpand) {
+      onExpand(newKeys, { expanded: true, node: null, nodeIds: keys });
+    }
+  }, [expandedKeys, isExpandedControlled, onExpand, setExpandedKeys]);
+  
+  // 应用搜索结果，results按得分从高到低排列，每项为{ key, score, matchedField, ranges }
+  const applySearchResults = useCallback((results, ancestorKeys) => {
+    const { nodeMap, treeIndex } = processedDataRef.current;
+    const matchedKeyList = results.map(result => result.key);
+    
+    // 展开匹配节点的祖先；subtree模式下同时展开匹配的部门以显示其子树
+    const keysToExpand = searchMode === 'subtree'
+      ? ancestorKeys.concat(matchedKeyList.filter(key => nodeMap.get(key)?.isLeaf === false))
+      : ancestorKeys;
+    expandSearchPath(keysToExpand);
+    
+    // 更新匹配数量和排序后的结果
+    setMatchCount(results.length);
+    setSearchResults(results);
+    setMatchedKeys(sortKeysByTreeOrder(matchedKeyList, treeIndex));
+  }, [expandSearchPath, searchMode]);
+  
+  // 在主线程搜索，未启用Worker、Worker不可用或Worker搜索失败时使用
+  const mainThreadSearch = useCallback((value) => {
+    if (!processedDataRef.current) return;
+    
+    const { flattenedData, treeIndex } = processedDataRef.current;
+    // 使用搜索服务进行搜索，倒排索引使全量搜索足够快，无需先做部分搜索
+    const searchResult = searchServiceRef.current.searchUsers(flattenedData, value, treeIndex);
+    applySearchResults(toSearchResults(searchResult.matchedNodes), searchResult.expandedKeys);
+    
+    // 更新可见性计算
+    updateVisibleNodesMainThread();
+    
+    // 完成加载状态
+    setSearchLoading(false);
+  }, [applySearchResults, updateVisibleNodesMainThread]);
+  
+  // 使用Worker执行搜索，新的搜索会取消尚未返回的旧搜索，避免旧结果覆盖新结果
+  // 请求超时或Worker出错时Worker被停用，这次搜索改由主线程完成
+  const workerSearch = useCallback((searchTerm) => {
+    const controller = replaceRequest(searchRequestRef);
+    
+    workerRequest(MessageType.SEARCH, { term: searchTerm }, { signal: controller.signal }).then(matchResult => {
+      if (controller.signal.aborted) return;
+      if (!matchResult) {
+        mainThreadSearch(searchTerm);
+        return;
+      }
+      
+      // Worker只标记自己的节点记录，高亮读取的是主线程节点的matched
+      const { nodeMap } = processedDataRef.current;
+      searchServiceRef.current.markMatched(matchResult.matches.map(key => nodeMap.get(key)).filter(Boolean));
+      applySearchResults(matchResult.results.map(({ id, score, matchedField, ranges }) => ({
+        key: id,
+        score,
+        matchedField,
+        ranges
+      })), matchResult.expandedKeys);
+      setSearchLoading(false);
+    });
+  }, [applySearchResults, mainThreadSearch, workerRequest]);
   
   // 处理搜索
-  const handleSearch = useCallback((value, mode = 'complete') => {
+  const handleSearch = useCallback((value) => {
     // 避免相同值的重复设置
-    if (value === searchValue && mode === 'complete') return;
+    if (value === searchValue) return;
     
-    // 更新搜索值
+    // 更新搜索值，新的搜索从头开始导航
     setSearchValue(value);
+    setActiveMatchIndex(-1);
     
     if (!value) {
       // 清除搜索状态
@@ -1490,168 +1218,108 @@ const VirtualAntTree = ({
       return;
     }
     
-    // 显示加载状态
-    if (mode === 'complete') {
-      setSearchLoading(true);
+    // 进入搜索时记录展开状态，清除搜索后恢复
+    if (!preSearchExpandedKeysRef.current) {
+      preSearchExpandedKeysRef.current = expandedKeys;
     }
     
+    // 显示加载状态
+    setSearchLoading(true);
+    
+    // 倒排索引建在Worker中，Worker可用时搜索不占用主线程
+    const runSearch = () => {
+      if (performanceMode && !workerError && workerReady) {
+        workerSearch(value);
+      } else {
+        mainThreadSearch(value);
+      }
+    };
+    
     // 使用安全的useTransition
     if (typeof startTransition === 'function') {
-      startTransition(() => {
-        // 立即执行一次搜索，提供快速反馈
-        if (processedDataRef.current) {
-          const { flattenedData } = processedDataRef.current;
-          
-          // 使用搜索服务进行搜索
-          const searchResult = SearchService.searchUsers(flattenedData, value, mode);
-          
-          // 更新展开的节点
-          if (searchResult.expandedKeys && searchResult.expandedKeys.length > 0) {
-            setExpandedKeys(prev => {
-              const newKeys = new Set([...prev, ...searchResult.expandedKeys]);
-              return Array.from(newKeys);
-            });
-          }
-          
-          // 更新匹配数量
-          setMatchCount(searchResult.matchCount);
-          
-          // 更新可见性计算
-          updateVisibleNodesMainThread();
-          
-          // 完成加载状态
-          if (mode === 'complete') {
-            setSearchLoading(false);
-          }
-        } else if (performanceMode && !workerError && workerReady) {
-          // 使用Worker处理搜索
-          workerSearch(value, mode);
-        }
-      });
+      startTransition(runSearch);
     } else {
-      // 直接执行
-      if (processedDataRef.current) {
-        const { flattenedData } = processedDataRef.current;
-        
-        // 使用搜索服务进行搜索
-        const searchResult = SearchService.searchUsers(flattenedData, value, mode);
-        
-        // 更新展开的节点
-        if (searchResult.expandedKeys && searchResult.expandedKeys.length > 0) {
-          setExpandedKeys(prev => {
-            const newKeys = new Set([...prev, ...searchResult.expandedKeys]);
-            return Array.from(newKeys);
-          });
-        }
-        
-        // 更新匹配数量
-        setMatchCount(searchResult.matchCount);
-        
-        // 更新可见性计算
-        updateVisibleNodesMainThread();
-        
-        // 完成加载状态
-        if (mode === 'complete') {
-          setSearchLoading(false);
-        }
-      } else if (performanceMode && !workerError && workerReady) {
-        // 使用Worker处理搜索
-        workerSearch(value, mode);
-      }
-    }
-  }, [handleClearSearch, performanceMode, workerError, workerReady, searchValue, updateVisibleNodesMainThread, workerSearch, startTransition]);
-
-  // 处理节点异步加载
-  const handleLoadData = useCallback(async (node) => {
-    if (!loadData || node.loaded || node.isLeaf) {
-      return;
+      runSearch();
     }
-
-    // 更新加载状态
-    const currentNode = processedDataRef.current?.nodeMap.get(node.key);
-    if (currentNode) {
-      currentNode.loading = true;
-
-      // 更新当前可见节点的加载状态
-      setVisibleNodes(prev =>
-        prev.map(n => n.key === node.key ? { ...n, loading: true } : n)
-      );
-    }
-
-    try {
-      const childNodes = await loadData(node);
-
-      if (Array.isArray(childNodes) && childNodes.length > 0) {
-        // 扁平化新子节点
-        const { flattenedData: newNodes } = processTreeData(childNodes);
-
-        // 设置parent关联
-        newNodes.forEach(childNode => {
-          childNode.parentId = node.key;
-          childNode.level = (currentNode?.level || 0) + 1;
-          processedDataRef.current?.nodeMap.set(childNode.key, childNode);
-        });
-
-        // 更新当前节点
-        if (currentNode) {
-          currentNode.children = newNodes.map(n => n.key);
-          currentNode.isLeaf = false;
-          currentNode.expanded = true;
-          currentNode.loaded = true;
-          currentNode.loading = false;
-
-          // 通知Worker更新数据
-          if (performanceMode && !workerError && workerReady) {
-            workerUpdateNodes([currentNode, ...newNodes]);
+  }, [expandedKeys, handleClearSearch, mainThreadSearch, performanceMode, workerError, workerReady, searchValue, workerSearch, startTransition]);
+  
+  // 处理属性筛选变化：展开满足条件节点的祖先，筛选和搜索都清除后恢复之前的展开状态
+  const handleFilterChange = useCallback((nextFilters) => {
+    setFilters(nextFilters);
+    setActiveMatchIndex(-1);
+    
+    if (hasActiveFilters(nextFilters)) {
+      if (!preSearchExpandedKeysRef.current) {
+        preSearchExpandedKeysRef.current = expandedKeys;
+      }
+      
+      const processed = processedDataRef.current;
+      if (processed) {
+        const { flattenedData, treeIndex } = processed;
+        const ancestorKeys = new Set();
+        getFilteredKeys(flattenedData, nextFilters).forEach(key => {
+          const position = treeIndex.positions.get(key);
+          if (position === undefined) return;
+          
+          // 祖先已加入时，更上层的祖先也一定已加入
+          let parent = treeIndex.parents[position];
+          while (parent >= 0 && !ancestorKeys.has(flattenedData[parent].key)) {
+            ancestorKeys.add(flattenedData[parent].key);
+            parent = treeIndex.parents[parent];
           }
-        }
-        
-        // 触发回调
-        if (onLoad) {
-          onLoad(childNodes, node);
-        }
+        });
+        expandSearchPath(Array.from(ancestorKeys));
       }
-    } catch (error) {
-      console.error('加载子节点失败:', error);
-    } finally {
-      // 更新加载状态
-      if (currentNode) {
-        currentNode.loading = false;
-        currentNode.loaded = true;
-
-        // 强制更新视图
-        if (performanceMode && !workerError && workerReady) {
-          workerUpdateVisibleNodes(scrollTop);
-        } else {
-          // 主线程处理
-          updateVisibleNodesMainThread();
-        }
+    } else if (!searchValue && preSearchExpandedKeysRef.current) {
+      const previousExpandedKeys = preSearchExpandedKeysRef.current;
+      preSearchExpandedKeysRef.current = null;
+      setExpandedKeys(previousExpandedKeys);
+      if (isExpandedControlled && onExpand) {
+        onExpand(previousExpandedKeys, { expanded: false, node: null });
       }
     }
-  }, [loadData, onLoad, performanceMode, scrollTop, updateVisibleNodesMainThread, workerError, workerReady, workerUpdateNodes, workerUpdateVisibleNodes]);
-
-  // 处理节点选择
-  const handleSelect = useCallback((nodeId) => {
+    
+    if (onFilterChange) {
+      onFilterChange(nextFilters);
+    }
+  }, [expandedKeys, expandSearchPath, isExpandedControlled, onExpand, onFilterChange, searchValue, setExpandedKeys]);
+  
+  // 获取可见节点列表中两个节点之间（含两端）的节点键，包括未渲染的行
+  const getRangeKeys = useCallback((fromKey, toKey) => {
+    const vNodes = getVisibleNodeList();
+    const fromIndex = vNodes.findIndex(node => node.key === fromKey);
+    const toIndex = vNodes.findIndex(node => node.key === toKey);
+    if (fromIndex === -1 || toIndex === -1) return [toKey];
+    
+    const start = Math.min(fromIndex, toIndex);
+    const end = Math.max(fromIndex, toIndex);
+    return vNodes.slice(start, end + 1).map(node => node.key);
+  }, [getVisibleNodeList]);
+  
+  // 处理节点选择，event为原生点击事件，用于识别Shift/Ctrl/Cmd修饰键
+  const handleSelect = useCallback((nodeId, event) => {
     const node = processedDataRef.current?.nodeMap.get(nodeId);
     if (!node) return;
 
     // 更新选中状态
+    if (multiple && event?.shiftKey && lastSelectedNodeRef.current) {
+      // Shift范围选择：选中锚点到当前节点之间的所有可见节点，锚点保持不变
+      const rangeKeys = getRangeKeys(lastSelectedNodeRef.current.key, nodeId);
+      const appendToSelection = event.ctrlKey || event.metaKey;
+      
+      const result = appendToSelection ? Array.from(new Set([...selectedKeys, ...rangeKeys])) : rangeKeys;
+      setSelectedKeys(result);
+      onSelect && onSelect(result, { selected: true, nodeIds: rangeKeys, node, nativeEvent: event });
+      return;
+    }
+    
     if (multiple) {
-      // 多选模式
-      setSelectedKeys(prev => {
-        const isSelected = prev.includes(nodeId);
-        if (isSelected) {
-          // 如果已选中，则移除
-          const result = prev.filter(id => id !== nodeId);
-          onSelect && onSelect(result, { selected: false, nodeIds: [nodeId], node });
-          return result;
-        } else {
-          // 如果未选中，则添加
-          const result = [...prev, nodeId];
-          onSelect && onSelect(result, { selected: true, nodeIds: [nodeId], node });
-          return result;
-        }
-      });
+      // 多选模式（Ctrl/Cmd点击与普通点击一样切换单个节点）
+      const isSelected = selectedKeys.includes(nodeId);
+      // 已选中则移除，否则添加
+      const result = isSelected ? selectedKeys.filter(id => id !== nodeId) : [...selectedKeys, nodeId];
+      setSelectedKeys(result);
+      onSelect && onSelect(result, { selected: !isSelected, nodeIds: [nodeId], node });
     } else {
       // 单选模式
       setSelectedKeys([nodeId]);
@@ -1660,54 +1328,74 @@ const VirtualAntTree = ({
     
     // 记录最后选择的节点
     lastSelectedNodeRef.current = node;
-  }, [multiple, onSelect]);
+  }, [getRangeKeys, multiple, onSelect, selectedKeys, setSelectedKeys]);
 
-  // 处理节点复选框选中
-  const handleCheck = useCallback((nodeId, checked) => {
+  // 处理节点复选框选中，Shift点击时勾选锚点到当前节点之间的所有可见节点
+  const handleCheck = useCallback((nodeId, checked, event) => {
     if (!checkable) return;
     
     const node = processedDataRef.current?.nodeMap.get(nodeId);
     if (!node) return;
     
+    // 范围勾选的锚点不移动，普通勾选更新锚点
+    const rangeKeys = event?.shiftKey && lastCheckedKeyRef.current
+      ? getRangeKeys(lastCheckedKeyRef.current, nodeId)
+      : [nodeId];
+    if (!event?.shiftKey) {
+      lastCheckedKeyRef.current = nodeId;
+    }
+    
     // 使用Set提高性能
-    const nodesToProcess = new Set([nodeId]);
+    const nodesToProcess = new Set(rangeKeys);
     
     // 使用批处理模式
     const batchUpdate = () => {
-      // 收集所有需要更新的节点
-      if (node.children && node.children.length > 0 && processedDataRef.current) {
-        const childrenKeys = getChildrenKeys(processedDataRef.current.flattenedData, nodeId);
-        childrenKeys.forEach(key => nodesToProcess.add(key));
+      // 收集所有需要更新的节点，父子不联动时只处理范围内的节点
+      if (processedDataRef.current && !checkStrictly) {
+        const { flattenedData, treeIndex } = processedDataRef.current;
+        rangeKeys.forEach(key => {
+          getDescendantKeys(flattenedData, treeIndex, key).forEach(childKey => nodesToProcess.add(childKey));
+        });
       }
       
       // 批量更新状态
       setCheckedKeys(prev => {
-        let newCheckedKeys;
-      
+        const { flattenedData, nodeMap, treeIndex } = processedDataRef.current;
+        // 在完整勾选集合上修改，勾选值可能只包含父节点或叶子节点
+        const keySet = checkStrictly ? new Set(prev) : conductCheckedKeys(flattenedData, prev, treeIndex).checkedKeys;
+        
         if (checked) {
-          // 使用Set合并去重，提高性能
-          const uniqueKeys = new Set([...prev]);
-          nodesToProcess.forEach(id => uniqueKeys.add(id));
-          newCheckedKeys = Array.from(uniqueKeys);
+          nodesToProcess.forEach(id => keySet.add(id));
         } else {
-          // 使用Set差集，提高性能
-          const keysToRemove = new Set(nodesToProcess);
-          newCheckedKeys = prev.filter(id => !keysToRemove.has(id));
+          nodesToProcess.forEach(id => keySet.delete(id));
+          
+          // 取消勾选时同时移除祖先节点，避免联动计算时又被父节点向下勾选
+          if (!checkStrictly) {
+            rangeKeys.forEach(key => {
+              getAncestorKeys(flattenedData, treeIndex, key).forEach(parentKey => keySet.delete(parentKey));
+            });
+          }
         }
         
+        const newCheckedKeys = toCheckedValue(keySet);
+        
         // 延迟触发回调，减少重渲染
-        if (onCheck && processedDataRef.current) {
+        if (onCheck) {
           setTimeout(() => {
             const checkedNodes = newCheckedKeys
-              .map(key => processedDataRef.current.nodeMap.get(key))
+              .map(key => nodeMap.get(key))
               .filter(Boolean);
+            const halfCheckedKeys = checkStrictly
+              ? []
+              : Array.from(conductCheckedKeys(flattenedData, newCheckedKeys, treeIndex).halfCheckedKeys);
             
             onCheck(newCheckedKeys, {
               checked,
               checkedNodes,
               node,
+              nodeIds: rangeKeys,
               event: 'check',
-              halfCheckedKeys: []
+              halfCheckedKeys
             });
           }, 0);
         }
@@ -1715,83 +1403,34 @@ const VirtualAntTree = ({
         return newCheckedKeys;
       });
       
-      // 标记当前节点状态变更
-      if (node) {
-        node.checked = checked;
-        
-        // 延迟处理Worker更新，避免在渲染期间调用
-        if (performanceMode && !workerError && workerReady && processedDataRef.current) {
-          // 使用批量更新模式
-          if (nodesToProcess.size > 100) {
-            // 对于大量节点，使用批处理Worker
-            workerRef.current?.postMessage({
-              type: 'batchUpdate',
-              nodeIds: Array.from(nodesToProcess),
-              checked
-            });
-          } else {
-            // 对于少量节点，使用常规更新
-            const nodesToUpdate = Array.from(nodesToProcess)
-              .map(id => processedDataRef.current.nodeMap.get(id))
-              .filter(Boolean);
-            
-            // 分批发送给Worker
-            const batchSize = 100;
-            for (let i = 0; i < nodesToUpdate.length; i += batchSize) {
-              const batch = nodesToUpdate.slice(i, i + batchSize);
-              setTimeout(() => {
-                workerUpdateNodes(batch);
-              }, 0);
-            }
-          }
-        }
-      }
+      // 节点的勾选状态在处理数据时统一计算，并增量同步给Worker
     };
     
     // 使用requestAnimationFrame确保UI流畅
     requestAnimationFrame(batchUpdate);
-  }, [checkable, getChildrenKeys, onCheck, performanceMode, workerError, workerReady, workerUpdateNodes]);
+  }, [checkable, checkStrictly, getRangeKeys, onCheck, toCheckedValue, setCheckedKeys]);
 
-  // 使用Effect处理复选框级联状态更新
-  useEffect(() => {
-    // 仅当复选框状态变更时处理
-    if (!checkable || !processedDataRef.current) return;
-    
-    const { flattenedData, nodeMap } = processedDataRef.current;
+  // 新增全选状态
+  const [allSelected, setAllSelected] = useState(false);
+  
+  // 批量设置勾选节点，按showCheckedStrategy转换后更新状态并通知外部，info会合并到onCheck的第二个参数中
+  const commitCheckedKeys = useCallback((keys, info = {}) => {
+    if (!processedDataRef.current) return [];
     
-    // 1. 计算所有节点的indeterminate状态
-    flattenedData.forEach(node => {
-      if (!node.children || node.children.length === 0) return;
-      
-      const allChildren = node.children;
-      const checkedChildren = allChildren.filter(childId => checkedKeys.includes(childId));
-      
-      // 更新部分选中状态
-      if (checkedChildren.length > 0 && checkedChildren.length < allChildren.length) {
-        node.indeterminate = true;
-      } else {
-        node.indeterminate = false;
-      }
-    });
+    const newCheckedKeys = toCheckedValue(keys);
+    setCheckedKeys(newCheckedKeys);
     
-    // 2. 更新Worker
-    if (performanceMode && !workerError && workerReady) {
-      // 收集所有需要更新的节点
-      const indeterminateNodes = flattenedData.filter(node => node.indeterminate);
-      if (indeterminateNodes.length > 0) {
-        requestAnimationFrame(() => {
-          workerUpdateNodes(indeterminateNodes);
-        });
-      }
+    if (onCheck) {
+      const { nodeMap } = processedDataRef.current;
+      onCheck(newCheckedKeys, { 
+        checked: true, 
+        checkedNodes: newCheckedKeys.map(key => nodeMap.get(key)).filter(Boolean),
+        ...info
+      });
     }
     
-    // 3. 强制更新视图
-    setForceUpdate(prev => prev + 1);
-    
-  }, [checkable, checkedKeys, performanceMode, workerError, workerReady, workerUpdateNodes]);
-
-  // 新增全选状态
-  const [allSelected, setAllSelected] = useState(false);
+    return newCheckedKeys;
+  }, [onCheck, setCheckedKeys, toCheckedValue]);
   
   // 添加清除选择功能
   const handleClearSelection = useCallback(() => {
@@ -1805,92 +1444,7 @@ const VirtualAntTree = ({
     if (onCheck) {
       onCheck([], { checked: false, checkedNodes: [] });
     }
-  }, [onSelect, onCheck]);
-  
-  // 全选功能
-  const handleSelectAll = useCallback(() => {
-    if (!processedDataRef.current) return;
-    
-    const { flattenedData } = processedDataRef.current;
-    
-    // 显示加载状态
-    const loadingKey = 'selectAll';
-    message.loading({ content: '正在处理选择...', key: loadingKey });
-    
-    // 如果节点数量超过1000，使用Web Worker处理
-    if (flattenedData.length > 1000 && window.Worker) {
-      try {
-        // 创建临时Worker处理批量操作
-        const selectWorker = new Worker('/workers/batchWorker.js');
-        
-        selectWorker.onmessage = (e) => {
-          const { type, userKeys, userNodes, processed, total } = e.data;
-          
-          if (type === 'selectUsersProgress') {
-            // 更新进度
-            message.loading({ content: `正在处理选择... ${Math.round(processed/total*100)}%`, key: loadingKey });
-          } else if (type === 'selectUsersCompleted') {
-            // 更新状态
-            requestAnimationFrame(() => {
-              // 使用函数式更新
-              setCheckedKeys(() => userKeys);
-              setAllSelected(true);
-              
-              // 通知外部
-              if (onCheck && userKeys.length > 0) {
-                setTimeout(() => {
-                  onCheck(userKeys, { 
-                    checked: true, 
-                    checkedNodes: userNodes
-                  });
-                  message.success({ content: `已选择所有人员 (${userKeys.length}人)`, key: loadingKey });
-                }, 50);
-              } else {
-                message.success({ content: `已选择所有人员 (${userKeys.length}人)`, key: loadingKey });
-              }
-              
-              // 销毁Worker
-              selectWorker.terminate();
-            });
-          }
-        };
-        
-        // 发送数据给Worker处理
-        selectWorker.postMessage({ 
-          type: 'selectUsers', 
-          data: { 
-            allNodes: searchValue 
-              ? flattenedData.filter(node => node.matched || node.type === 'user')
-              : flattenedData
-          } 
-        });
-        return;
-      } catch (error) {
-        console.error('Worker处理错误:', error);
-        // 继续使用常规方式处理
-      }
-    }
-    
-    // 常规处理方式（节点数量少或Worker不可用）
-    // 如果当前是搜索状态，只选中匹配的节点
-    const nodesToSelect = searchValue 
-      ? flattenedData.filter(node => node.matched || node.type === 'user')
-      : flattenedData.filter(node => node.type === 'user');
-    
-    const newKeys = nodesToSelect.map(node => node.key);
-    
-    setAllSelected(true);
-    setCheckedKeys(newKeys);
-    
-    if (onCheck && newKeys.length > 0) {
-      onCheck(newKeys, { 
-        checked: true, 
-        checkedNodes: nodesToSelect
-      });
-    }
-    
-    message.success({ content: `已选择所有人员 (${newKeys.length}人)`, key: loadingKey });
-  }, [searchValue, onCheck]);
+  }, [onSelect, onCheck, setCheckedKeys, setSelectedKeys]);
   
   // 全不选功能
   const handleDeselectAll = useCallback(() => {
@@ -1906,15 +1460,8 @@ const VirtualAntTree = ({
     const departmentNodes = flattenedData.filter(node => node.type !== 'user');
     const departmentKeys = departmentNodes.map(node => node.key);
     
-    setCheckedKeys(departmentKeys);
-    
-    if (onCheck) {
-      onCheck(departmentKeys, { 
-        checked: true, 
-        checkedNodes: departmentNodes
-      });
-    }
-  }, [onCheck]);
+    commitCheckedKeys(departmentKeys);
+  }, [commitCheckedKeys]);
   
   // 仅选择人员功能
   const handleSelectOnlyUsers = useCallback(() => {
@@ -1924,30 +1471,191 @@ const VirtualAntTree = ({
     const userNodes = flattenedData.filter(node => node.type === 'user');
     const userKeys = userNodes.map(node => node.key);
     
-    setCheckedKeys(userKeys);
-    
-    if (onCheck) {
-      onCheck(userKeys, { 
-        checked: true, 
-        checkedNodes: userNodes
-      });
-    }
-  }, [onCheck]);
+    commitCheckedKeys(userKeys);
+  }, [commitCheckedKeys]);
   
   // 选中当前可见节点
   const handleSelectVisible = useCallback(() => {
     if (!visibleNodes || visibleNodes.length === 0) return;
     
     const visibleKeys = visibleNodes.map(node => node.key);
-    setCheckedKeys(visibleKeys);
+    commitCheckedKeys(visibleKeys);
+  }, [visibleNodes, commitCheckedKeys]);
+  
+  // 从一组节点中找出人员节点的键，节点较多时交给batchWorker处理并显示进度
+  const collectUserKeys = useCallback((nodes, loadingKey) => new Promise(resolve => {
+    const collectOnMainThread = () => {
+      resolve(nodes.filter(node => node.type === 'user').map(node => node.key));
+    };
     
-    if (onCheck) {
-      onCheck(visibleKeys, { 
-        checked: true, 
-        checkedNodes: visibleNodes
-      });
+    if (nodes.length <= BATCH_WORKER_THRESHOLD || !window.Worker) {
+      collectOnMainThread();
+      return;
+    }
+    
+    let batchWorker;
+    try {
+      batchWorker = new Worker(new URL('../../workers/batchWorker.js', import.meta.url));
+    } catch (error) {
+      console.error('Worker处理错误:', error);
+      collectOnMainThread();
+      return;
+    }
+    
+    message.loading({ content: '正在处理选择...', key: loadingKey });
+    batchWorker.onmessage = (e) => {
+      const { type, userKeys, processed, total } = e.data;
+      
+      if (type === 'selectUsersProgress') {
+        message.loading({ content: `正在处理选择... ${Math.round(processed / total * 100)}%`, key: loadingKey });
+      } else if (type === 'selectUsersCompleted') {
+        batchWorker.terminate();
+        resolve(userKeys);
+      }
+    };
+    batchWorker.onerror = (error) => {
+      console.error('Worker处理错误:', error);
+      batchWorker.terminate();
+      collectOnMainThread();
+    };
+    batchWorker.postMessage({ type: 'selectUsers', data: { allNodes: nodes, keysOnly: true } });
+  }), []);
+  
+  // 勾选一组人员（check），或切换其中每个人员的勾选状态（invert），不影响范围外已勾选的节点
+  const applyUserCheck = useCallback((userKeys, mode) => {
+    const { flattenedData, treeIndex, checkedKeySet } = processedDataRef.current;
+    const nextKeys = new Set(checkedKeySet);
+    const ancestorKeys = new Set();
+    
+    userKeys.forEach(key => {
+      if (mode === 'invert' && checkedKeySet.has(key)) {
+        nextKeys.delete(key);
+      } else {
+        nextKeys.add(key);
+      }
+      
+      if (checkStrictly) return;
+      const position = treeIndex.positions.get(key);
+      let parent = position === undefined ? -1 : treeIndex.parents[position];
+      while (parent >= 0 && !ancestorKeys.has(flattenedData[parent].key)) {
+        ancestorKeys.add(flattenedData[parent].key);
+        parent = treeIndex.parents[parent];
+      }
+    });
+    
+    // 联动模式下祖先的勾选状态由子节点重新推导，否则已勾选的部门会把取消的人员重新勾上
+    ancestorKeys.forEach(key => nextKeys.delete(key));
+    
+    return commitCheckedKeys(Array.from(nextKeys), {
+      checked: mode !== 'invert',
+      nodeIds: userKeys,
+      event: 'batch'
+    });
+  }, [checkStrictly, commitCheckedKeys]);
+  
+  // 对范围内的所有人员（包括折叠和未渲染的）执行批量勾选
+  const runScopedCheck = useCallback(async (nodes, mode) => {
+    const loadingKey = 'scopedCheck';
+    const userKeys = await collectUserKeys(nodes, loadingKey);
+    if (!processedDataRef.current) return;
+    
+    applyUserCheck(userKeys, mode);
+    message.success({
+      content: mode === 'invert' ? `已反选${userKeys.length}名人员` : `已勾选${userKeys.length}名人员`,
+      key: loadingKey
+    });
+  }, [applyUserCheck, collectUserKeys]);
+  
+  // 是否有搜索或属性筛选，此时批量操作的范围为搜索结果
+  const hasSearchScope = !!searchValue || !!attributeFilterKeys;
+  
+  // 搜索结果范围内的节点：满足属性筛选的匹配节点，subtree模式下包括匹配部门的整个子树；只有属性筛选时为满足条件的节点
+  const getSearchScopeNodes = useCallback(() => {
+    const processed = processedDataRef.current;
+    if (!hasSearchScope) return processed.flattenedData;
+    
+    let keys = attributeFilterKeys;
+    if (searchValue) {
+      keys = attributeFilterKeys ? matchedKeys.filter(key => attributeFilterKeys.has(key)) : matchedKeys;
     }
-  }, [visibleNodes, onCheck]);
+    // 祖先节点都是部门，不会被勾选
+    const scopeKeys = getSearchFilterKeys(processed, keys, searchValue && searchMode === 'subtree' ? 'subtree' : 'filter');
+    return Array.from(scopeKeys, key => processed.nodeMap.get(key)).filter(Boolean);
+  }, [attributeFilterKeys, hasSearchScope, matchedKeys, searchMode, searchValue]);
+  
+  // 全选功能：勾选所有人员，有搜索或属性筛选时只勾选搜索结果范围内的人员
+  const handleSelectAll = useCallback(async () => {
+    if (!processedDataRef.current) return;
+    
+    const loadingKey = 'selectAll';
+    const userKeys = await collectUserKeys(getSearchScopeNodes(), loadingKey);
+    if (!processedDataRef.current) return;
+    
+    setAllSelected(true);
+    commitCheckedKeys(userKeys);
+    message.success({ content: `已选择所有人员 (${userKeys.length}人)`, key: loadingKey });
+  }, [collectUserKeys, commitCheckedKeys, getSearchScopeNodes]);
+  
+  // 勾选所有搜索结果中的人员
+  const handleCheckSearchResults = useCallback(() => {
+    if (!processedDataRef.current || !hasSearchScope) return;
+    runScopedCheck(getSearchScopeNodes(), 'check');
+  }, [getSearchScopeNodes, hasSearchScope, runScopedCheck]);
+  
+  // 反选：有搜索时在搜索结果范围内，否则在整棵树范围内
+  const handleInvertChecked = useCallback(() => {
+    if (!processedDataRef.current) return;
+    runScopedCheck(getSearchScopeNodes(), 'invert');
+  }, [getSearchScopeNodes, runScopedCheck]);
+  
+  // 部门子树中的所有节点（只包括已加载的节点）
+  const getSubtreeNodes = useCallback((key) => {
+    const { flattenedData, treeIndex } = processedDataRef.current;
+    const position = treeIndex.positions.get(key);
+    if (position === undefined) return [];
+    return flattenedData.slice(position, treeIndex.subtreeEnd[position]);
+  }, []);
+  
+  // 取事件所在行的节点键。DOM属性只能是字符串，按行在visibleNodes中的位置取回原始键，数字键才能在nodeMap中命中
+  const getEventNodeKey = useCallback((e) => {
+    const rowElement = e.target.closest && e.target.closest('[data-row-index]');
+    const node = rowElement && visibleNodes[Number(rowElement.getAttribute('data-row-index'))];
+    return node ? node.key : null;
+  }, [visibleNodes]);
+  
+  // 右键部门节点时打开操作菜单
+  const handleContextMenu = useCallback((e) => {
+    if (!checkable || !processedDataRef.current) return;
+    
+    const node = processedDataRef.current.nodeMap.get(getEventNodeKey(e));
+    if (!node || node.type === 'user') return;
+    
+    e.preventDefault();
+    setContextMenu({ key: node.key, x: e.clientX, y: e.clientY });
+  }, [checkable, getEventNodeKey]);
+  
+  // 部门节点的右键菜单
+  const nodeContextMenu = useMemo(() => ({
+    items: [
+      {
+        key: 'checkDepartmentUsers',
+        label: '勾选部门下所有人员',
+        icon: <UserOutlined />,
+      },
+      {
+        key: 'invertDepartmentUsers',
+        label: '在部门内反选',
+        icon: <SwapOutlined />,
+      },
+    ],
+    onClick: ({ key }) => {
+      const departmentKey = contextMenu?.key;
+      setContextMenu(null);
+      if (departmentKey == null || !processedDataRef.current) return;
+      
+      runScopedCheck(getSubtreeNodes(departmentKey), key === 'invertDepartmentUsers' ? 'invert' : 'check');
+    },
+  }), [contextMenu, getSubtreeNodes, runScopedCheck]);
 
   // 批量选择下拉菜单
   const batchSelectionMenu = useMemo(() => {
@@ -1978,6 +1686,17 @@ const VirtualAntTree = ({
           label: '选择可见节点',
           icon: <CheckOutlined />,
         },
+        {
+          key: 'checkSearchResults',
+          label: '勾选所有搜索结果',
+          icon: <FileSearchOutlined />,
+          disabled: !hasSearchScope,
+        },
+        {
+          key: 'invertChecked',
+          label: hasSearchScope ? '在搜索结果中反选' : '反选',
+          icon: <SwapOutlined />,
+        },
       ],
       onClick: ({ key }) => {
         switch (key) {
@@ -1996,12 +1715,417 @@ const VirtualAntTree = ({
           case 'selectVisible':
             handleSelectVisible();
             break;
+          case 'checkSearchResults':
+            handleCheckSearchResults();
+            break;
+          case 'invertChecked':
+            handleInvertChecked();
+            break;
           default:
             break;
         }
       },
     };
-  }, [handleDeselectAll, handleSelectAll, handleSelectOnlyDepartments, handleSelectOnlyUsers, handleSelectVisible]);
+  }, [handleCheckSearchResults, handleDeselectAll, handleInvertChecked, handleSelectAll, handleSelectOnlyDepartments, handleSelectOnlyUsers, handleSelectVisible, hasSearchScope]);
+
+  // 获取完整可见节点列表的偏移索引
+  const getOffsetIndex = useCallback(() => {
+    return buildOffsetIndex(getVisibleNodeList(), nodeHeightOption);
+  }, [getVisibleNodeList, nodeHeightOption]);
+  
+  // 滚动到可见列表中指定索引的节点
+  const scrollToIndex = useCallback((index, align = 'auto') => {
+    const container = containerRef.current;
+    if (!container || index < 0) return;
+    
+    const { offsets } = getOffsetIndex();
+    if (index >= offsets.length - 1) return;
+    
+    const nodeTop = offsets[index];
+    const nodeHeight = offsets[index + 1] - nodeTop;
+    const currentTop = container.scrollTop;
+    const viewportHeight = container.clientHeight || height;
+    let targetTop;
+    
+    switch (align) {
+      case 'top':
+        targetTop = nodeTop;
+        break;
+      case 'center':
+        targetTop = nodeTop - (viewportHeight - nodeHeight) / 2;
+        break;
+      case 'bottom':
+        targetTop = nodeTop - viewportHeight + nodeHeight;
+        break;
+      default:
+        // auto: 节点已完整显示时不滚动，否则滚动最小距离
+        if (nodeTop < currentTop) {
+          targetTop = nodeTop;
+        } else if (nodeTop + nodeHeight > currentTop + viewportHeight) {
+          targetTop = nodeTop - viewportHeight + nodeHeight;
+        } else {
+          return;
+        }
+    }
+    
+    container.scrollTop = Math.max(0, targetTop);
+  }, [getOffsetIndex, height]);
+  
+  // 展开节点的所有祖先节点，includeSelf为true时同时展开节点自身
+  const expandPath = useCallback((key, includeSelf) => {
+    const nodeMap = processedDataRef.current?.nodeMap;
+    const node = nodeMap?.get(key);
+    if (!node) return false;
+    
+    const keysToExpand = includeSelf && !node.isLeaf ? [key] : [];
+    let parentId = node.parentId;
+    while (parentId != null) {
+      keysToExpand.push(parentId);
+      parentId = nodeMap.get(parentId)?.parentId;
+    }
+    
+    const newExpandedKeys = Array.from(new Set([...expandedKeys, ...keysToExpand]));
+    if (newExpandedKeys.length !== expandedKeys.length) {
+      setExpandedKeys(newExpandedKeys);
+      onExpand && onExpand(newExpandedKeys, { expanded: true, node });
+    }
+    return true;
+  }, [expandedKeys, onExpand, setExpandedKeys]);
+  
+  // 展开路径后，等待总高度更新再执行挂起的滚动
+  useEffect(() => {
+    const pending = pendingScrollRef.current;
+    if (!pending) return;
+    
+    const vNodes = getVisibleNodeList();
+    const index = vNodes.findIndex(node => node.key === pending.key);
+    if (index === -1) return;
+    
+    const { offsets } = buildOffsetIndex(vNodes, nodeHeightOption);
+    if (offsets[index + 1] > totalHeight) return;
+    
+    pendingScrollRef.current = null;
+    scrollToIndex(index, pending.align);
+  }, [totalHeight, getVisibleNodeList, nodeHeightOption, scrollToIndex]);
+  
+  // 滚动到指定节点，节点被折叠时先展开其祖先节点
+  const scrollToKey = useCallback((key, options = {}) => {
+    const { align = 'auto' } = options;
+    if (!processedDataRef.current?.nodeMap.has(key)) return false;
+    
+    const index = getVisibleNodeList().findIndex(node => node.key === key);
+    if (index !== -1) {
+      pendingScrollRef.current = null;
+      scrollToIndex(index, align);
+      return true;
+    }
+    
+    pendingScrollRef.current = { key, align };
+    return expandPath(key, false);
+  }, [expandPath, getVisibleNodeList, scrollToIndex]);
+  
+  // 匹配项的导航顺序：树形视图按树中自上而下的顺序，结果列表按得分顺序；有属性筛选时只包含满足条件的匹配项
+  const matchNavKeys = useMemo(() => {
+    const keys = isResultListView ? searchResults.map(result => result.key) : matchedKeys;
+    return attributeFilterKeys ? keys.filter(key => attributeFilterKeys.has(key)) : keys;
+  }, [attributeFilterKeys, isResultListView, searchResults, matchedKeys]);
+  const activeMatchKey = matchNavKeys[activeMatchIndex] ?? null;
+  
+  // 定位到下一个(1)或上一个(-1)匹配项，到达末尾后循环
+  const navigateMatch = useCallback((direction) => {
+    const count = matchNavKeys.length;
+    if (count === 0) return;
+    
+    const nextIndex = activeMatchIndex === -1
+      ? (direction > 0 ? 0 : count - 1)
+      : (activeMatchIndex + direction + count) % count;
+    
+    setActiveMatchIndex(nextIndex);
+    scrollToKey(matchNavKeys[nextIndex], { align: 'center' });
+  }, [activeMatchIndex, matchNavKeys, scrollToKey]);
+  
+  // 高亮模式下，搜索完成后自动定位到第一个匹配项
+  useEffect(() => {
+    if (searchMode !== 'highlight' || activeMatchIndex !== -1 || matchNavKeys.length === 0) return;
+    navigateMatch(1);
+  }, [searchMode, activeMatchIndex, matchNavKeys, navigateMatch]);
+  
+  // 命令式API
+  useImperativeHandle(ref, () => ({
+    // 滚动到指定节点，节点被折叠时先展开其祖先节点
+    scrollToKey,
+    
+    // 定位到下一个/上一个搜索匹配项
+    nextMatch: () => navigateMatch(1),
+    prevMatch: () => navigateMatch(-1),
+    
+    // 展开到指定节点，部门节点自身也会展开
+    expandToKey: (key) => expandPath(key, true),
+    
+    // 折叠全部节点
+    collapseAll: () => {
+      setExpandRootByDefault(false);
+      setExpandedKeys([]);
+      onExpand && onExpand([], { expanded: false, node: null });
+      if (containerRef.current) {
+        containerRef.current.scrollTop = 0;
+      }
+    },
+    
+    // 展开全部节点
+    expandAll: () => {
+      if (!processedDataRef.current) return;
+      
+      const allKeys = processedDataRef.current.flattenedData
+        .filter(node => !node.isLeaf)
+        .map(node => node.key);
+      setExpandedKeys(allKeys);
+      onExpand && onExpand(allKeys, { expanded: true, node: null });
+    },
+    
+    // 获取当前勾选的节点
+    getCheckedNodes: () => {
+      const nodeMap = processedDataRef.current?.nodeMap;
+      if (!nodeMap) return [];
+      
+      return checkedKeys.map(key => nodeMap.get(key)).filter(Boolean);
+    },
+    
+    // 获取视口内实际显示的节点范围
+    getVisibleRange: () => {
+      const container = containerRef.current;
+      const currentTop = container ? container.scrollTop : scrollTop;
+      const viewportHeight = container?.clientHeight || height;
+      
+      const nodes = getNodesInViewport(getVisibleNodeList(), {
+        scrollTop: currentTop,
+        viewportHeight,
+        nodeHeight: nodeHeightOption,
+        overscan: 0
+      }).filter(node => node.offsetTop < currentTop + viewportHeight);
+      
+      if (nodes.length === 0) {
+        return { startIndex: -1, endIndex: -1, keys: [] };
+      }
+      
+      return {
+        startIndex: nodes[0].index,
+        endIndex: nodes[nodes.length - 1].index,
+        keys: nodes.map(node => node.key)
+      };
+    },
+    
+    // 聚焦树容器
+    focus: () => {
+      containerRef.current?.focus();
+    },
+    
+    // 增量修改树结构，展开、勾选、选中状态和滚动位置保持不变
+    insertNode,
+    removeNode,
+    moveNode,
+    updateNode,
+    
+    // 对象存储不统计内存占用，见storage="compact"
+    getMemoryUsage: () => null
+  }), [checkedKeys, expandPath, getVisibleNodeList, height, insertNode, moveNode, navigateMatch, nodeHeightOption, onExpand, removeNode, scrollToKey, scrollTop, setExpandedKeys, updateNode]);
+
+  // 键盘导航，按可见节点顺序移动焦点
+  const handleKeyDown = useCallback((e) => {
+    // 空格和回车落在复选框等内部控件上时交给控件自身处理
+    if (e.target !== e.currentTarget && (e.key === ' ' || e.key === 'Enter')) return;
+    
+    const vNodes = getVisibleNodeList();
+    if (vNodes.length === 0) return;
+    
+    const currentIndex = vNodes.findIndex(node => node.key === focusedKey);
+    const currentNode = currentIndex === -1 ? null : vNodes[currentIndex];
+    let nextIndex = null;
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        nextIndex = currentIndex === -1 ? 0 : Math.min(currentIndex + 1, vNodes.length - 1);
+        break;
+      case 'ArrowUp':
+        nextIndex = currentIndex === -1 ? 0 : Math.max(currentIndex - 1, 0);
+        break;
+      case 'Home':
+        nextIndex = 0;
+        break;
+      case 'End':
+        nextIndex = vNodes.length - 1;
+        break;
+      case 'ArrowRight':
+        // 折叠时展开，已展开时移动到第一个子节点
+        if (!currentNode || currentNode.isLeaf) break;
+        if (!currentNode.expanded) {
+          handleToggle(currentNode.key);
+        } else if (vNodes[currentIndex + 1]?.parentId === currentNode.key) {
+          nextIndex = currentIndex + 1;
+        }
+        break;
+      case 'ArrowLeft':
+        // 展开时折叠，否则移动到父节点
+        if (!currentNode) break;
+        if (!currentNode.isLeaf && currentNode.expanded) {
+          handleToggle(currentNode.key);
+        } else if (currentNode.parentId != null) {
+          nextIndex = vNodes.findIndex(node => node.key === currentNode.parentId);
+        }
+        break;
+      case ' ':
+        if (currentNode && checkable) {
+          handleCheck(currentNode.key, !currentNode.checked, e);
+        }
+        break;
+      case 'Enter':
+        if (currentNode && selectable) {
+          handleSelect(currentNode.key, e);
+        }
+        break;
+      default:
+        return;
+    }
+    
+    e.preventDefault();
+    
+    if (nextIndex !== null && nextIndex >= 0) {
+      setFocusedKey(vNodes[nextIndex].key);
+      scrollToIndex(nextIndex, 'auto');
+    }
+  }, [checkable, focusedKey, getVisibleNodeList, handleCheck, handleSelect, handleToggle, scrollToIndex, selectable]);
+  
+  // 鼠标点击节点时同步键盘焦点（节点内部会阻止click冒泡，这里使用mousedown）
+  const handleMouseDown = useCallback((e) => {
+    const key = getEventNodeKey(e);
+    if (key != null) {
+      setFocusedKey(key);
+    }
+  }, [getEventNodeKey]);
+  
+  // 判断拖拽节点能否放到目标位置，节点不能放到自身或自身的子树内
+  const isDropAllowed = useCallback((dragNode, dropNode, position) => {
+    if (!dragNode || !dropNode || dragNode.key === dropNode.key) return false;
+    
+    const { flattenedData, treeIndex } = processedDataRef.current;
+    if (getAncestorKeys(flattenedData, treeIndex, dropNode.key).includes(dragNode.key)) return false;
+    
+    return !allowDrop || allowDrop({ dragNode, dropNode, position }) !== false;
+  }, [allowDrop]);
+  
+  // 拖拽事件统一在容器上处理，虚拟滚动中行元素随时可能被回收
+  const handleDragStart = useCallback((e) => {
+    const nodeElement = e.target.closest && e.target.closest('[data-node-id]');
+    if (!draggable || !nodeElement) return;
+    
+    const key = getEventNodeKey(e);
+    if (key == null) return;
+    e.dataTransfer.effectAllowed = 'move';
+    // Firefox需要设置数据才会开始拖拽
+    e.dataTransfer.setData('text/plain', String(key));
+    setDragKey(key);
+  }, [draggable, getEventNodeKey]);
+  
+  const handleDragOver = useCallback((e) => {
+    if (dragKey == null || !processedDataRef.current) return;
+    
+    // 靠近容器边缘时自动滚动，越靠近边缘滚动越快
+    const container = containerRef.current;
+    const containerRect = container.getBoundingClientRect();
+    const distanceToTop = e.clientY - containerRect.top;
+    const distanceToBottom = containerRect.bottom - e.clientY;
+    if (distanceToTop < DRAG_SCROLL_EDGE) {
+      container.scrollTop -= Math.ceil((DRAG_SCROLL_EDGE - distanceToTop) / DRAG_SCROLL_EDGE * DRAG_SCROLL_STEP);
+    } else if (distanceToBottom < DRAG_SCROLL_EDGE) {
+      container.scrollTop += Math.ceil((DRAG_SCROLL_EDGE - distanceToBottom) / DRAG_SCROLL_EDGE * DRAG_SCROLL_STEP);
+    }
+    
+    const nodeElement = e.target.closest && e.target.closest('[data-node-id]');
+    const { nodeMap } = processedDataRef.current;
+    const dragNode = nodeMap.get(dragKey);
+    const dropNode = nodeElement && nodeMap.get(getEventNodeKey(e));
+    if (!dropNode) {
+      setDropTarget(null);
+      return;
+    }
+    
+    // 上四分之一放在前面，下四分之一放在后面，中间放入节点内部；不允许放入内部时按上下半区处理
+    const rect = nodeElement.getBoundingClientRect();
+    const ratio = (e.clientY - rect.top) / rect.height;
+    let candidates;
+    if (ratio < 0.25) {
+      candidates = ['before'];
+    } else if (ratio > 0.75) {
+      candidates = ['after'];
+    } else {
+      candidates = ['inside', ratio < 0.5 ? 'before' : 'after'];
+    }
+    const position = candidates.find(item => isDropAllowed(dragNode, dropNode, item));
+    
+    if (!position) {
+      setDropTarget(null);
+      return;
+    }
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTarget(prev => (
+      prev && prev.key === dropNode.key && prev.position === position ? prev : { key: dropNode.key, position }
+    ));
+  }, [dragKey, getEventNodeKey, isDropAllowed]);
+  
+  const handleDragLeave = useCallback((e) => {
+    // 移出整个容器时清除放置提示
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setDropTarget(null);
+    }
+  }, []);
+  
+  const handleDragEnd = useCallback(() => {
+    setDragKey(null);
+    setDropTarget(null);
+  }, []);
+  
+  // 计算放置后的新父节点和在兄弟节点中的位置，然后移动节点
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    const target = dropTarget;
+    handleDragEnd();
+    if (dragKey == null || !target || !processedDataRef.current) return;
+    
+    const { nodeMap } = processedDataRef.current;
+    const dragNode = nodeMap.get(dragKey);
+    const dropNode = nodeMap.get(target.key);
+    if (!dragNode || !dropNode) return;
+    
+    let parentKey;
+    let index;
+    if (target.position === 'inside') {
+      parentKey = dropNode.key;
+      index = dropNode.children.filter(key => key !== dragKey).length;
+    } else {
+      parentKey = dropNode.parentId ?? null;
+      // 位置不计拖拽节点自身，与moveNode的index含义一致
+      const siblingKeys = getChildKeys(processedDataRef.current, parentKey).filter(key => key !== dragKey);
+      index = siblingKeys.indexOf(dropNode.key) + (target.position === 'after' ? 1 : 0);
+    }
+    
+    const result = onDrop && onDrop({
+      dragNode,
+      dropNode,
+      position: target.position,
+      parentKey,
+      index,
+      event: e
+    });
+    
+    if (result !== false) {
+      moveNode(dragKey, parentKey, index);
+    }
+  }, [dragKey, dropTarget, handleDragEnd, moveNode, onDrop]);
+  
+  // 获取节点的treeitem元素id
+  const getTreeItemId = (key) => `${treeId}-${key}`;
 
   // 渲染顶部操作栏
   const renderOperations = () => {
@@ -2047,26 +2171,50 @@ const VirtualAntTree = ({
         checkable={checkable}
         multiple={multiple}
         searchValue={searchValue}
-        onExpand={handleToggle}
+        onToggle={handleToggle}
+        loading={loadingKeys.has(node.key)}
+        loadError={loadErrors.get(node.key)}
+        onRetry={handleRetryLoad}
         onCheck={handleCheck}
         onSelect={handleSelect}
         showIcon={showIcon}
         showLine={showLine}
         blockNode={blockNode}
         selectable={selectable}
+        focused={node.key === focusedKey}
+        treeItemId={getTreeItemId(node.key)}
+        draggable={draggable && !isResultListView}
+        dragging={node.key === dragKey}
+        dropPosition={dropTarget && dropTarget.key === node.key ? dropTarget.position : null}
+        flat={isResultListView}
+        match={searchResultMap.get(node.key)}
+        activeMatch={node.key === activeMatchKey}
       />
     );
   };
 
   return (
     <div className="virtual-ant-tree-container">
-      {showSearch && (
-        <SearchBox
-          placeholder={searchPlaceholder}
-          onSearch={handleSearch}
-          onClear={handleClearSearch}
-          debounceTime={200}
-        />
+      {(showSearch || showFilter) && (
+        <div className="virtual-ant-tree-search-bar">
+          {showSearch && (
+            <SearchBox
+              placeholder={searchPlaceholder}
+              onSearch={handleSearch}
+              onClear={handleClearSearch}
+              debounceTime={200}
+              matchCount={matchNavKeys.length}
+              activeMatchIndex={activeMatchIndex}
+              onNavigate={navigateMatch}
+              showHistory={searchHistory}
+              historyStorage={searchHistoryStorage}
+              historyKey={searchHistoryKey}
+            />
+          )}
+          {showFilter && (
+            <FilterPanel filters={filters} facetCounts={facetCounts} onChange={handleFilterChange} />
+          )}
+        </div>
       )}
       
       {/* 添加操作栏 */}
@@ -2078,21 +2226,36 @@ const VirtualAntTree = ({
             className="virtual-ant-tree-viewport"
             style={{ height }}
             ref={containerRef}
+            role="tree"
+            tabIndex={0}
+            aria-multiselectable={multiple || undefined}
+            aria-activedescendant={
+              visibleNodes.some(node => node.key === focusedKey) ? getTreeItemId(focusedKey) : undefined
+            }
             onScroll={handleScroll}
+            onKeyDown={handleKeyDown}
+            onMouseDown={handleMouseDown}
+            onDragStart={draggable ? handleDragStart : undefined}
+            onDragOver={draggable ? handleDragOver : undefined}
+            onDragLeave={draggable ? handleDragLeave : undefined}
+            onDrop={draggable ? handleDrop : undefined}
+            onDragEnd={draggable ? handleDragEnd : undefined}
+            onContextMenu={checkable ? handleContextMenu : undefined}
           >
             <div 
               className="virtual-ant-tree-content"
               style={{ height: totalHeight }}
             >
-              {visibleNodes.map(node => (
+              {visibleNodes.map((node, index) => (
                 <div
                   key={node.key}
                   className="virtual-ant-tree-node-wrapper"
+                  data-row-index={index}
                   style={{
                     position: 'absolute',
                     top: node.offsetTop,
                     width: '100%',
-                    height: NODE_HEIGHT
+                    height: getRowHeight(node)
                   }}
                 >
                   {renderVirtualNode(node)}
@@ -2103,10 +2266,10 @@ const VirtualAntTree = ({
             {/* 添加选中计数器 */}
             {(checkedKeys.length > 0 || selectedKeys.length > 0) && (
               <SelectedCounter 
-                count={checkedKeys
+                count={Array.from(processedData.checkedKeySet)
                   .filter(key => {
-                    // 只统计用户节点
-                    const node = processedDataRef.current?.nodeMap.get(key);
+                    // 只统计用户节点，勾选值可能只包含父节点，因此按联动后的完整集合统计
+                    const node = processedData.nodeMap.get(key);
                     return node && node.type === 'user';
                   })
                   .length || selectedKeys.length} 
@@ -2119,8 +2282,39 @@ const VirtualAntTree = ({
           <Empty description={emptyText} />
         )}
       </Spin>
+      
+      {/* 部门节点右键菜单，以鼠标位置处的空元素为锚点 */}
+      {contextMenu && (
+        <Dropdown
+          open
+          menu={nodeContextMenu}
+          trigger={['contextMenu']}
+          onOpenChange={open => {
+            if (!open) setContextMenu(null);
+          }}
+        >
+          <span
+            className="virtual-ant-tree-context-menu-anchor"
+            style={{ left: contextMenu.x, top: contextMenu.y }}
+          />
+        </Dropdown>
+      )}
     </div>
   );
-};
+});
+
+// 按storage选择节点存储方式，两种实现的属性和命令式API同名
+const VirtualAntTree = forwardRef(function VirtualAntTree({ storage = 'object', ...props }, ref) {
+  if (storage === 'compact') {
+    return <CompactVirtualTree ref={ref} {...props} />;
+  }
+  return <ObjectVirtualTree ref={ref} {...props} />;
+});
+
+// 勾选策略常量，用法同antd TreeSelect.SHOW_PARENT
+VirtualAntTree.SHOW_ALL = SHOW_ALL;
+VirtualAntTree.SHOW_PARENT = SHOW_PARENT;
+VirtualAntTree.SHOW_CHILD = SHOW_CHILD;
+VirtualAntTree.SHOW_USER = SHOW_USER;
 
 export default VirtualAntTree; 
\ No newline at end of file
@@ -1,24 +1,88 @@
 /**
  * 搜索服务
- * 提供高效的搜索功能，支持即时搜索和完整搜索
+ * 基于倒排n-gram索引先筛选候选节点再精确匹配，大数据量下也能一次完成全量搜索
+ * 姓名和部门名支持全拼、首字母及混合拼音搜索，结果按匹配得分排序
+ * 支持结构化搜索语法，如 position:经理 dept:研发 -intern、phone:138*
  */
 
+import { createPinyinIndex } from '../utils/pinyin';
+import { createSearchMatcher, createSearchIndex, getSearchCandidates, compareMatches } from '../utils/searchMatcher';
+
 class SearchService {
   constructor() {
     // 缓存上一次搜索结果
     this.cache = new Map();
     // 最大缓存大小
     this.maxCacheSize = 50;
+    // 拼音索引，拼音条目在精确匹配候选节点时按需生成
+    this.pinyinIndex = createPinyinIndex();
+    // 倒排n-gram索引，每个数据集只构建一次，节点增删改时增量更新
+    this.searchIndex = createSearchIndex();
+    // 节点键 -> 节点，用于收集父节点路径
+    this.nodeLookup = new Map();
+    // 当前索引对应的节点数组
+    this.indexedNodes = null;
+    // 上一次搜索标记为matched的节点，再次搜索时只需重置这些节点
+    this.matchedNodes = [];
+  }
+  
+  /**
+   * 确保索引对应当前数据集，数据集变化时重建倒排索引和节点查找表，清空拼音条目和结果缓存
+   * @param {Array} nodes 所有节点
+   */
+  ensureDatasetIndex(nodes) {
+    if (this.indexedNodes === nodes) return;
+    
+    this.pinyinIndex.clear();
+    this.searchIndex.build(nodes);
+    this.nodeLookup = new Map(nodes.map(node => [node.key ?? node.id, node]));
+    this.indexedNodes = nodes;
+    this.clearCache();
+  }
+  
+  /**
+   * 使索引失效，下次搜索时整体重建
+   */
+  invalidate() {
+    this.indexedNodes = null;
+  }
+  
+  /**
+   * 节点数组被原地修改后增量更新索引，移动节点时同一节点会同时出现在removedNodes和insertedNodes中
+   * @param {Object} changes 变化的节点
+   * @param {Array} changes.removedNodes 删除的节点
+   * @param {Array} changes.insertedNodes 插入的节点
+   * @param {Array} changes.updatedNodes 字段被修改的节点
+   */
+  applyChanges({ removedNodes = [], insertedNodes = [], updatedNodes = [] }) {
+    // 尚未建立索引时无需维护，首次搜索时会整体构建
+    if (!this.indexedNodes) return;
+    
+    removedNodes.forEach(node => {
+      const key = node.key ?? node.id;
+      this.pinyinIndex.remove(key);
+      this.searchIndex.remove(key);
+      this.nodeLookup.delete(key);
+    });
+    insertedNodes.forEach(node => {
+      this.searchIndex.add(node);
+      this.nodeLookup.set(node.key ?? node.id, node);
+    });
+    // 拼音索引读取时按文本自动刷新，只需更新倒排索引
+    updatedNodes.forEach(node => this.searchIndex.update(node));
+    
+    this.clearCache();
   }
   
   /**
    * 搜索员工节点
+   * 结果按得分从高到低排列，每个结果带有score、matchedField和各命中字段的区间matchRanges
    * @param {Array} nodes 所有节点
    * @param {string} searchTerm 搜索词
-   * @param {string} mode 搜索模式: 'immediate'(即时) 或 'complete'(完整)
+   * @param {Object} treeIndex 树索引，传入时得分相同的结果按树中顺序排列
    * @returns {Object} 搜索结果
    */
-  searchUsers(nodes, searchTerm, mode = 'complete') {
+  searchUsers(nodes, searchTerm, treeIndex) {
     // 如果搜索词为空，返回空结果
     if (!searchTerm || typeof searchTerm !== 'string' || searchTerm.trim() === '') {
       return {
@@ -28,60 +92,68 @@ class SearchService {
       };
     }
     
+    this.ensureDatasetIndex(nodes);
+    
     // 尝试从缓存获取结果
-    const cacheKey = `${searchTerm}_${mode}`;
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+    if (this.cache.has(searchTerm)) {
+      const cached = this.cache.get(searchTerm);
+      this.markMatched(cached.matchedNodes.map(node => this.nodeLookup.get(node.key)).filter(Boolean));
+      return cached;
     }
     
-    const trimmedTerm = searchTerm.trim().toLowerCase();
+    // 支持字段限定、排除、引号、通配符和OR语法，没有有效查询项（如只输入"position:"）时不匹配任何节点
+    const matchNode = createSearchMatcher(searchTerm, { pinyinIndex: this.pinyinIndex });
+    if (!matchNode) {
+      this.markMatched([]);
+      return {
+        matchedNodes: [],
+        expandedKeys: [],
+        matchCount: 0
+      };
+    }
     const matchedNodes = [];
+    const hits = [];
     const expandedKeys = new Set();
     
-    // 即时搜索模式下，只处理前100个节点，提高响应速度
-    const nodesToProcess = mode === 'immediate' 
-      ? nodes.slice(0, Math.min(nodes.length, 100)) 
+    // 第一步：用倒排索引筛选候选节点，无法筛选时（如只有排除项）遍历所有节点
+    const candidateKeys = getSearchCandidates(searchTerm, this.searchIndex, { pinyinIndex: this.pinyinIndex });
+    const candidates = candidateKeys
+      ? candidateKeys.map(key => this.nodeLookup.get(key)).filter(Boolean)
       : nodes;
     
-    // 第一步：找到所有匹配的节点（不限于员工节点）
-    for (const node of nodesToProcess) {
-      // 搜索所有节点
-      const nodeTitle = (node.title || node.name || '').toLowerCase();
-      const nodeEmail = (node.email || '').toLowerCase();
-      const nodePosition = (node.position || '').toLowerCase();
-      const nodeRealName = (node.realName || '').toLowerCase();
-      const nodePhone = (node.phone || '').toLowerCase();
-      const nodeUserId = (node.userId || '').toLowerCase();
-      const nodeDepartment = (node.department || '').toLowerCase();
+    // 第二步：精确匹配候选节点（不限于员工节点）
+    for (const node of candidates) {
+      const match = matchNode(node);
+      if (!match) continue;
+      
+      hits.push(node);
+      matchedNodes.push({
+        ...node,
+        matched: true,
+        score: match.score,
+        matchedField: match.matchedField,
+        matchRanges: match.ranges
+      });
       
-      if (
-        nodeTitle.includes(trimmedTerm) ||
-        nodeEmail.includes(trimmedTerm) ||
-        nodePosition.includes(trimmedTerm) ||
-        nodeRealName.includes(trimmedTerm) ||
-        nodePhone.includes(trimmedTerm) ||
-        nodeUserId.includes(trimmedTerm) ||
-        nodeDepartment.includes(trimmedTerm)
-      ) {
-        node.matched = true;
-        matchedNodes.push(node);
-        
-        // 收集父节点路径，用于展开
-        let parentId = node.parentId;
-        while (parentId) {
-          expandedKeys.add(parentId);
-          const parentNode = nodes.find(n => n.id === parentId || n.key === parentId);
-          if (parentNode) {
-            parentId = parentNode.parentId;
-          } else {
-            break;
-          }
+      // 收集父节点路径，用于展开
+      let parentId = node.parentId;
+      while (parentId != null && !expandedKeys.has(parentId)) {
+        expandedKeys.add(parentId);
+        const parentNode = this.nodeLookup.get(parentId);
+        if (parentNode) {
+          parentId = parentNode.parentId;
+        } else {
+          break;
         }
-      } else if (node.matched) {
-        // 重置之前匹配的状态
-        node.matched = false;
       }
     }
+    this.markMatched(hits);
+    
+    // 第三步：按得分排序，得分相同时保持树中的先后顺序；候选节点按索引顺序排列，节点增删后可能与树中顺序不同
+    if (candidateKeys && treeIndex) {
+      matchedNodes.sort((a, b) => treeIndex.positions.get(a.key) - treeIndex.positions.get(b.key));
+    }
+    matchedNodes.sort(compareMatches);
     
     const result = {
       matchedNodes,
@@ -90,7 +162,7 @@ class SearchService {
     };
     
     // 缓存结果
-    this.addToCache(cacheKey, result);
+    this.addToCache(searchTerm, result);
     
     return result;
   }
@@ -117,6 +189,20 @@ class SearchService {
     this.cache.clear();
   }
   
+  /**
+   * 标记本次匹配的节点，并重置上一次匹配但本次未匹配的节点
+   * @param {Array} nodes 本次匹配的节点
+   */
+  markMatched(nodes) {
+    this.matchedNodes.forEach(node => {
+      node.matched = false;
+    });
+    nodes.forEach(node => {
+      node.matched = true;
+    });
+    this.matchedNodes = nodes;
+  }
+  
   /**
    * 重置所有节点的匹配状态
    * @param {Array} nodes 所有节点
@@ -129,8 +215,15 @@ class SearchService {
         node.matched = false;
       }
     }
+    this.matchedNodes = [];
   }
 }
 
-// 导出单例
+/**
+ * 创建独立的搜索服务，索引、结果缓存和匹配标记只属于一个数据集，每个树实例各自持有一个
+ * @returns {SearchService}
+ */
+export const createSearchService = () => new SearchService();
+
+// 导出单例，只适用于页面中只有一个数据集的场景
 export default new SearchService(); 
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * 属性筛选
+ * 按节点已有的类型、职位、部门、人数和入职日期等结构化属性筛选节点，可与文本搜索组合使用
+ * 筛选条件形如 { type: ['user'], position: ['产品经理'], entryDate: ['2024-01-01', null] }
+ * 多选字段为取值数组，节点取值在数组中即满足；日期范围为[开始, 结束]，任一端为null表示不限
+ * 节点缺少某个已启用条件的字段时视为不满足，例如按职位筛选时部门节点本身不满足，只作为祖先节点保留
+ */
+
+// 可筛选的字段：facet为多选分面，dateRange为日期范围
+export const FILTER_FIELDS = [
+  { field: 'type', label: '类型', kind: 'facet' },
+  { field: 'position', label: '职位', kind: 'facet' },
+  { field: 'departmentName', label: '部门', kind: 'facet' },
+  { field: 'employeeCount', label: '人数', kind: 'facet' },
+  { field: 'entryDate', label: '入职日期', kind: 'dateRange' }
+];
+
+// 把日期统一为YYYY-MM-DD，便于按字符串比较
+const toDateString = (value) => {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+};
+
+// 条件是否启用
+const isActiveCondition = (config, condition) => {
+  if (!condition) return false;
+  if (config.kind === 'dateRange') {
+    return Array.isArray(condition) && (condition[0] != null || condition[1] != null);
+  }
+  return Array.isArray(condition) && condition.length > 0;
+};
+
+// 节点是否满足单个字段的条件，values为多选取值的Set
+const matchCondition = (node, config, condition, values) => {
+  const value = node[config.field];
+  if (value == null || value === '') return false;
+
+  if (config.kind === 'dateRange') {
+    const date = toDateString(value);
+    const [start, end] = condition;
+    return (start == null || date >= start) && (end == null || date <= end);
+  }
+  return values.has(value);
+};
+
+// 整理出已启用的条件
+const getActiveConditions = (filters) => {
+  if (!filters) return [];
+
+  return FILTER_FIELDS
+    .filter(config => isActiveCondition(config, filters[config.field]))
+    .map(config => ({
+      config,
+      condition: filters[config.field],
+      values: config.kind === 'facet' ? new Set(filters[config.field]) : null
+    }));
+};
+
+/**
+ * 筛选条件中是否有启用的条件
+ * @param {Object} filters 筛选条件
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) => getActiveConditions(filters).length > 0;
+
+/**
+ * 统计已启用的条件数量，用于在筛选按钮上显示
+ * @param {Object} filters 筛选条件
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) => getActiveConditions(filters).length;
+
+/**
+ * 获取满足所有筛选条件的节点键
+ * @param {Array} nodes 扁平化节点数组
+ * @param {Object} filters 筛选条件
+ * @returns {Set|null} 节点键集合，没有启用的条件时返回null表示不筛选
+ */
+export const getFilteredKeys = (nodes, filters) => {
+  const conditions = getActiveConditions(filters);
+  if (conditions.length === 0) return null;
+
+  const keys = new Set();
+  nodes.forEach(node => {
+    if (conditions.every(({ config, condition, values }) => matchCondition(node, config, condition, values))) {
+      keys.add(node.key);
+    }
+  });
+  return keys;
+};
+
+/**
+ * 统计各分面取值的节点数
+ * 某个分面的计数只应用其他字段的条件，这样在同一分面内多选时仍能看到其余取值的数量
+ * @param {Array} nodes 扁平化节点数组
+ * @param {Object} filters 筛选条件
+ * @param {Set} baseKeys 参与统计的节点键（如文本搜索的匹配结果），不传时统计所有节点
+ * @returns {Object} 分面字段 -> [{ value, count }]，已选中但计数为0的取值也会保留
+ */
+export const getFacetCounts = (nodes, filters, baseKeys = null) => {
+  const conditions = getActiveConditions(filters);
+  const facets = FILTER_FIELDS.filter(config => config.kind === 'facet');
+  const counts = new Map(facets.map(config => [config.field, new Map()]));
+
+  nodes.forEach(node => {
+    if (baseKeys && !baseKeys.has(node.key)) return;
+
+    // 不满足的条件超过一个时，该节点不会计入任何分面
+    let failedField = null;
+    for (const { config, condition, values } of conditions) {
+      if (matchCondition(node, config, condition, values)) continue;
+      if (failedField !== null) return;
+      failedField = config.field;
+    }
+
+    facets.forEach(({ field }) => {
+      const value = node[field];
+      if (value == null || value === '') return;
+      if (failedField !== null && failedField !== field) return;
+
+      const facetCounts = counts.get(field);
+      facetCounts.set(value, (facetCounts.get(value) || 0) + 1);
+    });
+  });
+
+  const result = {};
+  facets.forEach(({ field }) => {
+    const facetCounts = counts.get(field);
+    (filters?.[field] || []).forEach(value => {
+      if (!facetCounts.has(value)) facetCounts.set(value, 0);
+    });
+
+    // 数值按大小排列，其余按数量从多到少排列
+    result[field] = Array.from(facetCounts, ([value, count]) => ({ value, count })).sort((a, b) => (
+      typeof a.value === 'number' && typeof b.value === 'number'
+        ? a.value - b.value
+        : b.count - a.count || String(a.value).localeCompare(String(b.value))
+    ));
+  });
+  return result;
+};
@@ -1,79 +1,235 @@
 /**
  * 极限优化的树节点数据结构
  * 使用TypedArray和位运算减少内存占用
+ *
+ * 节点ID可以是任意字符串或数字，管理器把ID映射为紧凑的槽位索引，所有字段按槽位存放在分块的TypedArray中：
+ * 首块按初始容量分配，扩容时为每个字段追加一块（长度逐块翻倍），已有数据不移动；
+ * 删除节点后槽位进入空闲列表，供之后添加的节点复用，只被该节点引用的名称、标题字符串一并释放
+ * 父子关系用父节点、首尾子节点和前后兄弟节点的槽位索引表示，NO_NODE表示不存在，顶级节点的父节点为NO_NODE
+ * 槽位顺序与树中的顺序无关，需要按树的顺序访问时使用forEachDescendant
  */
+import { findIndexByOffset } from './treeUtils';
+import { createTypedArray } from './treeBuffer';
 
 // 节点状态位定义
-const STATE_EXPANDED = 1;      // 0000 0001
-const STATE_SELECTED = 2;      // 0000 0010
-const STATE_CHECKED = 4;       // 0000 0100
-const STATE_MATCHED = 8;       // 0000 1000
-const STATE_LOADING = 16;      // 0001 0000
-const STATE_INDETERMINATE = 32;// 0010 0000
-const STATE_VISIBLE = 64;      // 0100 0000
-const STATE_LEAF = 128;        // 1000 0000
+export const STATE_EXPANDED = 1;      // 0000 0001
+export const STATE_SELECTED = 2;      // 0000 0010
+export const STATE_CHECKED = 4;       // 0000 0100
+export const STATE_MATCHED = 8;       // 0000 1000
+export const STATE_LOADING = 16;      // 0001 0000
+export const STATE_INDETERMINATE = 32;// 0010 0000
+export const STATE_VISIBLE = 64;      // 0100 0000
+export const STATE_LEAF = 128;        // 1000 0000
+
+// 表示没有对应节点的槽位索引，如顶级节点的父节点
+export const NO_NODE = -1;
 
 // 节点类型定义
 const TYPE_DEPARTMENT = 0;
 const TYPE_USER = 1;
 
+// 扩容块的最小、最大起始长度（2的幂的指数），之后每块翻倍
+const MIN_GROW_BITS = 4;
+const MAX_GROW_BITS = 12;
+
+// 层级使用Uint16Array存储
+const MAX_LEVEL = 65535;
+
+/**
+ * 计算分块布局：首块长度为初始容量，第k个扩容块（k从0开始）长度为(1 << (growBits + k))
+ * @param {Number} capacity 初始容量
+ * @returns {Object} { firstLength, growBits }
+ */
+const createChunkLayout = (capacity) => {
+  const firstLength = Math.max(1, Math.ceil(capacity));
+  const growBits = Math.min(MAX_GROW_BITS, Math.max(MIN_GROW_BITS, Math.ceil(Math.log2(firstLength))));
+  return { firstLength, growBits };
+};
+
+/**
+ * 分块的TypedArray，按槽位读写，扩容时只追加新块
+ */
+class ChunkedArray {
+  /**
+   * @param {Function} ArrayType TypedArray构造函数
+   * @param {Function} allocate 分配函数，见CompactTreeNodeManager.allocate
+   * @param {Object} layout 分块布局，见createChunkLayout
+   * @param {Number} initialValue 新槽位的初始值
+   */
+  constructor(ArrayType, allocate, layout, initialValue = 0) {
+    this.ArrayType = ArrayType;
+    this.allocate = allocate;
+    this.layout = layout;
+    this.initialValue = initialValue;
+    this.chunks = [];
+  }
+
+  get(index) {
+    const { firstLength, growBits } = this.layout;
+    if (index < firstLength) return this.chunks[0][index];
+
+    // 扩容块k覆盖相对位置[((1 << k) - 1) << growBits, ((1 << (k + 1)) - 1) << growBits)
+    const relative = index - firstLength;
+    const chunk = 31 - Math.clz32((relative >>> growBits) + 1);
+    return this.chunks[chunk + 1][relative - (((1 << chunk) - 1) << growBits)];
+  }
+
+  set(index, value) {
+    const { firstLength, growBits } = this.layout;
+    if (index < firstLength) {
+      this.chunks[0][index] = value;
+      return;
+    }
+
+    const relative = index - firstLength;
+    const chunk = 31 - Math.clz32((relative >>> growBits) + 1);
+    this.chunks[chunk + 1][relative - (((1 << chunk) - 1) << growBits)] = value;
+  }
+
+  // 追加一块，返回新块的长度
+  grow() {
+    const { firstLength, growBits } = this.layout;
+    const length = this.chunks.length === 0 ? firstLength : 1 << (growBits + this.chunks.length - 1);
+    const chunk = this.allocate(this.ArrayType, length);
+    if (this.initialValue !== 0) chunk.fill(this.initialValue);
+    this.chunks.push(chunk);
+    return length;
+  }
+
+  get byteLength() {
+    return this.chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+  }
+}
+
 /**
  * 压缩树节点管理器
  */
 export class CompactTreeNodeManager {
-  constructor(capacity = 10000) {
-    // 分配内存
-    this.capacity = capacity;
-    
-    // 使用TypedArray存储节点数据，减少内存占用
-    this.ids = new Int32Array(capacity);           // 节点ID
-    this.parentIds = new Int32Array(capacity);     // 父节点ID
-    this.firstChildIndices = new Int32Array(capacity); // 第一个子节点索引
-    this.nextSiblingIndices = new Int32Array(capacity); // 下一个兄弟节点索引
-    this.levels = new Uint8Array(capacity);        // 节点层级 (0-255)
-    this.states = new Uint8Array(capacity);        // 节点状态位
-    this.types = new Uint8Array(capacity);         // 节点类型
-    this.offsetTops = new Float32Array(capacity);  // 节点顶部偏移
-    
-    // 字符串数据（使用Map存储以节省内存）
-    this.stringData = new Map();
-    
+  /**
+   * @param {Number} capacity 初始容量，决定首块的长度，超出后按块扩容
+   * @param {Object} options 配置项
+   * @param {Boolean} options.shared 是否把TypedArray分配在SharedArrayBuffer上，以便与Worker共享，需要页面跨源隔离
+   */
+  constructor(capacity = 10000, options = {}) {
+    this.shared = !!options.shared;
+    this.capacity = 0;
+
+    // 使用分块的TypedArray存储节点数据，减少内存占用
+    const allocate = (ArrayType, length) => this.allocate(ArrayType, length);
+    const layout = createChunkLayout(capacity);
+    this.chunkLayout = layout;
+    this.fields = {
+      parents: new ChunkedArray(Int32Array, allocate, layout, NO_NODE),        // 父节点槽位
+      firstChildren: new ChunkedArray(Int32Array, allocate, layout, NO_NODE),  // 第一个子节点槽位
+      lastChildren: new ChunkedArray(Int32Array, allocate, layout, NO_NODE),   // 最后一个子节点槽位
+      nextSiblings: new ChunkedArray(Int32Array, allocate, layout, NO_NODE),   // 下一个兄弟节点槽位
+      prevSiblings: new ChunkedArray(Int32Array, allocate, layout, NO_NODE),   // 上一个兄弟节点槽位
+      levels: new ChunkedArray(Uint16Array, allocate, layout),                 // 节点层级 (0-65535)
+      states: new ChunkedArray(Uint8Array, allocate, layout),                  // 节点状态位
+      types: new ChunkedArray(Uint8Array, allocate, layout),                   // 节点类型
+      nameIds: new ChunkedArray(Int32Array, allocate, layout),                 // 名称的字符串ID
+      titleIds: new ChunkedArray(Int32Array, allocate, layout),                // 标题的字符串ID
+      offsetTops: new ChunkedArray(Float32Array, allocate, layout)             // 节点顶部偏移
+    };
+    this.expandCapacity();
+
+    // 槽位 -> 节点ID，空闲槽位为undefined
+    this.ids = [];
+
+    // 节点ID到槽位的映射
+    this.nodeIdToIndex = new Map();
+
+    // 已使用过的槽位数，以及删除节点后空出的槽位
+    this.slotCount = 0;
+    this.freeSlots = [];
+
     // 节点数量
     this.nodeCount = 0;
-    
+
+    // 顶级节点链表的首尾
+    this.firstRoot = NO_NODE;
+    this.lastRoot = NO_NODE;
+
+    // 字符串数据：字符串ID -> 字符串
+    this.stringData = new Map();
+
     // 可见节点缓存
     this.visibleNodeIndices = [];
     this.visibilityDirty = true;
-    
+
+    // 可见节点偏移前缀和，可变高度时用于二分查找
+    this.visibleOffsets = new Float64Array(1);
+
     // 字符串ID计数器
     this.stringIdCounter = 1;
-    
+
     // 字符串ID映射
     this.stringIdMap = new Map();
-    
-    // 节点ID到索引的映射
-    this.nodeIdToIndex = new Map();
+
+    // 字符串ID -> 引用该字符串的节点字段数，为0时释放
+    this.stringRefCounts = new Map();
   }
-  
+
+  /**
+   * 分配TypedArray，shared时使用共享内存
+   * @param {Function} ArrayType TypedArray构造函数
+   * @param {Number} length 元素个数
+   * @returns {TypedArray}
+   */
+  allocate(ArrayType, length) {
+    return createTypedArray(ArrayType, length, this.shared);
+  }
+
   /**
-   * 获取或创建字符串ID
+   * 获取存放节点数据的底层缓冲区，共享时可直接发给Worker，否则可作为Transferable转移
+   * 每个字段由若干块组成，块的长度见chunkLayout（首块为firstLength，第k个扩容块为1 << (growBits + k)）；
+   * 扩容只追加新块，之前发出的缓冲区仍然有效
+   * @returns {Object} 字段名 -> ArrayBuffer或SharedArrayBuffer数组
+   */
+  getBuffers() {
+    const buffers = {};
+    Object.entries(this.fields).forEach(([name, field]) => {
+      buffers[name] = field.chunks.map(chunk => chunk.buffer);
+    });
+    return buffers;
+  }
+
+  /**
+   * 获取或创建字符串ID，每次调用增加一次引用，不再使用时调用releaseString
    * @param {String} str 字符串
    * @returns {Number} 字符串ID
    */
   getStringId(str) {
     if (!str) return 0;
-    
-    if (this.stringIdMap.has(str)) {
-      return this.stringIdMap.get(str);
+
+    let id = this.stringIdMap.get(str);
+    if (id === undefined) {
+      id = this.stringIdCounter++;
+      this.stringIdMap.set(str, id);
+      this.stringData.set(id, str);
     }
-    
-    const id = this.stringIdCounter++;
-    this.stringIdMap.set(str, id);
-    this.stringData.set(id, str);
-    
+    this.stringRefCounts.set(id, (this.stringRefCounts.get(id) || 0) + 1);
+
     return id;
   }
-  
+
+  /**
+   * 释放一次字符串引用，没有引用时删除该字符串
+   * @param {Number} id 字符串ID
+   */
+  releaseString(id) {
+    if (id === 0) return;
+
+    const count = (this.stringRefCounts.get(id) || 0) - 1;
+    if (count > 0) {
+      this.stringRefCounts.set(id, count);
+      return;
+    }
+    this.stringRefCounts.delete(id);
+    this.stringIdMap.delete(this.stringData.get(id));
+    this.stringData.delete(id);
+  }
+
   /**
    * 获取字符串
    * @param {Number} id 字符串ID
@@ -83,22 +239,80 @@ export class CompactTreeNodeManager {
     if (id === 0) return '';
     return this.stringData.get(id) || '';
   }
-  
+
+  /**
+   * 节点是否存在
+   * @param {String|Number} id 节点ID
+   * @returns {Boolean}
+   */
+  has(id) {
+    return this.nodeIdToIndex.has(id);
+  }
+
+  /**
+   * 获取节点的槽位
+   * @param {String|Number} id 节点ID
+   * @returns {Number} 槽位索引，节点不存在时为NO_NODE
+   */
+  getIndex(id) {
+    const index = this.nodeIdToIndex.get(id);
+    return index === undefined ? NO_NODE : index;
+  }
+
+  /**
+   * 获取槽位上的节点ID
+   * @param {Number} index 槽位索引
+   * @returns {String|Number|undefined} 节点ID，空闲槽位为undefined
+   */
+  getId(index) {
+    return this.ids[index];
+  }
+
+  /**
+   * 槽位上是否有节点
+   * @param {Number} index 槽位索引
+   * @returns {Boolean}
+   */
+  isValidIndex(index) {
+    return index >= 0 && index < this.slotCount && this.ids[index] !== undefined;
+  }
+
+  /**
+   * 获取父节点的槽位
+   * @param {Number} index 节点槽位
+   * @returns {Number} 父节点槽位，顶级节点为NO_NODE
+   */
+  getParentIndex(index) {
+    return this.fields.parents.get(index);
+  }
+
   /**
-   * 添加节点
-   * @param {Object} node 节点数据
-   * @returns {Number} 节点索引
+   * 获取节点层级，顶级节点为0
+   * @param {Number} index 节点槽位
+   * @returns {Number}
+   */
+  getLevel(index) {
+    return this.fields.levels.get(index);
+  }
+
+  /**
+   * 获取节点的全部状态位
+   * @param {Number} index 节点槽位
+   * @returns {Number}
+   */
+  getStates(index) {
+    return this.fields.states.get(index);
+  }
+
+  /**
+   * 添加节点，父节点需要先添加，节点追加到父节点（或顶级节点）的子节点末尾
+   * @param {Object} node 节点数据，id为任意字符串或数字，parentId为空时作为顶级节点
+   * @returns {Number} 节点槽位，ID为空、ID重复或父节点不存在时为NO_NODE
    */
   addNode(node) {
-    if (this.nodeCount >= this.capacity) {
-      this.expandCapacity();
-    }
-    
-    const index = this.nodeCount++;
     const {
       id,
-      parentId = 0,
-      level = 0,
+      parentId = null,
       expanded = false,
       selected = false,
       checked = false,
@@ -108,12 +322,20 @@ export class CompactTreeNodeManager {
       isLeaf = false,
       type = 'department'
     } = node;
-    
+
+    if (id === undefined || id === null || this.nodeIdToIndex.has(id)) return NO_NODE;
+
+    const parentIndex = parentId === null || parentId === undefined ? NO_NODE : this.getIndex(parentId);
+    if (parentIndex === NO_NODE && parentId !== null && parentId !== undefined) return NO_NODE;
+
+    const index = this.allocateSlot();
+    const { fields } = this;
+
     // 存储节点ID
     this.ids[index] = id;
-    this.parentIds[index] = parentId || 0;
-    this.levels[index] = Math.min(level, 255);
-    
+    this.nodeIdToIndex.set(id, index);
+    fields.levels.set(index, parentIndex === NO_NODE ? 0 : Math.min(fields.levels.get(parentIndex) + 1, MAX_LEVEL));
+
     // 设置节点状态位
     let state = 0;
     if (expanded) state |= STATE_EXPANDED;
@@ -123,164 +345,219 @@ export class CompactTreeNodeManager {
     if (loading) state |= STATE_LOADING;
     if (indeterminate) state |= STATE_INDETERMINATE;
     if (isLeaf) state |= STATE_LEAF;
-    
-    this.states[index] = state;
-    this.types[index] = type === 'user' ? TYPE_USER : TYPE_DEPARTMENT;
-    
+
+    fields.states.set(index, state);
+    fields.types.set(index, type === 'user' ? TYPE_USER : TYPE_DEPARTMENT);
+
     // 存储字符串数据
-    if (node.name) {
-      const nameId = this.getStringId(node.name);
-      this.stringData.set(`name_${index}`, nameId);
-    }
-    
-    if (node.title && node.title !== node.name) {
-      const titleId = this.getStringId(node.title);
-      this.stringData.set(`title_${index}`, titleId);
-    }
-    
-    // 更新节点ID到索引的映射
-    this.nodeIdToIndex.set(id, index);
-    
+    fields.nameIds.set(index, this.getStringId(node.name));
+    fields.titleIds.set(index, node.title && node.title !== node.name ? this.getStringId(node.title) : 0);
+
     // 更新树结构关系
-    this.updateTreeStructure(index, parentId);
-    
+    this.updateTreeStructure(index, parentIndex);
+
+    this.nodeCount++;
+
     // 标记可见性缓存为脏
     this.visibilityDirty = true;
-    
+
     return index;
   }
-  
-  /**
-   * 更新树结构关系
-   * @param {Number} index 节点索引
-   * @param {Number} parentId 父节点ID
-   */
-  updateTreeStructure(index, parentId) {
-    if (!parentId) return;
-    
-    const parentIndex = this.nodeIdToIndex.get(parentId);
-    if (parentIndex === undefined) return;
-    
-    // 如果父节点没有子节点，设置为第一个子节点
-    if (this.firstChildIndices[parentIndex] === 0) {
-      this.firstChildIndices[parentIndex] = index;
+
+  /**
+   * 分配槽位，优先复用删除节点空出的槽位
+   * @returns {Number} 槽位索引
+   */
+  allocateSlot() {
+    if (this.freeSlots.length > 0) {
+      return this.freeSlots.pop();
+    }
+    if (this.slotCount >= this.capacity) {
+      this.expandCapacity();
+    }
+    return this.slotCount++;
+  }
+
+  /**
+   * 把节点追加到父节点的子节点链表末尾
+   * @param {Number} index 节点槽位
+   * @param {Number} parentIndex 父节点槽位，NO_NODE表示顶级节点
+   */
+  updateTreeStructure(index, parentIndex) {
+    const { parents, firstChildren, lastChildren, nextSiblings, prevSiblings } = this.fields;
+    const lastSibling = parentIndex === NO_NODE ? this.lastRoot : lastChildren.get(parentIndex);
+
+    parents.set(index, parentIndex);
+    prevSiblings.set(index, lastSibling);
+    nextSiblings.set(index, NO_NODE);
+
+    if (lastSibling !== NO_NODE) {
+      nextSiblings.set(lastSibling, index);
+    } else if (parentIndex === NO_NODE) {
+      this.firstRoot = index;
     } else {
-      // 否则，添加到兄弟节点链表末尾
-      let siblingIndex = this.firstChildIndices[parentIndex];
-      while (this.nextSiblingIndices[siblingIndex] !== 0) {
-        siblingIndex = this.nextSiblingIndices[siblingIndex];
-      }
-      this.nextSiblingIndices[siblingIndex] = index;
+      firstChildren.set(parentIndex, index);
+    }
+
+    if (parentIndex === NO_NODE) {
+      this.lastRoot = index;
+    } else {
+      lastChildren.set(parentIndex, index);
+    }
+  }
+
+  /**
+   * 删除节点及其子树，空出的槽位会被之后添加的节点复用
+   * 非严格勾选时父节点的勾选和半选状态按剩余子节点重新计算
+   * @param {String|Number} id 节点ID
+   * @returns {Number} 删除的节点数，节点不存在时为0
+   */
+  removeNode(id) {
+    const index = this.getIndex(id);
+    if (index === NO_NODE) return 0;
+
+    const { parents, firstChildren, lastChildren, nextSiblings, prevSiblings } = this.fields;
+    const parentIndex = parents.get(index);
+    const prev = prevSiblings.get(index);
+    const next = nextSiblings.get(index);
+
+    // 从兄弟节点链表中摘除
+    if (prev !== NO_NODE) {
+      nextSiblings.set(prev, next);
+    } else if (parentIndex === NO_NODE) {
+      this.firstRoot = next;
+    } else {
+      firstChildren.set(parentIndex, next);
     }
+    if (next !== NO_NODE) {
+      prevSiblings.set(next, prev);
+    } else if (parentIndex === NO_NODE) {
+      this.lastRoot = prev;
+    } else {
+      lastChildren.set(parentIndex, prev);
+    }
+
+    // 先收集子树再释放，遍历依赖子树内的链接
+    const removed = [index];
+    this.forEachDescendant(index, childIndex => {
+      removed.push(childIndex);
+    });
+    removed.forEach(slot => this.releaseSlot(slot));
+
+    this.nodeCount -= removed.length;
+    if (parentIndex !== NO_NODE) {
+      this.refreshCheckedState(parentIndex);
+    }
+    this.visibilityDirty = true;
+
+    return removed.length;
   }
-  
+
   /**
-   * 扩展容量
+   * 清空槽位并放入空闲列表
+   * @param {Number} index 槽位索引
+   */
+  releaseSlot(index) {
+    this.nodeIdToIndex.delete(this.ids[index]);
+    this.ids[index] = undefined;
+    this.releaseString(this.fields.nameIds.get(index));
+    this.releaseString(this.fields.titleIds.get(index));
+
+    Object.values(this.fields).forEach(field => field.set(index, field.initialValue));
+    this.freeSlots.push(index);
+  }
+
+  /**
+   * 扩展容量，为每个字段追加一块，已有数据不移动
    */
   expandCapacity() {
-    const newCapacity = this.capacity * 2;
-    
-    // 创建新的数组
-    const newIds = new Int32Array(newCapacity);
-    const newParentIds = new Int32Array(newCapacity);
-    const newFirstChildIndices = new Int32Array(newCapacity);
-    const newNextSiblingIndices = new Int32Array(newCapacity);
-    const newLevels = new Uint8Array(newCapacity);
-    const newStates = new Uint8Array(newCapacity);
-    const newTypes = new Uint8Array(newCapacity);
-    const newOffsetTops = new Float32Array(newCapacity);
-    
-    // 复制数据
-    newIds.set(this.ids);
-    newParentIds.set(this.parentIds);
-    newFirstChildIndices.set(this.firstChildIndices);
-    newNextSiblingIndices.set(this.nextSiblingIndices);
-    newLevels.set(this.levels);
-    newStates.set(this.states);
-    newTypes.set(this.types);
-    newOffsetTops.set(this.offsetTops);
-    
-    // 更新引用
-    this.ids = newIds;
-    this.parentIds = newParentIds;
-    this.firstChildIndices = newFirstChildIndices;
-    this.nextSiblingIndices = newNextSiblingIndices;
-    this.levels = newLevels;
-    this.states = newStates;
-    this.types = newTypes;
-    this.offsetTops = newOffsetTops;
-    
+    let length = 0;
+    Object.values(this.fields).forEach(field => {
+      length = field.grow();
+    });
+
     // 更新容量
-    this.capacity = newCapacity;
+    this.capacity += length;
   }
-  
+
   /**
    * 获取节点状态
-   * @param {Number} index 节点索引
+   * @param {Number} index 节点槽位
    * @param {Number} stateBit 状态位
    * @returns {Boolean} 状态值
    */
   getNodeState(index, stateBit) {
-    if (index < 0 || index >= this.nodeCount) return false;
-    return (this.states[index] & stateBit) !== 0;
+    if (!this.isValidIndex(index)) return false;
+    return (this.fields.states.get(index) & stateBit) !== 0;
   }
-  
+
   /**
    * 设置节点状态
-   * @param {Number} index 节点索引
+   * @param {Number} index 节点槽位
    * @param {Number} stateBit 状态位
    * @param {Boolean} value 状态值
    */
   setNodeState(index, stateBit, value) {
-    if (index < 0 || index >= this.nodeCount) return;
-    
-    if (value) {
-      this.states[index] |= stateBit;
-    } else {
-      this.states[index] &= ~stateBit;
-    }
-    
+    if (!this.isValidIndex(index)) return;
+
+    const { states } = this.fields;
+    const state = states.get(index);
+    states.set(index, value ? state | stateBit : state & ~stateBit);
+
     // 如果修改了展开状态，标记可见性缓存为脏
     if (stateBit === STATE_EXPANDED) {
       this.visibilityDirty = true;
     }
   }
-  
+
+  /**
+   * 获取带有某个状态位的节点ID，按树中的先序排列
+   * @param {Number} stateBit 状态位
+   * @returns {Array} 节点ID数组
+   */
+  getIdsWithState(stateBit) {
+    const ids = [];
+    this.forEachDescendant(NO_NODE, index => {
+      if (this.fields.states.get(index) & stateBit) ids.push(this.ids[index]);
+    });
+    return ids;
+  }
+
   /**
    * 获取节点
-   * @param {Number} id 节点ID
+   * @param {String|Number} id 节点ID
    * @returns {Object} 节点对象
    */
   getNode(id) {
-    const index = this.nodeIdToIndex.get(id);
-    if (index === undefined) return null;
-    
+    const index = this.getIndex(id);
+    if (index === NO_NODE) return null;
+
     return this.getNodeByIndex(index);
   }
-  
+
   /**
-   * 根据索引获取节点
-   * @param {Number} index 节点索引
+   * 根据槽位获取节点
+   * @param {Number} index 节点槽位
    * @returns {Object} 节点对象
    */
   getNodeByIndex(index) {
-    if (index < 0 || index >= this.nodeCount) return null;
-    
+    if (!this.isValidIndex(index)) return null;
+
+    const { fields } = this;
     const id = this.ids[index];
-    const parentId = this.parentIds[index];
-    const level = this.levels[index];
-    const state = this.states[index];
-    const type = this.types[index] === TYPE_USER ? 'user' : 'department';
-    
+    const parentIndex = fields.parents.get(index);
+    const state = fields.states.get(index);
+    const type = fields.types.get(index) === TYPE_USER ? 'user' : 'department';
+
     // 获取字符串数据
-    const nameId = this.stringData.get(`name_${index}`);
-    const titleId = this.stringData.get(`title_${index}`);
-    
+    const name = this.getString(fields.nameIds.get(index));
+    const title = this.getString(fields.titleIds.get(index));
+
     return {
       id,
       key: id,
-      parentId,
-      level,
+      parentId: parentIndex === NO_NODE ? null : this.ids[parentIndex],
+      level: fields.levels.get(index),
       expanded: (state & STATE_EXPANDED) !== 0,
       selected: (state & STATE_SELECTED) !== 0,
       checked: (state & STATE_CHECKED) !== 0,
@@ -289,15 +566,63 @@ export class CompactTreeNodeManager {
       indeterminate: (state & STATE_INDETERMINATE) !== 0,
       isLeaf: (state & STATE_LEAF) !== 0,
       type,
-      name: this.getString(nameId),
-      title: this.getString(titleId) || this.getString(nameId),
-      offsetTop: this.offsetTops[index]
+      name,
+      title: title || name,
+      offsetTop: fields.offsetTops.get(index)
     };
   }
-  
+
+  /**
+   * 按先序遍历节点的子孙节点（不含节点自身）
+   * @param {Number} index 起始节点槽位，NO_NODE表示遍历整棵树
+   * @param {Function} callback 回调，参数为节点槽位
+   * @param {Function} shouldDescend 是否进入某个节点的子节点，不传时遍历全部子孙
+   */
+  forEachDescendant(index, callback, shouldDescend) {
+    const { parents, firstChildren, nextSiblings } = this.fields;
+    let current = index === NO_NODE ? this.firstRoot : firstChildren.get(index);
+
+    while (current !== NO_NODE) {
+      callback(current);
+
+      const child = !shouldDescend || shouldDescend(current) ? firstChildren.get(current) : NO_NODE;
+      if (child !== NO_NODE) {
+        current = child;
+        continue;
+      }
+
+      // 没有子节点可进入时，回到最近一个还有后续兄弟的祖先
+      while (current !== index && nextSiblings.get(current) === NO_NODE) {
+        current = parents.get(current);
+      }
+      current = current === index ? NO_NODE : nextSiblings.get(current);
+    }
+  }
+
+  /**
+   * 计算可见节点的偏移前缀和
+   * @param {Number|Function} nodeHeight 节点高度，或根据节点返回高度的函数
+   * @returns {Float64Array} 偏移前缀和，最后一项为总高度
+   */
+  buildVisibleOffsets(nodeHeight = 40) {
+    const visibleCount = this.visibleNodeIndices.length;
+    const offsets = new Float64Array(visibleCount + 1);
+    const isVariable = typeof nodeHeight === 'function';
+
+    for (let i = 0; i < visibleCount; i++) {
+      const index = this.visibleNodeIndices[i];
+      const height = isVariable ? nodeHeight(this.getNodeByIndex(index)) : nodeHeight;
+      this.fields.offsetTops.set(index, offsets[i]);
+      offsets[i + 1] = offsets[i] + height;
+    }
+
+    this.visibleOffsets = offsets;
+    return offsets;
+  }
+
   /**
    * 获取可见节点
-   * @param {Number} nodeHeight 节点高度
+   * @param {Number|Function} nodeHeight 节点高度，或根据节点返回高度的函数
    * @returns {Array} 可见节点数组
    */
   getVisibleNodes(nodeHeight = 40) {
@@ -305,91 +630,89 @@ export class CompactTreeNodeManager {
     if (this.visibilityDirty) {
       this.calculateVisibleNodes();
     }
-    
+
     // 计算节点偏移
-    let offsetTop = 0;
-    for (let i = 0; i < this.visibleNodeIndices.length; i++) {
-      const index = this.visibleNodeIndices[i];
-      this.offsetTops[index] = offsetTop;
-      offsetTop += nodeHeight;
-    }
-    
+    this.buildVisibleOffsets(nodeHeight);
+
     // 返回可见节点
     return this.visibleNodeIndices.map(index => this.getNodeByIndex(index));
   }
-  
+
   /**
-   * 计算可见节点
+   * 计算可见节点：按先序遍历，折叠节点的子树整体跳过
    */
   calculateVisibleNodes() {
-    this.visibleNodeIndices = [];
-    
-    for (let i = 0; i < this.nodeCount; i++) {
-      if (this.isNodeVisible(i)) {
-        this.visibleNodeIndices.push(i);
-        this.setNodeState(i, STATE_VISIBLE, true);
-      } else {
-        this.setNodeState(i, STATE_VISIBLE, false);
-      }
-    }
-    
+    // 上一次可见的节点先清除可见标记，已删除的槽位会被跳过
+    this.visibleNodeIndices.forEach(index => this.setNodeState(index, STATE_VISIBLE, false));
+
+    const visibleNodeIndices = [];
+    this.forEachDescendant(NO_NODE, index => {
+      visibleNodeIndices.push(index);
+      this.setNodeState(index, STATE_VISIBLE, true);
+    }, index => (this.fields.states.get(index) & STATE_EXPANDED) !== 0);
+
+    this.visibleNodeIndices = visibleNodeIndices;
     this.visibilityDirty = false;
   }
-  
+
   /**
    * 判断节点是否可见
-   * @param {Number} index 节点索引
+   * @param {Number} index 节点槽位
    * @returns {Boolean} 是否可见
    */
   isNodeVisible(index) {
-    if (index < 0 || index >= this.nodeCount) return false;
-    
-    // 根节点总是可见的
-    if (this.levels[index] === 0 || this.parentIds[index] === 0) {
-      return true;
-    }
-    
-    // 检查该节点的所有父节点是否都是展开的
-    let parentId = this.parentIds[index];
-    while (parentId !== 0) {
-      const parentIndex = this.nodeIdToIndex.get(parentId);
-      if (parentIndex === undefined) return false;
-      
-      // 如果父节点未展开，则不可见
-      if ((this.states[parentIndex] & STATE_EXPANDED) === 0) {
+    if (!this.isValidIndex(index)) return false;
+
+    // 检查该节点的所有祖先节点是否都是展开的，顶级节点总是可见的
+    let parentIndex = this.fields.parents.get(index);
+    while (parentIndex !== NO_NODE) {
+      if ((this.fields.states.get(parentIndex) & STATE_EXPANDED) === 0) {
         return false;
       }
-      
-      parentId = this.parentIds[parentIndex];
+      parentIndex = this.fields.parents.get(parentIndex);
     }
-    
+
     return true;
   }
-  
+
   /**
    * 获取可视区域内的节点
    * @param {Number} scrollTop 滚动位置
    * @param {Number} viewportHeight 视口高度
-   * @param {Number} nodeHeight 节点高度
+   * @param {Number|Function} nodeHeight 节点高度，或根据节点返回高度的函数
    * @param {Number} overscan 过扫描行数
-   * @returns {Array} 可视区域内的节点
+   * @returns {Array} 可视区域内的节点，带offsetTop、rowHeight、index（可见序号）和slot（槽位）
    */
   getNodesInViewport(scrollTop, viewportHeight, nodeHeight = 40, overscan = 5) {
     // 获取可见节点
     if (this.visibilityDirty) {
       this.calculateVisibleNodes();
     }
-    
+
     const visibleCount = this.visibleNodeIndices.length;
     if (visibleCount === 0) return [];
-    
-    // 计算可视区域内的节点范围
-    const startIndex = Math.max(0, Math.floor(scrollTop / nodeHeight) - overscan);
-    const endIndex = Math.min(
-      visibleCount - 1,
-      Math.ceil((scrollTop + viewportHeight) / nodeHeight) + overscan
-    );
-    
+
+    const isVariable = typeof nodeHeight === 'function';
+    let startIndex;
+    let endIndex;
+
+    if (isVariable) {
+      // 可变高度：基于偏移前缀和二分查找范围
+      const offsets = this.buildVisibleOffsets(nodeHeight);
+      startIndex = Math.max(0, findIndexByOffset(offsets, scrollTop) - overscan);
+      endIndex = Math.min(
+        visibleCount - 1,
+        findIndexByOffset(offsets, scrollTop + viewportHeight) + overscan
+      );
+    } else {
+      // 固定高度：直接计算可视区域内的节点范围
+      startIndex = Math.max(0, Math.floor(scrollTop / nodeHeight) - overscan);
+      endIndex = Math.min(
+        visibleCount - 1,
+        Math.ceil((scrollTop + viewportHeight) / nodeHeight) + overscan
+      );
+    }
+
     // 获取可视区域内的节点
     const viewportNodes = [];
     for (let i = startIndex; i <= endIndex; i++) {
@@ -397,260 +720,264 @@ export class CompactTreeNodeManager {
         const nodeIndex = this.visibleNodeIndices[i];
         const node = this.getNodeByIndex(nodeIndex);
         if (node) {
-          node.offsetTop = i * nodeHeight;
+          node.offsetTop = isVariable ? this.visibleOffsets[i] : i * nodeHeight;
+          node.rowHeight = isVariable
+            ? this.visibleOffsets[i + 1] - this.visibleOffsets[i]
+            : nodeHeight;
           node.index = i;
+          node.slot = nodeIndex;
           viewportNodes.push(node);
         }
       }
     }
-    
+
     return viewportNodes;
   }
-  
+
   /**
    * 切换节点展开状态
-   * @param {Number} id 节点ID
+   * @param {String|Number} id 节点ID
    * @returns {Boolean} 操作是否成功
    */
   toggleNodeExpanded(id) {
-    const index = this.nodeIdToIndex.get(id);
-    if (index === undefined) return false;
-    
+    const index = this.getIndex(id);
+    if (index === NO_NODE) return false;
+
     const expanded = this.getNodeState(index, STATE_EXPANDED);
     this.setNodeState(index, STATE_EXPANDED, !expanded);
-    
+
     return true;
   }
-  
+
   /**
    * 设置节点选中状态
-   * @param {Number} id 节点ID
+   * @param {String|Number} id 节点ID
    * @param {Boolean} selected 是否选中
    * @returns {Boolean} 操作是否成功
    */
   setNodeSelected(id, selected) {
-    const index = this.nodeIdToIndex.get(id);
-    if (index === undefined) return false;
-    
+    const index = this.getIndex(id);
+    if (index === NO_NODE) return false;
+
     this.setNodeState(index, STATE_SELECTED, selected);
-    
+
     return true;
   }
-  
+
   /**
    * 设置节点勾选状态
-   * @param {Number} id 节点ID
+   * @param {String|Number} id 节点ID
    * @param {Boolean} checked 是否勾选
    * @returns {Boolean} 操作是否成功
    */
   setNodeChecked(id, checked) {
-    const index = this.nodeIdToIndex.get(id);
-    if (index === undefined) return false;
-    
+    const index = this.getIndex(id);
+    if (index === NO_NODE) return false;
+
     this.setNodeState(index, STATE_CHECKED, checked);
-    
+    this.setNodeState(index, STATE_INDETERMINATE, false);
+
     // 更新子节点
     this.updateChildrenChecked(index, checked);
-    
+
     // 更新父节点
     this.updateParentChecked(index);
-    
+
     return true;
   }
-  
+
   /**
-   * 更新子节点勾选状态
-   * @param {Number} index 节点索引
+   * 更新子孙节点勾选状态
+   * @param {Number} index 节点槽位
    * @param {Boolean} checked 是否勾选
    */
   updateChildrenChecked(index, checked) {
-    const firstChildIndex = this.firstChildIndices[index];
-    if (firstChildIndex === 0) return;
-    
-    // 遍历所有子节点
-    let childIndex = firstChildIndex;
-    while (childIndex !== 0) {
-      // 设置子节点勾选状态
+    this.forEachDescendant(index, childIndex => {
       this.setNodeState(childIndex, STATE_CHECKED, checked);
       this.setNodeState(childIndex, STATE_INDETERMINATE, false);
-      
-      // 递归更新子节点的子节点
-      this.updateChildrenChecked(childIndex, checked);
-      
-      // 移动到下一个兄弟节点
-      childIndex = this.nextSiblingIndices[childIndex];
-    }
+    });
   }
-  
+
   /**
-   * 更新父节点勾选状态
-   * @param {Number} index 节点索引
+   * 更新祖先节点勾选状态
+   * @param {Number} index 节点槽位
    */
   updateParentChecked(index) {
-    const parentId = this.parentIds[index];
-    if (parentId === 0) return;
-    
-    const parentIndex = this.nodeIdToIndex.get(parentId);
-    if (parentIndex === undefined) return;
-    
-    // 获取父节点的所有子节点
-    const childIndices = this.getChildIndices(parentIndex);
-    
-    // 统计子节点勾选状态
-    let checkedCount = 0;
-    let indeterminateCount = 0;
-    
-    for (const childIndex of childIndices) {
-      if (this.getNodeState(childIndex, STATE_CHECKED)) {
-        checkedCount++;
+    const parentIndex = this.fields.parents.get(index);
+    if (parentIndex !== NO_NODE) {
+      this.refreshCheckedState(parentIndex);
+    }
+  }
+
+  /**
+   * 按子节点重新计算节点及其祖先的勾选和半选状态
+   * @param {Number} index 节点槽位
+   */
+  refreshCheckedState(index) {
+    let current = index;
+    while (current !== NO_NODE) {
+      const childIndices = this.getChildIndices(current);
+      if (childIndices.length === 0) {
+        // 子节点已全部删除，保留自身的勾选状态
+        this.setNodeState(current, STATE_INDETERMINATE, false);
+        current = this.fields.parents.get(current);
+        continue;
+      }
+
+      // 统计子节点勾选状态
+      let checkedCount = 0;
+      let indeterminateCount = 0;
+
+      for (const childIndex of childIndices) {
+        if (this.getNodeState(childIndex, STATE_CHECKED)) {
+          checkedCount++;
+        }
+        if (this.getNodeState(childIndex, STATE_INDETERMINATE)) {
+          indeterminateCount++;
+        }
       }
-      if (this.getNodeState(childIndex, STATE_INDETERMINATE)) {
-        indeterminateCount++;
+
+      // 更新节点状态
+      if (checkedCount === 0 && indeterminateCount === 0) {
+        // 所有子节点都未勾选
+        this.setNodeState(current, STATE_CHECKED, false);
+        this.setNodeState(current, STATE_INDETERMINATE, false);
+      } else if (checkedCount === childIndices.length) {
+        // 所有子节点都已勾选
+        this.setNodeState(current, STATE_CHECKED, true);
+        this.setNodeState(current, STATE_INDETERMINATE, false);
+      } else {
+        // 部分子节点已勾选
+        this.setNodeState(current, STATE_CHECKED, false);
+        this.setNodeState(current, STATE_INDETERMINATE, true);
       }
+
+      current = this.fields.parents.get(current);
     }
-    
-    // 更新父节点状态
-    if (checkedCount === 0 && indeterminateCount === 0) {
-      // 所有子节点都未勾选
-      this.setNodeState(parentIndex, STATE_CHECKED, false);
-      this.setNodeState(parentIndex, STATE_INDETERMINATE, false);
-    } else if (checkedCount === childIndices.length) {
-      // 所有子节点都已勾选
-      this.setNodeState(parentIndex, STATE_CHECKED, true);
-      this.setNodeState(parentIndex, STATE_INDETERMINATE, false);
-    } else {
-      // 部分子节点已勾选
-      this.setNodeState(parentIndex, STATE_CHECKED, false);
-      this.setNodeState(parentIndex, STATE_INDETERMINATE, true);
-    }
-    
-    // 递归更新父节点的父节点
-    this.updateParentChecked(parentIndex);
   }
-  
+
   /**
-   * 获取节点的所有子节点索引
-   * @param {Number} index 节点索引
-   * @returns {Array} 子节点索引数组
+   * 获取节点的所有子节点槽位
+   * @param {Number} index 节点槽位，NO_NODE时返回顶级节点
+   * @returns {Array} 子节点槽位数组
    */
   getChildIndices(index) {
     const childIndices = [];
-    
-    let childIndex = this.firstChildIndices[index];
-    while (childIndex !== 0) {
+
+    let childIndex = index === NO_NODE ? this.firstRoot : this.fields.firstChildren.get(index);
+    while (childIndex !== NO_NODE) {
       childIndices.push(childIndex);
-      childIndex = this.nextSiblingIndices[childIndex];
+      childIndex = this.fields.nextSiblings.get(childIndex);
     }
-    
+
     return childIndices;
   }
-  
+
   /**
    * 搜索节点
    * @param {String} term 搜索词
-   * @returns {Object} 搜索结果
+   * @param {Function} matchNode 判断节点是否匹配的函数，参数为节点槽位，不传时按名称和标题包含搜索词匹配
+   * @returns {Object} 搜索结果，matches为匹配节点的ID，按树中的先序排列
    */
-  searchNodes(term) {
+  searchNodes(term, matchNode) {
     if (!term) {
       // 清除所有匹配状态
-      for (let i = 0; i < this.nodeCount; i++) {
-        this.setNodeState(i, STATE_MATCHED, false);
-      }
-      
+      this.forEachDescendant(NO_NODE, index => {
+        this.setNodeState(index, STATE_MATCHED, false);
+      });
+
       return { matchCount: 0, matches: [] };
     }
-    
+
     const termLower = term.toLowerCase();
     const matches = [];
-    
+    const isNodeMatched = matchNode || (index => {
+      const name = this.getString(this.fields.nameIds.get(index)).toLowerCase();
+      const title = this.getString(this.fields.titleIds.get(index)).toLowerCase();
+      return name.includes(termLower) || title.includes(termLower);
+    });
+
     // 标记匹配的节点
-    for (let i = 0; i < this.nodeCount; i++) {
-      const nameId = this.stringData.get(`name_${i}`);
-      const titleId = this.stringData.get(`title_${i}`);
-      
-      const name = this.getString(nameId).toLowerCase();
-      const title = this.getString(titleId).toLowerCase();
-      
-      const isMatch = name.includes(termLower) || title.includes(termLower);
-      
-      this.setNodeState(i, STATE_MATCHED, isMatch);
-      
+    this.forEachDescendant(NO_NODE, index => {
+      const isMatch = isNodeMatched(index);
+
+      this.setNodeState(index, STATE_MATCHED, isMatch);
+
       if (isMatch) {
-        matches.push(this.ids[i]);
+        matches.push(this.ids[index]);
       }
-    }
-    
+    });
+
     // 展开包含匹配节点的路径
     for (const id of matches) {
       this.expandNodePath(id);
     }
-    
+
     // 标记可见性缓存为脏
     this.visibilityDirty = true;
-    
+
     return {
       matchCount: matches.length,
       matches
     };
   }
-  
+
   /**
    * 展开节点路径
-   * @param {Number} id 节点ID
+   * @param {String|Number} id 节点ID
    */
   expandNodePath(id) {
-    const index = this.nodeIdToIndex.get(id);
-    if (index === undefined) return;
-    
-    let parentId = this.parentIds[index];
-    while (parentId !== 0) {
-      const parentIndex = this.nodeIdToIndex.get(parentId);
-      if (parentIndex === undefined) break;
-      
+    const index = this.getIndex(id);
+    if (index === NO_NODE) return;
+
+    let parentIndex = this.fields.parents.get(index);
+    while (parentIndex !== NO_NODE) {
       this.setNodeState(parentIndex, STATE_EXPANDED, true);
-      
-      parentId = this.parentIds[parentIndex];
+
+      parentIndex = this.fields.parents.get(parentIndex);
     }
   }
-  
+
   /**
    * 获取内存使用情况
    * @returns {Object} 内存使用情况
    */
   getMemoryUsage() {
     // 计算TypedArray内存
-    const typedArrayBytes = 
-      this.ids.byteLength +
-      this.parentIds.byteLength +
-      this.firstChildIndices.byteLength +
-      this.nextSiblingIndices.byteLength +
-      this.levels.byteLength +
-      this.states.byteLength +
-      this.types.byteLength +
-      this.offsetTops.byteLength;
-    
+    const typedArrayBytes = Object.values(this.fields).reduce((sum, field) => sum + field.byteLength, 0);
+
     // 估计字符串数据内存
     let stringBytes = 0;
     for (const [, str] of this.stringData) {
-      if (typeof str === 'string') {
-        stringBytes += str.length * 2; // JavaScript字符串是UTF-16编码，每个字符2字节
-      }
+      stringBytes += str.length * 2; // JavaScript字符串是UTF-16编码，每个字符2字节
     }
-    
+
+    // 估计节点ID内存：槽位数组每项约8字节，字符串ID另计字符
+    let keyBytes = this.ids.length * 8;
+    this.nodeIdToIndex.forEach((index, id) => {
+      if (typeof id === 'string') keyBytes += id.length * 2;
+    });
+
     // 估计Map内存
-    const mapBytes = 
+    const mapBytes =
       this.nodeIdToIndex.size * 16 + // 每个键值对约16字节
       this.stringIdMap.size * 16 +
-      this.stringData.size * 16;
-    
+      this.stringData.size * 16 +
+      this.stringRefCounts.size * 16;
+
+    const totalBytes = typedArrayBytes + stringBytes + keyBytes + mapBytes;
+
     return {
       typedArrayBytes,
       stringBytes,
+      keyBytes,
       mapBytes,
-      totalBytes: typedArrayBytes + stringBytes + mapBytes,
+      totalBytes,
       nodeCount: this.nodeCount,
+      capacity: this.capacity,
+      freeSlotCount: this.freeSlots.length,
       visibleNodeCount: this.visibleNodeIndices.length,
-      bytesPerNode: this.nodeCount ? Math.round((typedArrayBytes + stringBytes + mapBytes) / this.nodeCount) : 0
+      bytesPerNode: this.nodeCount ? Math.round(totalBytes / this.nodeCount) : 0
     };
   }
-} 
\ No newline at end of file
+}
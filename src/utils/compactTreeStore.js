@@ -0,0 +1,258 @@
+/**
+ * 紧凑树存储
+ * VirtualAntTree在storage="compact"时使用：树结构和展开、勾选、选中、匹配状态都保存在CompactTreeNodeManager的TypedArray中，
+ * 组件只保留原始节点的引用，不生成processTreeData那样的扁平节点对象，渲染时才为视口内的行生成节点对象
+ */
+import {
+  CompactTreeNodeManager,
+  NO_NODE,
+  STATE_EXPANDED,
+  STATE_SELECTED,
+  STATE_CHECKED,
+  STATE_MATCHED,
+  STATE_INDETERMINATE,
+  STATE_LEAF
+} from './compactTreeNode';
+
+export { STATE_EXPANDED, STATE_SELECTED, STATE_CHECKED, STATE_MATCHED, STATE_INDETERMINATE };
+
+// 统计树中的节点数，用于一次分配足够的容量
+const countNodes = (nodes) => {
+  let count = 0;
+  const stack = [...nodes];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    count++;
+    if (Array.isArray(node.children)) stack.push(...node.children);
+  }
+  return count;
+};
+
+/**
+ * 创建紧凑树存储
+ * 节点键直接作为管理器的节点ID，存储只按槽位保存原始节点的引用
+ * @param {Array} treeData 嵌套的树形数据
+ * @param {Object} options 配置项
+ * @param {boolean} options.defaultExpandAll 是否默认展开全部节点
+ * @returns {Object} 存储
+ */
+export function createCompactTreeStore(treeData = [], options = {}) {
+  const { defaultExpandAll = false } = options;
+  const manager = new CompactTreeNodeManager(Math.max(1, countNodes(treeData)));
+  // 槽位 -> 原始节点
+  const sources = [];
+
+  const addNode = (node, parentKey) => {
+    const key = node.key ?? node.id;
+    const hasChildren = Array.isArray(node.children) && node.children.length > 0;
+
+    const index = manager.addNode({
+      id: key,
+      parentId: parentKey,
+      expanded: hasChildren && (defaultExpandAll || !!node.expanded),
+      isLeaf: node.isLeaf ?? !hasChildren,
+      type: node.type
+    });
+    // 键重复时以先出现的节点为准
+    if (index === NO_NODE) {
+      console.warn('节点键重复，已忽略该节点及其子节点:', key);
+      return;
+    }
+    sources[index] = node;
+
+    if (hasChildren) {
+      node.children.forEach(child => addNode(child, key));
+    }
+  };
+  treeData.forEach(node => addNode(node, null));
+
+  const getIndex = key => manager.getIndex(key);
+  const hasState = (index, flag) => manager.getNodeState(index, flag);
+
+  // 对每个节点执行回调，按树中的先序排列
+  const forEachNode = callback => manager.forEachDescendant(NO_NODE, callback);
+
+  // 按槽位生成节点对象，字段与processTreeData生成的节点一致
+  const toNode = (index) => {
+    const source = sources[index];
+    const key = manager.getId(index);
+    const parentIndex = manager.getParentIndex(index);
+    const state = manager.getStates(index);
+    return {
+      ...source,
+      key,
+      id: source.id ?? key,
+      parentId: parentIndex === NO_NODE ? null : manager.getId(parentIndex),
+      level: manager.getLevel(index),
+      expanded: (state & STATE_EXPANDED) !== 0,
+      selected: (state & STATE_SELECTED) !== 0,
+      checked: (state & STATE_CHECKED) !== 0,
+      indeterminate: (state & STATE_INDETERMINATE) !== 0,
+      matched: (state & STATE_MATCHED) !== 0,
+      isLeaf: (state & STATE_LEAF) !== 0
+    };
+  };
+
+  // 确保可见节点序列是最新的
+  const getVisibleIndices = () => {
+    if (manager.visibilityDirty) manager.calculateVisibleNodes();
+    return manager.visibleNodeIndices;
+  };
+
+  return {
+    manager,
+
+    get size() {
+      return manager.nodeCount;
+    },
+
+    has: key => manager.has(key),
+
+    /**
+     * 获取节点对象
+     * @param {string} key 节点键
+     * @returns {Object|null}
+     */
+    getNode(key) {
+      const index = getIndex(key);
+      return index === NO_NODE ? null : toNode(index);
+    },
+
+    /**
+     * 获取带有某个状态位的节点键，按树中的先序排列
+     * @param {number} flag 状态位，如STATE_CHECKED
+     * @returns {Array}
+     */
+    getKeys: flag => manager.getIdsWithState(flag),
+
+    isExpanded: key => hasState(getIndex(key), STATE_EXPANDED),
+
+    /**
+     * 设置单个节点的展开状态
+     * @param {string} key 节点键
+     * @param {boolean} expanded 是否展开
+     */
+    setExpanded(key, expanded) {
+      manager.setNodeState(getIndex(key), STATE_EXPANDED, expanded);
+    },
+
+    /**
+     * 展开节点的所有祖先，includeSelf为true时节点自身也展开
+     * @param {string} key 节点键
+     * @param {boolean} includeSelf 是否展开节点自身
+     */
+    expandPath(key, includeSelf = false) {
+      const index = getIndex(key);
+      if (index === NO_NODE) return;
+      manager.expandNodePath(key);
+      if (includeSelf && !hasState(index, STATE_LEAF)) {
+        manager.setNodeState(index, STATE_EXPANDED, true);
+      }
+    },
+
+    /**
+     * 展开或折叠全部非叶子节点
+     * @param {boolean} expanded 是否展开
+     */
+    setAllExpanded(expanded) {
+      forEachNode(index => {
+        manager.setNodeState(index, STATE_EXPANDED, expanded && !hasState(index, STATE_LEAF));
+      });
+    },
+
+    /**
+     * 把某个状态位设置为恰好这些节点，用于同步受控的展开、选中状态
+     * @param {number} flag 状态位
+     * @param {Array} nodeKeys 节点键
+     */
+    setKeys(flag, nodeKeys) {
+      forEachNode(index => manager.setNodeState(index, flag, false));
+      nodeKeys.forEach(key => manager.setNodeState(getIndex(key), flag, true));
+    },
+
+    /**
+     * 勾选或取消勾选节点，非严格模式下联动子孙和祖先节点
+     * @param {string} key 节点键
+     * @param {boolean} checked 是否勾选
+     * @param {boolean} checkStrictly 是否严格模式
+     */
+    setChecked(key, checked, checkStrictly = false) {
+      if (checkStrictly) {
+        manager.setNodeState(getIndex(key), STATE_CHECKED, checked);
+      } else {
+        manager.setNodeChecked(key, checked);
+      }
+    },
+
+    /**
+     * 把勾选状态设置为这些节点，非严格模式下联动计算子孙、祖先和半选状态
+     * @param {Array} nodeKeys 节点键
+     * @param {boolean} checkStrictly 是否严格模式
+     */
+    setCheckedKeys(nodeKeys, checkStrictly = false) {
+      forEachNode(index => {
+        manager.setNodeState(index, STATE_CHECKED, false);
+        manager.setNodeState(index, STATE_INDETERMINATE, false);
+      });
+      nodeKeys.forEach(key => this.setChecked(key, true, checkStrictly));
+    },
+
+    /**
+     * 搜索节点，标记匹配的节点并展开其祖先；搜索词为空时清除匹配状态
+     * @param {string} term 搜索词
+     * @param {Function} matchNode 判断原始节点是否匹配的函数
+     * @returns {Array} 匹配节点的键，按树中的先序排列
+     */
+    search(term, matchNode) {
+      return manager.searchNodes(term, matchNode && (index => !!matchNode(sources[index]))).matches;
+    },
+
+    /**
+     * 可见节点数
+     * @returns {number}
+     */
+    getVisibleCount: () => getVisibleIndices().length,
+
+    /**
+     * 节点在可见节点中的位置，不可见时返回-1
+     * @param {string} key 节点键
+     * @returns {number}
+     */
+    getVisibleIndex(key) {
+      const index = getIndex(key);
+      return index === NO_NODE ? -1 : getVisibleIndices().indexOf(index);
+    },
+
+    /**
+     * 计算视口内的行，只为这些行生成节点对象
+     * @param {number} scrollTop 滚动位置
+     * @param {number} viewportHeight 视口高度
+     * @param {number} rowHeight 行高
+     * @param {number} overscan 视口上下额外渲染的行数
+     * @returns {Array} 带offsetTop、rowHeight和index的节点
+     */
+    getViewportNodes(scrollTop, viewportHeight, rowHeight, overscan) {
+      return manager.getNodesInViewport(scrollTop, viewportHeight, rowHeight, overscan).map(row => ({
+        ...toNode(row.slot),
+        offsetTop: row.offsetTop,
+        rowHeight: row.rowHeight,
+        index: row.index
+      }));
+    },
+
+    /**
+     * 内存占用估算，节点键已由管理器统计；原始节点由调用方持有，只计入引用
+     * @returns {Object} 内存使用情况
+     */
+    getMemoryUsage() {
+      const usage = manager.getMemoryUsage();
+      const totalBytes = usage.totalBytes + sources.length * 8;
+
+      return {
+        ...usage,
+        totalBytes,
+        bytesPerNode: usage.nodeCount ? Math.round(totalBytes / usage.nodeCount) : 0
+      };
+    }
+  };
+}
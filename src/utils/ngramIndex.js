@@ -0,0 +1,340 @@
+/**
+ * 倒排n-gram索引
+ * 为节点的可搜索文本建立单字和双字倒排表，搜索时先取候选节点再逐个精确匹配，避免每次遍历全部节点
+ * 参与拼音匹配和容错匹配的字段另外建立倒排表，分别供拼音搜索和容错搜索筛选候选
+ * 各字段开头的两个字符另外建立倒排表，供限定字段的前缀通配符（如phone:138*）筛选候选
+ * 索引在数据初始化时构建一次，节点增删改时增量维护
+ */
+
+import { getCharPinyin, hasChinese } from './pinyin.js';
+
+// 字段分隔符
+const FIELD_SEPARATOR = '\u0000';
+// 已删除文档超过该数量且多于存活文档时压缩倒排表
+const COMPACT_THRESHOLD = 1024;
+// 拼音词元中读音前缀与下一个字首字母之间的分隔符
+const PINYIN_JOINER = '|';
+// 最长的读音有6个字母（如zhuang）
+const MAX_READING_LENGTH = 6;
+// 字段前缀词元的长度
+const FIELD_PREFIX_LENGTH = 2;
+
+const LETTER_REGEXP = /^[a-z]$/;
+
+// 把文档编号追加到词元的倒排表，同一文档的词元连续添加，与末尾比较即可去重
+function addPosting(postings, token, docId) {
+  const list = postings.get(token);
+  if (!list) {
+    postings.set(token, [docId]);
+  } else if (list[list.length - 1] !== docId) {
+    list.push(docId);
+  }
+}
+
+// 字符在纯字母查询串中可以被消耗的读音：汉字为各读音，字母为其本身，其他字符只能按原字符命中
+function getLetterReadings(char) {
+  return getCharPinyin(char) || (LETTER_REGEXP.test(char) ? [char] : []);
+}
+
+// 两个升序数组求交集
+function intersectSorted(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push(a[i]);
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+}
+
+/**
+ * 创建倒排n-gram索引
+ * @param {Array<string>} fields 参与索引的节点字段
+ * @param {Object} options 配置项
+ * @param {Array<string>} options.pinyinFields 其中参与拼音匹配的字段
+ * @param {Array<string>} options.fuzzyFields 其中参与容错匹配的字段
+ * @returns {Object} 索引
+ */
+export function createNgramIndex(fields, options = {}) {
+  const { pinyinFields = [], fuzzyFields = [] } = options;
+  const pinyinFlags = fields.map(field => pinyinFields.includes(field));
+  const fuzzyFlags = fields.map(field => fuzzyFields.includes(field));
+  // 词元 -> 升序的文档编号数组，可能包含已删除的文档
+  // 分为三类：所有字段的单字和双字、拼音字段的拼音词元、容错字段的单字和双字
+  let postings = new Map();
+  let pinyinPostings = new Map();
+  let fuzzyPostings = new Map();
+  // 字段名和字段开头的两个字符 -> 文档编号
+  let prefixPostings = new Map();
+  // 文档编号 -> 节点键，删除后置为undefined
+  let docKeys = [];
+  // 文档编号 -> 索引文本，用于判断节点更新后是否需要重建索引
+  let docTexts = [];
+  // 节点键 -> 文档编号
+  const docIds = new Map();
+  let removedCount = 0;
+
+  const getText = node => fields
+    .map(field => (node[field] == null ? '' : String(node[field]).toLowerCase()))
+    .join(FIELD_SEPARATOR);
+
+  // 拼音词元：命中区间第一个字消耗的读音前缀加上下一个字读音的首字母，如张伟为z|w、zh|w……zhang|w
+  // 查询串只由第一个字消耗完时（如zha）直接用读音前缀作为词元
+  const addPinyinTokens = (chars, docId) => {
+    const readings = chars.map(getLetterReadings);
+
+    for (let i = 0; i < chars.length; i++) {
+      const nextStarts = new Set((readings[i + 1] || []).map(reading => reading[0]));
+      readings[i].forEach(reading => {
+        for (let k = 1; k <= reading.length; k++) {
+          const prefix = reading.slice(0, k);
+          addPosting(pinyinPostings, prefix, docId);
+          nextStarts.forEach(next => addPosting(pinyinPostings, prefix + PINYIN_JOINER + next, docId));
+        }
+      });
+    }
+  };
+
+  const addDocument = (key, text) => {
+    const docId = docKeys.length;
+    docKeys.push(key);
+    docTexts.push(text);
+    docIds.set(key, docId);
+
+    // 各字段分别提取单字和双字，双字不跨字段；title与name等字段内容相同时只提取一次
+    const segments = text.split(FIELD_SEPARATOR);
+    segments.forEach((segment, fieldIndex) => {
+      if (!segment) return;
+      const prefix = Array.from(segment).slice(0, FIELD_PREFIX_LENGTH).join('');
+      if (prefix.length >= FIELD_PREFIX_LENGTH) {
+        addPosting(prefixPostings, fields[fieldIndex] + FIELD_SEPARATOR + prefix, docId);
+      }
+
+      const fuzzyField = fuzzyFlags[fieldIndex];
+      const duplicated = segments.some((other, otherIndex) => (
+        otherIndex < fieldIndex && other === segment &&
+        fuzzyFlags[otherIndex] === fuzzyField && pinyinFlags[otherIndex] === pinyinFlags[fieldIndex]
+      ));
+      if (duplicated) return;
+
+      const chars = Array.from(segment);
+
+      for (let i = 0; i < chars.length; i++) {
+        addPosting(postings, chars[i], docId);
+        if (fuzzyField) addPosting(fuzzyPostings, chars[i], docId);
+        if (i + 1 < chars.length) {
+          const gram = chars[i] + chars[i + 1];
+          addPosting(postings, gram, docId);
+          if (fuzzyField) addPosting(fuzzyPostings, gram, docId);
+        }
+      }
+
+      // 拼音只用于匹配含汉字的文本
+      if (pinyinFlags[fieldIndex] && hasChinese(segment)) addPinyinTokens(chars, docId);
+    });
+  };
+
+  const reset = () => {
+    postings = new Map();
+    pinyinPostings = new Map();
+    fuzzyPostings = new Map();
+    prefixPostings = new Map();
+    docKeys = [];
+    docTexts = [];
+    docIds.clear();
+    removedCount = 0;
+  };
+
+  // 按存活文档重新编号并重建倒排表
+  const compact = () => {
+    const alive = [];
+    docKeys.forEach((key, docId) => {
+      if (key !== undefined) alive.push([key, docTexts[docId]]);
+    });
+
+    reset();
+    alive.forEach(([key, text]) => addDocument(key, text));
+  };
+
+  const index = {
+    /**
+     * 用一组节点重建索引
+     * @param {Iterable<Object>} nodes 节点集合
+     */
+    build(nodes) {
+      index.clear();
+      for (const node of nodes) {
+        addDocument(node.key ?? node.id, getText(node));
+      }
+    },
+
+    /**
+     * 添加或重新索引节点
+     * @param {Object} node 节点
+     */
+    add(node) {
+      const key = node.key ?? node.id;
+      if (docIds.has(key)) index.remove(key);
+      addDocument(key, getText(node));
+    },
+
+    /**
+     * 节点字段变化后更新索引，可搜索文本未变化时不做处理
+     * @param {Object} node 节点
+     * @returns {boolean} 是否重新索引
+     */
+    update(node) {
+      const key = node.key ?? node.id;
+      const docId = docIds.get(key);
+      if (docId !== undefined && docTexts[docId] === getText(node)) return false;
+
+      index.add(node);
+      return true;
+    },
+
+    /**
+     * 删除节点的索引
+     * @param {string} key 节点键
+     */
+    remove(key) {
+      const docId = docIds.get(key);
+      if (docId === undefined) return;
+
+      docKeys[docId] = undefined;
+      docTexts[docId] = undefined;
+      docIds.delete(key);
+      removedCount++;
+
+      if (removedCount > COMPACT_THRESHOLD && removedCount > docIds.size) {
+        compact();
+      }
+    },
+
+    clear() {
+      reset();
+    },
+
+    get size() {
+      return docIds.size;
+    },
+
+    /**
+     * 包含子串的文档：单字查单字倒排表，多字时对所有双字倒排表求交集
+     * 结果是候选集，需要再做精确匹配
+     * @param {string} text 小写子串
+     * @returns {Array<number>} 升序的文档编号
+     */
+    lookupSubstring(text) {
+      const chars = Array.from(text);
+      if (chars.length === 0) return [];
+      if (chars.length === 1) return postings.get(chars[0]) || [];
+
+      const lists = [];
+      for (let i = 0; i < chars.length - 1; i++) {
+        const list = postings.get(chars[i] + chars[i + 1]);
+        if (!list) return [];
+        lists.push(list);
+      }
+
+      // 从最短的倒排表开始求交集
+      lists.sort((a, b) => a.length - b.length);
+      return lists.reduce((result, list) => intersectSorted(result, list));
+    },
+
+    /**
+     * 拼音查询的候选文档
+     * 命中区间第一个字消耗查询串开头的k个字母（读音前缀），第k+1个字母是下一个字读音的首字母，对每个可能的k取并集
+     * 查询串中的汉字、数字等非字母字符只能按原字符命中，此时改用其中最少见的单字筛选
+     * @param {string} query normalizePinyinQuery规范后的拼音查询串
+     * @returns {Array<number>} 文档编号，可能有重复
+     */
+    lookupPinyin(query) {
+      const chars = Array.from(query);
+      const literals = chars.filter(char => !LETTER_REGEXP.test(char));
+      if (literals.length > 0) {
+        return literals
+          .map(char => postings.get(char) || [])
+          .reduce((shortest, list) => (list.length < shortest.length ? list : shortest));
+      }
+
+      const lists = [];
+      for (let k = 1; k <= Math.min(chars.length, MAX_READING_LENGTH); k++) {
+        const token = k === chars.length ? query : query.slice(0, k) + PINYIN_JOINER + chars[k];
+        const list = pinyinPostings.get(token);
+        if (list) lists.push(list);
+      }
+      return [].concat(...lists);
+    },
+
+    /**
+     * 字段以指定文本开头的候选文档，只按开头的两个字符筛选
+     * @param {string} field 字段名
+     * @param {string} text 小写文本，至少两个字符
+     * @returns {Array<number>} 升序的文档编号
+     */
+    lookupFieldPrefix(field, text) {
+      const prefix = Array.from(text).slice(0, FIELD_PREFIX_LENGTH).join('');
+      return prefixPostings.get(field + FIELD_SEPARATOR + prefix) || [];
+    },
+
+    /**
+     * 容错匹配的候选文档，只统计容错字段中的词元
+     * 编辑距离不超过maxEdits时，每次编辑最多破坏两个双字词元、一个单字，据此得出至少要共享的词元数
+     * @param {string} text 小写搜索词
+     * @param {number} maxEdits 允许的最大编辑次数
+     * @returns {Array<number>|null} 文档编号，搜索词太短无法据此缩小范围时返回null
+     */
+    lookupSimilar(text, maxEdits) {
+      const chars = Array.from(text);
+      let grams = new Set();
+      for (let i = 0; i < chars.length - 1; i++) {
+        grams.add(chars[i] + chars[i + 1]);
+      }
+
+      let minShared = grams.size - 2 * maxEdits;
+      if (minShared <= 0) {
+        // 短搜索词的双字词元不足以筛选，改用单字
+        grams = new Set(chars);
+        minShared = grams.size - maxEdits;
+      }
+      if (minShared <= 0) return null;
+
+      const counts = new Map();
+      grams.forEach(gram => {
+        (fuzzyPostings.get(gram) || []).forEach(docId => counts.set(docId, (counts.get(docId) || 0) + 1));
+      });
+
+      const result = [];
+      counts.forEach((count, docId) => {
+        if (count >= minShared) result.push(docId);
+      });
+      return result;
+    },
+
+    /**
+     * 把文档编号转换为节点键，跳过已删除的文档，结果按文档编号升序
+     * @param {Iterable<number>} docIdList 文档编号
+     * @returns {Array<string>} 节点键
+     */
+    toKeys(docIdList) {
+      const sorted = Array.from(docIdList).sort((a, b) => a - b);
+      const keys = [];
+      sorted.forEach(docId => {
+        const key = docKeys[docId];
+        if (key !== undefined) keys.push(key);
+      });
+      return keys;
+    }
+  };
+
+  return index;
+}
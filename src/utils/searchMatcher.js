@@ -0,0 +1,331 @@
+/**
+ * 搜索匹配与评分
+ * SearchService 和 treeWorker 共用的匹配实现，为每个命中节点计算得分和命中字段
+ * 排序规则：完全匹配 > 前缀匹配 > 子串匹配 > 拼音匹配 > 容错匹配，同类匹配中姓名字段优先于职位、电话等字段
+ * 搜索语法见 searchQuery.js，候选节点由 ngramIndex.js 的倒排索引筛选
+ */
+
+import { hasChinese, matchPinyin, normalizePinyinQuery } from './pinyin.js';
+import { parseSearchQuery } from './searchQuery.js';
+import { createNgramIndex } from './ngramIndex.js';
+
+// 各类匹配的基础得分
+export const MATCH_TYPE_SCORES = {
+  exact: 100,
+  prefix: 80,
+  wildcard: 70,
+  substring: 60,
+  pinyin: 50,
+  fuzzy: 40
+};
+
+// 参与搜索的字段及权重，fuzzy表示该字段是否允许容错匹配（编号、电话等标识类字段不做容错）
+export const SEARCH_FIELDS = [
+  { field: 'title', weight: 1, fuzzy: true, pinyin: true },
+  { field: 'name', weight: 1, fuzzy: true, pinyin: true },
+  { field: 'realName', weight: 1, fuzzy: true, pinyin: true },
+  { field: 'userId', weight: 0.9, fuzzy: false, pinyin: false },
+  { field: 'email', weight: 0.85, fuzzy: false, pinyin: false },
+  { field: 'department', weight: 0.8, fuzzy: true, pinyin: true },
+  { field: 'departmentName', weight: 0.8, fuzzy: true, pinyin: true },
+  { field: 'position', weight: 0.7, fuzzy: true, pinyin: false },
+  { field: 'phone', weight: 0.6, fuzzy: false, pinyin: false }
+];
+
+// 容错匹配要求的最短搜索词长度
+const FUZZY_MIN_LENGTH = 3;
+
+/**
+ * 计算搜索词与文本任意子串之间的最小编辑距离
+ * @param {string} text 小写文本
+ * @param {string} term 小写搜索词
+ * @param {number} maxEdits 允许的最大编辑次数
+ * @returns {{distance: number, end: number}|null} 距离和命中子串的结束位置，超出maxEdits时返回null
+ */
+export function fuzzySubstringMatch(text, term, maxEdits) {
+  const m = term.length;
+  if (text.length < m - maxEdits) return null;
+
+  let prev = new Int32Array(m + 1);
+  let cur = new Int32Array(m + 1);
+  for (let j = 0; j <= m; j++) prev[j] = j;
+
+  let best = prev[m];
+  let bestEnd = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    cur[0] = 0;
+    for (let j = 1; j <= m; j++) {
+      const cost = term[j - 1] === char ? 0 : 1;
+      cur[j] = Math.min(prev[j - 1] + cost, prev[j] + 1, cur[j - 1] + 1);
+    }
+    if (cur[m] < best) {
+      best = cur[m];
+      bestEnd = i + 1;
+    }
+    [prev, cur] = [cur, prev];
+  }
+
+  return best <= maxEdits ? { distance: best, end: bestEnd } : null;
+}
+
+// 第index个UTF-16单元是否为代理对的后半部分
+function isLowSurrogate(text, index) {
+  const code = text.charCodeAt(index);
+  return code >= 0xdc00 && code <= 0xdfff;
+}
+
+// 在单个字段上匹配，返回该字段的最佳匹配
+function matchField(text, query, options) {
+  const { fuzzyEdits, pinyinEntry, pinyinQuery, allowFuzzy } = options;
+  const lower = text.toLowerCase();
+  const index = lower.indexOf(query);
+
+  if (index === 0 && lower.length === query.length) {
+    return { type: 'exact', score: MATCH_TYPE_SCORES.exact, range: [0, query.length] };
+  }
+  if (index === 0) {
+    // 前缀匹配中补全部分越短越靠前
+    const penalty = Math.min(lower.length - query.length, 10) * 0.1;
+    return { type: 'prefix', score: MATCH_TYPE_SCORES.prefix - penalty, range: [0, query.length] };
+  }
+  if (index > 0) {
+    // 子串匹配中命中位置越靠前越靠前
+    const penalty = Math.min(index, 10) * 0.2;
+    return { type: 'substring', score: MATCH_TYPE_SCORES.substring - penalty, range: [index, index + query.length] };
+  }
+
+  if (pinyinEntry) {
+    const range = matchPinyin(pinyinEntry, pinyinQuery);
+    if (range) {
+      // 从头命中整个名称（如zs匹配张三）视同完全匹配的拼音形式
+      let bonus = 0;
+      if (range[0] === 0) bonus = range[1] === text.length ? 25 : 15;
+      return { type: 'pinyin', score: MATCH_TYPE_SCORES.pinyin + bonus, range };
+    }
+  }
+
+  if (allowFuzzy && fuzzyEdits > 0) {
+    const hit = fuzzySubstringMatch(lower, query, fuzzyEdits);
+    if (hit) {
+      // 区间按搜索词长度估算，两端不能落在代理对中间（如emoji），否则截取出半个字符
+      let start = Math.max(0, hit.end - query.length);
+      let end = hit.end;
+      if (isLowSurrogate(lower, start)) start++;
+      if (isLowSurrogate(lower, end)) end++;
+      return {
+        type: 'fuzzy',
+        score: MATCH_TYPE_SCORES.fuzzy - hit.distance * 10,
+        range: [start, end]
+      };
+    }
+  }
+
+  return null;
+}
+
+// 容错匹配允许的编辑次数，汉字输入的误差通常是同音字而不是编辑错误，只对非中文搜索词做容错
+function getFuzzyEdits(query) {
+  if (query.length < FUZZY_MIN_LENGTH || hasChinese(query)) return 0;
+  return query.length >= 6 ? 2 : 1;
+}
+
+// 准备查询项的拼音查询串和容错次数；引号短语按字面匹配，排除项不做容错以免误排除
+function prepareLiteral(literal, { pinyinIndex, fuzzy }) {
+  if (literal.pattern || literal.quoted) {
+    return { ...literal, pinyinQuery: '', fuzzyEdits: 0 };
+  }
+
+  return {
+    ...literal,
+    pinyinQuery: pinyinIndex ? normalizePinyinQuery(literal.value) : '',
+    fuzzyEdits: fuzzy && !literal.negated ? getFuzzyEdits(literal.value) : 0
+  };
+}
+
+// 在查询项限定的字段上匹配节点，返回得分最高的字段及所有命中字段的区间
+function matchLiteral(node, literal, pinyinIndex) {
+  let best = null;
+  let ranges = null;
+
+  for (const { field, weight, fuzzy: allowFuzzy, pinyin } of SEARCH_FIELDS) {
+    if (literal.fields && !literal.fields.includes(field)) continue;
+
+    const value = node[field];
+    if (value == null || value === '') continue;
+
+    let match;
+    if (literal.pattern) {
+      const hit = literal.pattern.exec(String(value));
+      match = hit && { type: 'wildcard', score: MATCH_TYPE_SCORES.wildcard, range: [hit.index, hit.index + hit[0].length] };
+    } else {
+      match = matchField(String(value), literal.value, {
+        fuzzyEdits: literal.fuzzyEdits,
+        allowFuzzy,
+        pinyinQuery: literal.pinyinQuery,
+        pinyinEntry: pinyin && literal.pinyinQuery ? pinyinIndex.get(node, field) : null
+      });
+    }
+    if (!match) continue;
+
+    ranges = ranges || {};
+    ranges[field] = match.range;
+
+    const score = Math.round(match.score * weight * 100) / 100;
+    if (!best || score > best.score) {
+      best = { score, matchedField: field, matchType: match.type };
+    }
+  }
+
+  return best && { ...best, ranges };
+}
+
+/**
+ * 创建搜索匹配器
+ * 搜索词按searchQuery.js的语法解析：子句之间为"与"，子句内为"或"，排除项命中时节点不匹配
+ * 节点得分为各子句最佳命中得分的平均值，只有排除项的查询得分为0
+ * @param {string} term 搜索词
+ * @param {Object} options 配置项
+ * @param {Object} options.pinyinIndex createPinyinIndex创建的拼音索引，不传时不做拼音匹配
+ * @param {boolean} options.fuzzy 是否启用容错匹配，默认启用
+ * @returns {Function|null} (node) => { score, matchedField, matchType, ranges } | null；没有有效查询项时返回null
+ * ranges为各命中字段的区间{ [field]: [start, end] }，按UTF-16下标计，可直接用slice截取高亮部分
+ */
+export function createSearchMatcher(term, options = {}) {
+  const { pinyinIndex = null, fuzzy = true } = options;
+  const query = parseSearchQuery(term);
+  if (!query) return null;
+
+  const clauses = query.clauses.map(clause => clause.map(literal => prepareLiteral(literal, { pinyinIndex, fuzzy })));
+
+  return (node) => {
+    let best = null;
+    let ranges = null;
+    let total = 0;
+    let positiveCount = 0;
+
+    for (const clause of clauses) {
+      let satisfied = false;
+      let clauseBest = null;
+
+      for (const literal of clause) {
+        const hit = matchLiteral(node, literal, pinyinIndex);
+        if (literal.negated) {
+          satisfied = satisfied || !hit;
+          continue;
+        }
+        if (!hit) continue;
+
+        satisfied = true;
+        ranges = { ...hit.ranges, ...ranges };
+        if (!clauseBest || hit.score > clauseBest.score) clauseBest = hit;
+      }
+
+      if (!satisfied) return null;
+      if (clauseBest) {
+        total += clauseBest.score;
+        positiveCount++;
+        if (!best || clauseBest.score > best.score) best = clauseBest;
+      }
+    }
+
+    return {
+      score: positiveCount > 0 ? Math.round(total / positiveCount * 100) / 100 : 0,
+      matchedField: best ? best.matchedField : null,
+      matchType: best ? best.matchType : null,
+      ranges
+    };
+  };
+}
+
+/**
+ * 创建搜索用的倒排索引，覆盖SEARCH_FIELDS中的所有字段
+ * @returns {Object} createNgramIndex创建的索引
+ */
+export function createSearchIndex() {
+  return createNgramIndex(SEARCH_FIELDS.map(({ field }) => field), {
+    pinyinFields: SEARCH_FIELDS.filter(({ pinyin }) => pinyin).map(({ field }) => field),
+    fuzzyFields: SEARCH_FIELDS.filter(({ fuzzy }) => fuzzy).map(({ field }) => field)
+  });
+}
+
+// 查询项的候选文档：子串、拼音、容错匹配各自候选的并集，无法缩小范围时返回null
+function getLiteralCandidates(literal, searchIndex) {
+  // 排除项命中的是不包含该词的节点，倒排索引无法缩小范围
+  if (literal.negated) return null;
+
+  if (literal.pattern) {
+    // 通配符模式中的每个字面片段都必须出现，只有*和?时无法缩小范围
+    const runs = literal.value.split(/[*?]/).filter(Boolean);
+    if (runs.length === 0) return null;
+    const lists = runs.map(run => searchIndex.lookupSubstring(run));
+    // 限定字段且以字面片段开头时（如phone:138*），字段开头的字符也必须一致
+    const lead = /^[^*?]*/.exec(literal.value)[0];
+    if (literal.fields && Array.from(lead).length >= 2) {
+      lists.push(literal.fields.flatMap(field => searchIndex.lookupFieldPrefix(field, lead)));
+    }
+    return lists.reduce((result, docs) => {
+      const docSet = new Set(docs);
+      return result.filter(docId => docSet.has(docId));
+    });
+  }
+
+  let docs = searchIndex.lookupSubstring(literal.value);
+  if (literal.pinyinQuery) {
+    docs = docs.concat(searchIndex.lookupPinyin(literal.pinyinQuery));
+  }
+  if (literal.fuzzyEdits > 0) {
+    const similar = searchIndex.lookupSimilar(literal.value, literal.fuzzyEdits);
+    if (!similar) return null;
+    docs = docs.concat(similar);
+  }
+  return docs;
+}
+
+/**
+ * 用倒排索引筛选可能匹配搜索词的节点
+ * 候选集包含所有能被createSearchMatcher匹配的节点，调用方仍需逐个精确匹配；两者的options需一致
+ * @param {string} term 搜索词
+ * @param {Object} searchIndex createSearchIndex创建的索引
+ * @param {Object} options 配置项，同createSearchMatcher
+ * @returns {Array<string>|null} 按索引顺序排列的候选节点键，无法缩小范围（如只有排除项）时返回null，需要遍历所有节点
+ */
+export function getSearchCandidates(term, searchIndex, options = {}) {
+  const { pinyinIndex = null, fuzzy = true } = options;
+  const query = parseSearchQuery(term);
+  if (!query) return [];
+
+  let candidates = null;
+  for (const clause of query.clauses) {
+    // 子句内为"或"，任一查询项无法缩小范围时整个子句都无法缩小
+    let clauseDocs = [];
+    for (const literal of clause) {
+      const docs = getLiteralCandidates(prepareLiteral(literal, { pinyinIndex, fuzzy }), searchIndex);
+      if (!docs) {
+        clauseDocs = null;
+        break;
+      }
+      clauseDocs = clauseDocs.concat(docs);
+    }
+    if (!clauseDocs) continue;
+
+    // 子句之间为"与"，候选集取交集
+    candidates = candidates
+      ? new Set(clauseDocs.filter(docId => candidates.has(docId)))
+      : new Set(clauseDocs);
+    if (candidates.size === 0) break;
+  }
+
+  return candidates ? searchIndex.toKeys(candidates) : null;
+}
+
+/**
+ * 按得分从高到低排序的比较函数，得分相同时保持原有顺序（Array.prototype.sort为稳定排序）
+ * @param {Object} a 匹配结果
+ * @param {Object} b 匹配结果
+ * @returns {number}
+ */
+export function compareMatches(a, b) {
+  return b.score - a.score;
+}
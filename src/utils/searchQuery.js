@@ -0,0 +1,142 @@
+/**
+ * 搜索语法解析
+ * 支持字段限定(position:经理)、排除(-intern)、引号短语("产品 经理")、通配符(phone:138*)和OR
+ * 不含任何语法的输入按原有方式整体作为自由文本搜索
+ */
+
+// 可限定的字段及其对应的节点字段，字段名不区分大小写
+export const QUERY_FIELDS = {
+  name: ['title', 'name', 'realName'],
+  position: ['position'],
+  phone: ['phone'],
+  userid: ['userId'],
+  email: ['email'],
+  dept: ['department', 'departmentName'],
+  department: ['department', 'departmentName']
+};
+
+// OR运算符，需要单独成词
+const OR_TOKENS = ['OR', '|'];
+
+const WILDCARD_REGEXP = /[*?]/;
+
+/**
+ * 把通配符模式转换为正则，*匹配任意多个字符，?匹配单个字符
+ * 模式首尾不是*时分别锚定到开头和结尾，例如138*表示以138开头
+ * @param {string} pattern 小写模式
+ * @returns {RegExp}
+ */
+export function wildcardToRegExp(pattern) {
+  const anchorStart = !pattern.startsWith('*');
+  const anchorEnd = !pattern.endsWith('*');
+  const body = pattern
+    .replace(/^\*+|\*+$/g, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return new RegExp(`${anchorStart ? '^' : ''}${body}${anchorEnd ? '$' : ''}`, 'i');
+}
+
+// 把输入切分为词，识别排除符号、字段前缀和引号
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negated = false;
+    let field = null;
+    let quoted = false;
+    let value;
+
+    if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    // 只识别已知字段，其余带冒号的词（如时间、网址）仍按普通文本处理
+    const fieldMatch = /^([A-Za-z]+):/.exec(input.slice(i));
+    if (fieldMatch && QUERY_FIELDS[fieldMatch[1].toLowerCase()]) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    if (input[i] === '"') {
+      const end = input.indexOf('"', i + 1);
+      value = input.slice(i + 1, end === -1 ? input.length : end);
+      i = end === -1 ? input.length : end + 1;
+      quoted = true;
+    } else {
+      value = /^\S*/.exec(input.slice(i))[0];
+      i += value.length;
+    }
+
+    tokens.push({ raw: input.slice(start, i), negated, field, quoted, value });
+  }
+
+  return tokens;
+}
+
+// 生成查询项
+function createLiteral({ negated, field, quoted, value }) {
+  const lower = value.trim().toLowerCase();
+  const wildcard = !quoted && WILDCARD_REGEXP.test(lower);
+
+  return {
+    value: lower,
+    negated,
+    quoted,
+    field,
+    fields: field ? QUERY_FIELDS[field] : null,
+    pattern: wildcard ? wildcardToRegExp(lower) : null
+  };
+}
+
+/**
+ * 解析搜索词
+ * 结果为若干子句的"与"，每个子句内的查询项为"或"
+ * @param {string} term 搜索词
+ * @returns {{plain: boolean, clauses: Array<Array<Object>>}|null} 没有有效查询项时返回null
+ */
+export function parseSearchQuery(term) {
+  const input = String(term || '').trim();
+  if (!input) return null;
+
+  const tokens = tokenize(input);
+  const isOperator = token => !token.quoted && !token.negated && !token.field && OR_TOKENS.includes(token.raw);
+  const plain = tokens.every(token => (
+    !isOperator(token) && !token.negated && !token.field && !token.quoted && !WILDCARD_REGEXP.test(token.value)
+  ));
+
+  // 自由文本：整个输入作为一个查询项，保持原有行为
+  if (plain) {
+    return { plain: true, clauses: [[createLiteral({ negated: false, field: null, quoted: false, value: input })]] };
+  }
+
+  const clauses = [];
+  let joinNext = false;
+
+  for (const token of tokens) {
+    if (isOperator(token)) {
+      joinNext = clauses.length > 0;
+      continue;
+    }
+    if (!token.value.trim()) continue;
+
+    const literal = createLiteral(token);
+    if (joinNext) {
+      clauses[clauses.length - 1].push(literal);
+    } else {
+      clauses.push([literal]);
+    }
+    joinNext = false;
+  }
+
+  return clauses.length > 0 ? { plain: false, clauses } : null;
+}
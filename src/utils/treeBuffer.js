@@ -0,0 +1,320 @@
+/**
+ * 树状态缓冲区
+ * 把先序扁平树的结构（父节点、子树末尾）、状态位、行高和可见节点序列放在一块连续内存中，
+ * 主线程和树Worker按同样的布局读写，线程之间只需交换缓冲区和索引范围，不再复制节点对象
+ *
+ * 页面跨源隔离（crossOriginIsolated）时使用SharedArrayBuffer，两边读取同一块内存；
+ * 否则使用普通ArrayBuffer，初始化时整块转移给Worker，之后Worker把可见节点序列作为Transferable发回
+ *
+ * 缓冲区同一时间只有一方写入：主线程创建并写入初始状态，交给Worker后由Worker维护
+ * 可见节点序列的修订号为奇数时表示正在写入，读取方按修订号前后是否一致判断读到的数据是否完整
+ * 结构版本号标记缓冲区对应主线程的第几次结构修改，主线程据此丢弃按旧结构计算的可见节点位置
+ * 各段按容量分配，插入节点时容量足够就原地平移，不必换用新的缓冲区
+ */
+
+import { findIndexByOffset } from './treeCore.js';
+
+// 节点状态位
+export const NODE_EXPANDED = 1;
+export const NODE_FILTERED_OUT = 2;
+
+// 头部字段：节点数、可见节点数、可见节点序列的修订号、容量、结构版本号
+const HEADER_LENGTH = 6;
+const HEADER_COUNT = 0;
+const HEADER_VISIBLE_COUNT = 1;
+const HEADER_REVISION = 2;
+const HEADER_CAPACITY = 3;
+const HEADER_VERSION = 4;
+
+// 按元素宽度从大到小排列各段，保证每段的字节偏移都是对齐的，各段长度按容量n计算
+// header Int32[6] | visibleOffsets Float64[n+1] | parents Int32[n] | subtreeEnd Int32[n] | visibleOrder Int32[n] | rowHeights Float32[n] | states Uint8[n]
+const getByteLength = (capacity) => HEADER_LENGTH * 4 + (capacity + 1) * 8 + capacity * 4 * 4 + capacity;
+
+/**
+ * 当前环境能否在线程之间共享内存
+ * SharedArrayBuffer只在跨源隔离的页面中可用，需要服务器返回COOP/COEP响应头
+ * @returns {boolean}
+ */
+export const supportsSharedTreeBuffer = () => (
+  typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true
+);
+
+/**
+ * 缓冲区是否为共享内存
+ * @param {ArrayBuffer|SharedArrayBuffer} buffer 缓冲区
+ * @returns {boolean}
+ */
+export const isSharedTreeBuffer = (buffer) => (
+  typeof SharedArrayBuffer !== 'undefined' && buffer instanceof SharedArrayBuffer
+);
+
+/**
+ * 创建TypedArray，shared为true时分配在SharedArrayBuffer上
+ * @param {Function} ArrayType TypedArray构造函数
+ * @param {number} length 元素个数
+ * @param {boolean} shared 是否使用共享内存
+ * @returns {TypedArray}
+ */
+export const createTypedArray = (ArrayType, length, shared = false) => (
+  shared
+    ? new ArrayType(new SharedArrayBuffer(length * ArrayType.BYTES_PER_ELEMENT))
+    : new ArrayType(length)
+);
+
+/**
+ * 创建树状态缓冲区
+ * @param {number} count 节点数
+ * @param {Object} options 配置项
+ * @param {boolean} options.shared 是否使用共享内存，默认在支持时使用
+ * @param {number} options.capacity 容量，默认等于节点数
+ * @param {number} options.version 结构版本号，默认为0
+ * @returns {ArrayBuffer|SharedArrayBuffer} 缓冲区
+ */
+export function createTreeBuffer(count, options = {}) {
+  const { shared = supportsSharedTreeBuffer(), capacity = count, version = 0 } = options;
+  const size = Math.max(count, capacity);
+  const byteLength = getByteLength(size);
+  const buffer = shared ? new SharedArrayBuffer(byteLength) : new ArrayBuffer(byteLength);
+  const header = new Int32Array(buffer, 0, HEADER_LENGTH);
+  header[HEADER_COUNT] = count;
+  header[HEADER_CAPACITY] = size;
+  header[HEADER_VERSION] = version;
+  return buffer;
+}
+
+/**
+ * 在缓冲区上创建各段的视图，节点数和容量从头部读取
+ * @param {ArrayBuffer|SharedArrayBuffer} buffer 缓冲区
+ * @returns {Object} { buffer, count, capacity, header, visibleOffsets, parents, subtreeEnd, visibleOrder, rowHeights, states }
+ */
+export function getTreeBufferViews(buffer) {
+  const header = new Int32Array(buffer, 0, HEADER_LENGTH);
+  const count = header[HEADER_COUNT];
+  const capacity = header[HEADER_CAPACITY];
+  let offset = HEADER_LENGTH * 4;
+
+  const take = (ArrayType, length) => {
+    const view = new ArrayType(buffer, offset, length);
+    offset += length * ArrayType.BYTES_PER_ELEMENT;
+    return view;
+  };
+
+  return {
+    buffer,
+    count,
+    capacity,
+    header,
+    visibleOffsets: take(Float64Array, capacity + 1),
+    parents: take(Int32Array, capacity),
+    subtreeEnd: take(Int32Array, capacity),
+    visibleOrder: take(Int32Array, capacity),
+    rowHeights: take(Float32Array, capacity),
+    states: take(Uint8Array, capacity)
+  };
+}
+
+/**
+ * 把节点的结构、展开状态、过滤状态和行高写入缓冲区
+ * @param {Object} views getTreeBufferViews的结果
+ * @param {Array} nodes 先序排列的扁平化节点
+ * @param {Object} treeIndex 树索引，见treeCore.buildTreeIndex
+ * @param {Object} options 配置项
+ * @param {Number|Function} options.nodeHeight 固定行高，或根据节点返回行高的函数
+ * @param {Set} options.filterKeys 搜索过滤保留的节点键，为null时不过滤
+ */
+export function writeTreeBuffer(views, nodes, treeIndex, options = {}) {
+  views.parents.set(treeIndex.parents);
+  views.subtreeEnd.set(treeIndex.subtreeEnd);
+  writeTreeBufferRange(views, nodes, 0, nodes.length, options);
+}
+
+/**
+ * 写入先序位置[start, end)上节点的展开状态、过滤状态和行高，结构字段不变
+ * @param {Object} views getTreeBufferViews的结果
+ * @param {Array} nodes 先序排列的扁平化节点
+ * @param {number} start 起始位置
+ * @param {number} end 结束位置（不包含）
+ * @param {Object} options 配置项，同writeTreeBuffer
+ */
+export function writeTreeBufferRange(views, nodes, start, end, options = {}) {
+  const { nodeHeight = 40, filterKeys = null } = options;
+  const getHeight = typeof nodeHeight === 'function' ? nodeHeight : () => nodeHeight;
+  const { rowHeights, states } = views;
+
+  for (let position = start; position < end; position++) {
+    const node = nodes[position];
+    rowHeights[position] = getHeight(node);
+    let state = 0;
+    if (node.expanded) state |= NODE_EXPANDED;
+    if (filterKeys && !filterKeys.has(node.key)) state |= NODE_FILTERED_OUT;
+    states[position] = state;
+  }
+}
+
+/**
+ * 在先序位置position处插入或删除节点后，平移其后节点的状态和行高，结构从树索引复制
+ * 插入的节点需再用writeTreeBufferRange写入状态和行高
+ * @param {Object} source 修改前的缓冲区视图
+ * @param {Object} target 写入的缓冲区视图，容量足够时与source相同，否则为新缓冲区的视图
+ * @param {Object} treeIndex 修改后的树索引
+ * @param {number} position 插入或删除的位置
+ * @param {number} delta 插入的节点数，删除时为负数
+ */
+export function shiftTreeBuffer(source, target, treeIndex, position, delta) {
+  const count = treeIndex.size;
+  if (count > target.capacity) throw new RangeError(`树状态缓冲区容量不足: ${count} > ${target.capacity}`);
+
+  const from = position + Math.max(0, -delta);
+  const to = position + Math.max(0, delta);
+  const { count: sourceCount } = source;
+  if (source !== target) {
+    target.rowHeights.set(source.rowHeights.subarray(0, position));
+    target.states.set(source.states.subarray(0, position));
+    Atomics.store(target.header, HEADER_REVISION, Atomics.load(source.header, HEADER_REVISION));
+    Atomics.store(target.header, HEADER_VERSION, Atomics.load(source.header, HEADER_VERSION));
+  }
+  // 源和目标重叠时set会先复制源数据
+  target.rowHeights.set(source.rowHeights.subarray(from, sourceCount), to);
+  target.states.set(source.states.subarray(from, sourceCount), to);
+  target.parents.set(treeIndex.parents);
+  target.subtreeEnd.set(treeIndex.subtreeEnd);
+
+  target.header[HEADER_COUNT] = count;
+  target.count = count;
+}
+
+/**
+ * 设置缓冲区的结构版本号
+ * @param {Object} views getTreeBufferViews的结果
+ * @param {number} version 结构版本号
+ */
+export function setTreeBufferVersion(views, version) {
+  Atomics.store(views.header, HEADER_VERSION, version);
+}
+
+/**
+ * 设置或清除节点的状态位
+ * @param {Object} views getTreeBufferViews的结果
+ * @param {number} position 节点在先序数组中的位置
+ * @param {number} flag 状态位
+ * @param {boolean} value 是否设置
+ */
+export function setNodeFlag(views, position, flag, value) {
+  if (value) {
+    views.states[position] |= flag;
+  } else {
+    views.states[position] &= ~flag;
+  }
+}
+
+/**
+ * 重新计算可见节点序列和偏移前缀和，规则与treeCore.getVisibleNodes一致：
+ * 被过滤的节点连同子树一起隐藏，折叠的节点跳过整个子树
+ * @param {Object} views getTreeBufferViews的结果
+ * @returns {Object} { totalHeight, visibleCount, revision }
+ */
+export function computeVisibleOrder(views) {
+  const { count, header, subtreeEnd, states, rowHeights, visibleOrder, visibleOffsets } = views;
+
+  // 修订号变为奇数，读取方据此知道序列正在改写
+  Atomics.add(header, HEADER_REVISION, 1);
+
+  let visibleCount = 0;
+  let i = 0;
+  while (i < count) {
+    const state = states[i];
+    if (state & NODE_FILTERED_OUT) {
+      i = subtreeEnd[i];
+      continue;
+    }
+
+    visibleOrder[visibleCount] = i;
+    visibleOffsets[visibleCount + 1] = visibleOffsets[visibleCount] + rowHeights[i];
+    visibleCount++;
+    i = state & NODE_EXPANDED ? i + 1 : subtreeEnd[i];
+  }
+
+  Atomics.store(header, HEADER_VISIBLE_COUNT, visibleCount);
+  const revision = Atomics.add(header, HEADER_REVISION, 1) + 1;
+
+  return {
+    totalHeight: visibleOffsets[visibleCount],
+    visibleCount,
+    revision
+  };
+}
+
+/**
+ * 读取缓冲区中的可见节点序列，返回的数组是缓冲区的视图，不复制数据
+ * @param {Object} views getTreeBufferViews的结果
+ * @returns {Object} { order, offsets, count, revision, version }
+ */
+export function readVisibleLayout(views) {
+  const count = Atomics.load(views.header, HEADER_VISIBLE_COUNT);
+  return {
+    order: views.visibleOrder.subarray(0, count),
+    offsets: views.visibleOffsets.subarray(0, count + 1),
+    count,
+    revision: Atomics.load(views.header, HEADER_REVISION),
+    version: Atomics.load(views.header, HEADER_VERSION)
+  };
+}
+
+/**
+ * 复制一份可见节点序列，用于不支持共享内存时作为Transferable发送
+ * @param {Object} views getTreeBufferViews的结果
+ * @returns {Object} { order, offsets, count, revision, version }
+ */
+export function copyVisibleLayout(views) {
+  const { order, offsets, count, revision, version } = readVisibleLayout(views);
+  return { order: order.slice(), offsets: offsets.slice(), count, revision, version };
+}
+
+/**
+ * 读取缓冲区当前的修订号
+ * @param {Object} views getTreeBufferViews的结果
+ * @returns {number}
+ */
+export const getLayoutRevision = (views) => Atomics.load(views.header, HEADER_REVISION);
+
+/**
+ * 计算视口对应的可见节点索引范围
+ * @param {Float64Array} offsets 可见节点的偏移前缀和，长度为可见节点数+1
+ * @param {Object} options 配置项 { scrollTop, viewportHeight, overscan }
+ * @returns {Object} { start, end }，end不包含，没有可见节点时两者都为0
+ */
+export function getViewportRange(offsets, options = {}) {
+  const { scrollTop = 0, viewportHeight = 0, overscan = 10 } = options;
+  const count = offsets.length - 1;
+  if (count <= 0) return { start: 0, end: 0 };
+
+  return {
+    start: Math.max(0, findIndexByOffset(offsets, scrollTop) - overscan),
+    end: Math.min(count, findIndexByOffset(offsets, scrollTop + viewportHeight) + overscan + 1)
+  };
+}
+
+/**
+ * 把可见节点的索引范围映射为渲染用的节点，节点字段与treeCore.getNodesInViewport的结果一致
+ * @param {Array} nodes 先序排列的扁平化节点
+ * @param {Object} layout 可见节点序列 { order, offsets }
+ * @param {number} start 起始索引
+ * @param {number} end 结束索引（不包含）
+ * @returns {Array} 带offsetTop、rowHeight和index的节点
+ */
+export function mapRangeToNodes(nodes, layout, start, end) {
+  const { order, offsets } = layout;
+  const result = [];
+
+  for (let index = start; index < end && index < order.length; index++) {
+    const node = nodes[order[index]];
+    if (!node) continue;
+    result.push({
+      ...node,
+      offsetTop: offsets[index],
+      rowHeight: offsets[index + 1] - offsets[index],
+      index
+    });
+  }
+  return result;
+}
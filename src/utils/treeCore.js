@@ -0,0 +1,361 @@
+/**
+ * 树算法核心
+ * 基于先序扁平数组的树索引、可见节点、搜索过滤和视口计算，不依赖React和DOM
+ * 主线程（treeUtils）和树Worker共用这些算法，两边按同样的规则计算可见节点
+ */
+
+/**
+ * 根据可见性计算可视区域内的节点
+ * 扁平化数据为先序排列，遇到折叠的节点时直接跳过它的整个子树
+ * @param {Array} nodes 扁平化的节点数组
+ * @param {Object} options 配置选项
+ * @param {Object} options.treeIndex 树索引，未提供时按nodes构建
+ * @param {Set} options.filterKeys 搜索过滤保留的节点键，不在其中的节点连同子树一起隐藏
+ * @returns {Array} 可见的节点数组
+ */
+export const getVisibleNodes = (nodes, options = {}) => {
+  const { expandedKeys = [], visibilityCache = new Map(), treeIndex, filterKeys = null } = options;
+  if (!nodes || nodes.length === 0) return [];
+
+  const visibleNodes = [];
+  const expandedKeysSet = new Set(expandedKeys);
+  const { subtreeEnd } = treeIndex && treeIndex.size === nodes.length ? treeIndex : buildTreeIndex(nodes);
+
+  let i = 0;
+  while (i < nodes.length) {
+    const node = nodes[i];
+    
+    // 过滤掉的节点不会包含保留的后代，整个子树一起跳过
+    if (filterKeys && !filterKeys.has(node.key)) {
+      for (let j = i; j < subtreeEnd[i]; j++) {
+        visibilityCache.set(nodes[j].key, false);
+      }
+      i = subtreeEnd[i];
+      continue;
+    }
+    
+    visibilityCache.set(node.key, true);
+    visibleNodes.push(node);
+
+    // 折叠的节点跳过整个子树
+    if (!expandedKeysSet.has(node.key) && !node.expanded) {
+      for (let j = i + 1; j < subtreeEnd[i]; j++) {
+        visibilityCache.set(nodes[j].key, false);
+      }
+      i = subtreeEnd[i];
+    } else {
+      i++;
+    }
+  }
+
+  return visibleNodes;
+};
+
+/**
+ * 构建树索引
+ * 扁平化数据为先序排列，每个节点的子树在数组中是连续区间[position, subtreeEnd)
+ * @param {Array} flattenedData 先序排列的扁平化节点数组
+ * @returns {Object} { size, positions: Map<key, position>, parents: Int32Array, subtreeEnd: Int32Array }
+ */
+export const buildTreeIndex = (flattenedData) => {
+  const size = flattenedData.length;
+  const positions = new Map();
+  const parents = new Int32Array(size).fill(-1);
+  const subtreeEnd = new Int32Array(size);
+
+  flattenedData.forEach((node, position) => {
+    positions.set(node.key, position);
+    if (node.parentId != null && positions.has(node.parentId)) {
+      parents[position] = positions.get(node.parentId);
+    }
+  });
+
+  // 逆序遍历，子树末尾向父节点累积
+  for (let i = size - 1; i >= 0; i--) {
+    if (subtreeEnd[i] === 0) subtreeEnd[i] = i + 1;
+    const parent = parents[i];
+    if (parent >= 0 && subtreeEnd[parent] < subtreeEnd[i]) {
+      subtreeEnd[parent] = subtreeEnd[i];
+    }
+  }
+
+  return { size, positions, parents, subtreeEnd };
+};
+
+/**
+ * 在树索引中加入一段插入到position处的先序连续节点（可包含多个同一父节点下的相邻子树），原地更新
+ * 只平移插入位置之后节点的位置和子树末尾，并延长插入位置所有祖先的子树末尾，不重建整个索引
+ * @param {Object} treeIndex 树索引
+ * @param {Array} flattenedData 已插入新节点的先序扁平数组
+ * @param {number} position 插入位置
+ * @param {number} count 插入的节点数
+ */
+export const insertTreeIndexRange = (treeIndex, flattenedData, position, count) => {
+  const { positions } = treeIndex;
+  const size = treeIndex.size + count;
+  const parents = new Int32Array(size);
+  const subtreeEnd = new Int32Array(size);
+  const insertEnd = position + count;
+
+  parents.set(treeIndex.parents.subarray(0, position));
+  subtreeEnd.set(treeIndex.subtreeEnd.subarray(0, position));
+  parents.set(treeIndex.parents.subarray(position), insertEnd);
+  subtreeEnd.set(treeIndex.subtreeEnd.subarray(position), insertEnd);
+
+  // 插入位置之前的节点只有祖先受影响，之后的节点整体后移
+  for (let i = insertEnd; i < size; i++) {
+    subtreeEnd[i] += count;
+    if (parents[i] >= position) parents[i] += count;
+    positions.set(flattenedData[i].key, i);
+  }
+
+  // 新节点按插入段单独建立父节点和子树末尾
+  for (let i = position; i < insertEnd; i++) {
+    positions.set(flattenedData[i].key, i);
+  }
+  for (let i = insertEnd - 1; i >= position; i--) {
+    const parentKey = flattenedData[i].parentId;
+    parents[i] = parentKey != null && positions.has(parentKey) ? positions.get(parentKey) : -1;
+    if (subtreeEnd[i] === 0) subtreeEnd[i] = i + 1;
+    const parent = parents[i];
+    if (parent >= position && subtreeEnd[parent] < subtreeEnd[i]) {
+      subtreeEnd[parent] = subtreeEnd[i];
+    }
+  }
+
+  for (let ancestor = parents[position]; ancestor >= 0; ancestor = parents[ancestor]) {
+    subtreeEnd[ancestor] += count;
+  }
+
+  Object.assign(treeIndex, { size, parents, subtreeEnd });
+};
+
+/**
+ * 从树索引中删除position处的整个子树（或同一父节点下相邻的若干子树），原地更新
+ * 只平移删除位置之后节点的位置和子树末尾，并缩短所有祖先的子树末尾，不重建整个索引
+ * @param {Object} treeIndex 树索引
+ * @param {Array} flattenedData 已删除这些节点的先序扁平数组
+ * @param {number} position 删除位置
+ * @param {Array} removedNodes 被删除的节点
+ */
+export const removeTreeIndexRange = (treeIndex, flattenedData, position, removedNodes) => {
+  const { positions } = treeIndex;
+  const count = removedNodes.length;
+  const size = treeIndex.size - count;
+
+  for (let ancestor = treeIndex.parents[position]; ancestor >= 0; ancestor = treeIndex.parents[ancestor]) {
+    treeIndex.subtreeEnd[ancestor] -= count;
+  }
+  removedNodes.forEach(node => positions.delete(node.key));
+
+  const parents = new Int32Array(size);
+  const subtreeEnd = new Int32Array(size);
+  parents.set(treeIndex.parents.subarray(0, position));
+  subtreeEnd.set(treeIndex.subtreeEnd.subarray(0, position));
+  parents.set(treeIndex.parents.subarray(position + count), position);
+  subtreeEnd.set(treeIndex.subtreeEnd.subarray(position + count), position);
+
+  // 之后的节点整体前移，它们的父节点不会在被删除的区间内
+  for (let i = position; i < size; i++) {
+    subtreeEnd[i] -= count;
+    if (parents[i] >= position) parents[i] -= count;
+    positions.set(flattenedData[i].key, i);
+  }
+
+  Object.assign(treeIndex, { size, parents, subtreeEnd });
+};
+
+// 分批插入时每批的元素数，避免展开参数超出调用栈限制
+const SPLICE_BATCH_SIZE = 10000;
+
+/**
+ * 替换数组中的一段，插入大量元素时分批展开
+ * @param {Array} array 数组，原地修改
+ * @param {number} start 起始位置
+ * @param {number} deleteCount 删除的元素数
+ * @param {Array} items 插入的元素
+ * @returns {Array} 被删除的元素
+ */
+export const spliceLarge = (array, start, deleteCount, items = []) => {
+  const removed = array.splice(start, deleteCount);
+  for (let i = 0; i < items.length; i += SPLICE_BATCH_SIZE) {
+    array.splice(start + i, 0, ...items.slice(i, i + SPLICE_BATCH_SIZE));
+  }
+  return removed;
+};
+
+/**
+ * 获取节点的所有子孙节点键值（先序）
+ * @param {Array} flattenedData 先序排列的扁平化节点数组
+ * @param {Object} treeIndex 树索引
+ * @param {String} key 节点键值
+ * @returns {Array} 子孙节点键值
+ */
+export const getDescendantKeys = (flattenedData, treeIndex, key) => {
+  const position = treeIndex.positions.get(key);
+  if (position === undefined) return [];
+
+  const result = [];
+  for (let i = position + 1; i < treeIndex.subtreeEnd[position]; i++) {
+    result.push(flattenedData[i].key);
+  }
+  return result;
+};
+
+/**
+ * 获取节点的所有祖先节点键值，由近及远
+ * @param {Array} flattenedData 先序排列的扁平化节点数组
+ * @param {Object} treeIndex 树索引
+ * @param {String} key 节点键值
+ * @returns {Array} 祖先节点键值
+ */
+export const getAncestorKeys = (flattenedData, treeIndex, key) => {
+  const position = treeIndex.positions.get(key);
+  if (position === undefined) return [];
+
+  const result = [];
+  let parent = treeIndex.parents[position];
+  while (parent >= 0) {
+    result.push(flattenedData[parent].key);
+    parent = treeIndex.parents[parent];
+  }
+  return result;
+};
+
+/**
+ * 计算搜索过滤模式下保留的节点键
+ * filter：匹配节点及其祖先；subtree：在filter基础上保留匹配节点的整个子树
+ * @param {Object} processed processTreeData的结果
+ * @param {Array} matchedKeys 匹配的节点键
+ * @param {string} mode 'filter' 或 'subtree'
+ * @returns {Set} 保留的节点键
+ */
+export const getSearchFilterKeys = (processed, matchedKeys, mode = 'filter') => {
+  const { flattenedData, treeIndex } = processed;
+  const { positions, parents, subtreeEnd } = treeIndex;
+  const keys = new Set();
+
+  matchedKeys.forEach(key => {
+    const position = positions.get(key);
+    if (position === undefined) return;
+
+    if (mode === 'subtree') {
+      for (let i = position; i < subtreeEnd[position]; i++) {
+        keys.add(flattenedData[i].key);
+      }
+    } else {
+      keys.add(key);
+    }
+
+    // 祖先已加入时，更上层的祖先也一定已加入
+    let parent = parents[position];
+    while (parent >= 0 && !keys.has(flattenedData[parent].key)) {
+      keys.add(flattenedData[parent].key);
+      parent = parents[parent];
+    }
+  });
+
+  return keys;
+};
+
+/**
+ * 构建节点偏移索引（前缀和）
+ * offsets[i]为第i个节点的顶部偏移，offsets[n]为总高度
+ * @param {Array} nodes 可见节点数组
+ * @param {Number|Function} nodeHeight 固定节点高度，或根据节点返回高度的函数
+ * @returns {Object} 偏移索引 { offsets, totalHeight }
+ */
+export const buildOffsetIndex = (nodes, nodeHeight = 40) => {
+  const count = nodes ? nodes.length : 0;
+  const offsets = new Float64Array(count + 1);
+  const getHeight = typeof nodeHeight === 'function' ? nodeHeight : () => nodeHeight;
+
+  for (let i = 0; i < count; i++) {
+    offsets[i + 1] = offsets[i] + getHeight(nodes[i]);
+  }
+
+  return {
+    offsets,
+    totalHeight: offsets[count]
+  };
+};
+
+/**
+ * 二分查找偏移位置所在的节点索引
+ * @param {Float64Array} offsets 偏移前缀和
+ * @param {Number} offset 偏移位置
+ * @returns {Number} 节点索引，无节点时返回-1
+ */
+export const findIndexByOffset = (offsets, offset) => {
+  const count = offsets.length - 1;
+  if (count <= 0) return -1;
+
+  let low = 0;
+  let high = count - 1;
+
+  // 查找最后一个顶部偏移不大于offset的节点
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (offsets[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return low;
+};
+
+/**
+ * 计算可视区域内需要渲染的节点
+ * @param {Array} visibleNodes 可见节点数组
+ * @param {Object} options 滚动相关配置
+ * @param {Number|Function} options.nodeHeight 固定节点高度，或根据节点返回高度的函数
+ * @param {Object} options.offsetIndex 预先构建的偏移索引，可变高度时避免重复计算
+ * @returns {Array} 需要渲染的节点数组
+ */
+export const getNodesInViewport = (visibleNodes, options = {}) => {
+  const { 
+    scrollTop = 0, 
+    viewportHeight, 
+    nodeHeight = 40, // 节点高度调整为40px
+    overscan = 10,
+    offsetIndex
+  } = options;
+  
+  if (!visibleNodes || visibleNodes.length === 0) return [];
+  
+  // 固定高度直接计算索引范围
+  if (typeof nodeHeight === 'number' && !offsetIndex) {
+    const startIndex = Math.max(0, Math.floor(scrollTop / nodeHeight) - overscan);
+    const endIndex = Math.min(
+      visibleNodes.length - 1,
+      Math.ceil((scrollTop + viewportHeight) / nodeHeight) + overscan
+    );
+
+    return visibleNodes.slice(startIndex, endIndex + 1).map((node, idx) => ({
+      ...node,
+      offsetTop: (startIndex + idx) * nodeHeight,
+      rowHeight: nodeHeight,
+      index: startIndex + idx
+    }));
+  }
+
+  // 可变高度使用前缀和+二分查找
+  const { offsets } = offsetIndex || buildOffsetIndex(visibleNodes, nodeHeight);
+  const startIndex = Math.max(0, findIndexByOffset(offsets, scrollTop) - overscan);
+  const endIndex = Math.min(
+    visibleNodes.length - 1,
+    findIndexByOffset(offsets, scrollTop + viewportHeight) + overscan
+  );
+
+  return visibleNodes.slice(startIndex, endIndex + 1).map((node, idx) => {
+    const index = startIndex + idx;
+    return {
+      ...node,
+      offsetTop: offsets[index],
+      rowHeight: offsets[index + 1] - offsets[index],
+      index
+    };
+  });
+};
@@ -1,8 +1,28 @@
 /**
  * 树数据处理工具
  * 用于处理树形结构数据，支持扁平化、索引、可见性缓存等功能
+ * 可见节点、树索引和视口计算在treeCore中实现，与树Worker共用，这里一并导出
  */
 
+import {
+  buildTreeIndex,
+  getAncestorKeys,
+  insertTreeIndexRange,
+  removeTreeIndexRange,
+  spliceLarge
+} from './treeCore.js';
+
+export {
+  getVisibleNodes,
+  buildTreeIndex,
+  getDescendantKeys,
+  getAncestorKeys,
+  getSearchFilterKeys,
+  buildOffsetIndex,
+  findIndexByOffset,
+  getNodesInViewport
+} from './treeCore.js';
+
 /**
  * 将树形结构数据扁平化处理
  * @param {Array} data 树形数据
@@ -108,83 +128,53 @@ export const filterTreeNodes = (nodes, predicate) => {
 };
 
 /**
- * 根据可见性计算可视区域内的节点
- * @param {Array} nodes 扁平化的节点数组
- * @param {Object} options 配置选项
- * @returns {Array} 可见的节点数组
+ * 将原始节点转换为扁平节点
+ * @param {Object} node 原始节点
+ * @param {Object} context 节点在树中的位置信息 { level, parentId, pathKey, posInSet, setSize, itemHeight }
+ * @returns {Object} 扁平节点（不含展开、选中、勾选状态）
  */
-export const getVisibleNodes = (nodes, options = {}) => {
-  const { expandedKeys = [], visibilityCache = new Map() } = options;
-  if (!nodes || nodes.length === 0) return [];
-
-  const visibleNodes = [];
-  const expandedKeysSet = new Set(expandedKeys);
-
-  // 根节点总是可见的
-  nodes.forEach(node => {
-    // 首先检查缓存
-    if (visibilityCache.has(node.key)) {
-      if (visibilityCache.get(node.key)) {
-        visibleNodes.push(node);
-      }
-      return;
-    }
-
-    // 如果是顶级节点或者父节点已展开，则该节点可见
-    if (node.level === 0 || !node.parent) {
-      visibilityCache.set(node.key, true);
-      visibleNodes.push(node);
-    } else {
-      // 检查该节点的所有父节点是否都是展开的
-      let parent = nodes.find(n => n.key === node.parent);
-      let isVisible = true;
-      
-      while (parent) {
-        // 如果任何一个父节点是折叠的，则不可见
-        if (!expandedKeysSet.has(parent.key) && !parent.expanded) {
-          isVisible = false;
-          break;
-        }
-        parent = nodes.find(n => n.key === parent.parent);
-      }
-
-      visibilityCache.set(node.key, isVisible);
-      if (isVisible) {
-        visibleNodes.push(node);
-      }
-    }
-  });
+const createFlatNode = (node, context) => {
+  const { level, parentId, pathKey, posInSet, setSize, itemHeight } = context;
+  const nodeId = node.id ?? node.key;
+
+  const flatNode = {
+    id: nodeId,
+    key: nodeId,
+    name: node.name || node.title,
+    title: node.title || node.name, // 兼容Ant Design的title字段
+    parentId,
+    level,
+    posInSet,                        // 在兄弟节点中的位置（从1开始）
+    setSize,                         // 兄弟节点数量
+    expanded: false,
+    selected: false,
+    checked: false,
+    children: node.children?.map(child => child.id ?? child.key) || [],
+    // isLeaf为false且没有children的节点视为未加载，展开时通过loadData加载子节点
+    isLeaf: node.isLeaf ?? (!node.children?.length && node.loaded !== false),
+    pathKey,
+    loaded: node.loaded ?? (node.children?.length > 0 || node.isLeaf !== false),
+    // 扩展支持人员节点
+    type: node.type || 'department', // 'department' 或 'user'
+    avatar: node.avatar,             // 用户头像
+    email: node.email,               // 用户邮箱
+    position: node.position,         // 用户职位
+    // 新增字段
+    realName: node.realName,         // 真实姓名
+    phone: node.phone,               // 电话
+    userId: node.userId,             // 员工编号
+    departmentId: node.departmentId, // 所属部门ID
+    departmentName: node.departmentName, // 所属部门名称
+    entryDate: node.entryDate,       // 入职日期
+    deptId: node.deptId,             // 部门编号
+    employeeCount: node.employeeCount, // 部门人数
+    createTime: node.createTime      // 部门创建时间
+  };
 
-  return visibleNodes;
-};
+  // 行高，虚拟滚动据此构建偏移索引
+  flatNode.rowHeight = typeof itemHeight === 'function' ? itemHeight(flatNode) : itemHeight;
 
-/**
- * 计算可视区域内需要渲染的节点
- * @param {Array} visibleNodes 可见节点数组
- * @param {Object} options 滚动相关配置
- * @returns {Array} 需要渲染的节点数组
- */
-export const getNodesInViewport = (visibleNodes, options = {}) => {
-  const { 
-    scrollTop = 0, 
-    viewportHeight, 
-    nodeHeight = 40, // 节点高度调整为40px
-    overscan = 10 
-  } = options;
-  
-  if (!visibleNodes || visibleNodes.length === 0) return [];
-  
-  const startIndex = Math.max(0, Math.floor(scrollTop / nodeHeight) - overscan);
-  const endIndex = Math.min(
-    visibleNodes.length - 1,
-    Math.ceil((scrollTop + viewportHeight) / nodeHeight) + overscan
-  );
-
-  return visibleNodes.slice(startIndex, endIndex + 1).map((node, idx) => ({
-    ...node,
-    offsetTop: (startIndex + idx) * nodeHeight,
-    index: startIndex + idx
-  }));
+  return flatNode;
 };
 
 /**
@@ -199,6 +189,8 @@ export const processTreeData = (treeData, options = {}) => {
     defaultSelectedKeys = [],
     defaultCheckedKeys = [],
     defaultExpandAll = false,
+    expandRoot = true, // 是否默认展开顶级节点
+    itemHeight = 40, // 节点高度，支持根据节点返回高度的函数
   } = options;
 
   const flattenedData = [];
@@ -208,42 +200,23 @@ export const processTreeData = (treeData, options = {}) => {
 
   // 递归扁平化树结构
   function flatten(nodes, level = 0, parentId = null, parentPath = []) {
-    nodes.forEach(node => {
-      const nodeId = node.id || node.key;
+    nodes.forEach((node, index) => {
+      const nodeId = node.id ?? node.key;
       const currentPath = [...parentPath, nodeId];
-      const pathKey = currentPath.join('/');
-      const isExpandedByDefault = defaultExpandAll || level === 0 || defaultExpandedKeys.includes(nodeId);
-
-      const flatNode = {
-        id: nodeId,
-        key: nodeId,
-        name: node.name || node.title,
-        title: node.title || node.name, // 兼容Ant Design的title字段
-        parentId,
+      const flatNode = createFlatNode(node, {
         level,
-        expanded: isExpandedByDefault,
-        selected: defaultSelectedKeys.includes(nodeId),
-        checked: defaultCheckedKeys.includes(nodeId),
-        children: node.children?.map(child => child.id || child.key) || [],
-        isLeaf: !node.children || node.children.length === 0,
-        pathKey,
-        loaded: true,
-        // 扩展支持人员节点
-        type: node.type || 'department', // 'department' 或 'user'
-        avatar: node.avatar,             // 用户头像
-        email: node.email,               // 用户邮箱
-        position: node.position,         // 用户职位
-        // 新增字段
-        realName: node.realName,         // 真实姓名
-        phone: node.phone,               // 电话
-        userId: node.userId,             // 员工编号
-        departmentId: node.departmentId, // 所属部门ID
-        departmentName: node.departmentName, // 所属部门名称
-        entryDate: node.entryDate,       // 入职日期
-        deptId: node.deptId,             // 部门编号
-        employeeCount: node.employeeCount, // 部门人数
-        createTime: node.createTime      // 部门创建时间
-      };
+        parentId,
+        pathKey: currentPath.join('/'),
+        posInSet: index + 1,
+        setSize: nodes.length,
+        itemHeight
+      });
+
+      flatNode.expanded = defaultExpandAll ||
+        (expandRoot && level === 0) ||
+        defaultExpandedKeys.includes(nodeId);
+      flatNode.selected = defaultSelectedKeys.includes(nodeId);
+      flatNode.checked = defaultCheckedKeys.includes(nodeId);
 
       // 计算初始展开的节点数量
       if (flatNode.expanded) {
@@ -265,10 +238,296 @@ export const processTreeData = (treeData, options = {}) => {
     flattenedData,
     nodeMap,
     visibilityCache,
-    expandedCount
+    expandedCount,
+    treeIndex: buildTreeIndex(flattenedData)
   };
 };
 
+/**
+ * 获取父节点的直接子节点键值
+ * @param {Object} processed processTreeData的处理结果
+ * @param {String|null} parentKey 父节点键值，null表示顶层节点
+ * @returns {Array} 子节点键值
+ */
+export const getChildKeys = (processed, parentKey) => {
+  const { flattenedData, nodeMap, treeIndex } = processed;
+
+  if (parentKey != null) {
+    return nodeMap.get(parentKey)?.children || [];
+  }
+
+  // 顶层节点依次跳过前一个节点的整个子树
+  const result = [];
+  let i = 0;
+  while (i < flattenedData.length) {
+    result.push(flattenedData[i].key);
+    i = treeIndex.subtreeEnd[i];
+  }
+  return result;
+};
+
+// 重新计算兄弟节点的位置信息
+const refreshSiblings = (processed, parentKey) => {
+  const siblingKeys = getChildKeys(processed, parentKey);
+  siblingKeys.forEach((key, index) => {
+    const node = processed.nodeMap.get(key);
+    node.posInSet = index + 1;
+    node.setSize = siblingKeys.length;
+  });
+};
+
+// 将一段先序排列的扁平子树（可包含多个相邻的根节点）放到父节点的第index个子节点位置
+const placeSubtree = (processed, parentKey, flatNodes, index) => {
+  const { flattenedData, nodeMap, treeIndex } = processed;
+  const parent = parentKey != null ? nodeMap.get(parentKey) : null;
+  const flatKeys = new Set(flatNodes.map(node => node.key));
+  const roots = flatNodes.filter(node => node.parentId == null || !flatKeys.has(node.parentId));
+  const siblingKeys = getChildKeys(processed, parentKey);
+  const insertAt = Math.max(0, Math.min(index ?? siblingKeys.length, siblingKeys.length));
+
+  let position;
+  if (insertAt < siblingKeys.length) {
+    position = treeIndex.positions.get(siblingKeys[insertAt]);
+  } else {
+    position = parent ? treeIndex.subtreeEnd[treeIndex.positions.get(parentKey)] : flattenedData.length;
+  }
+
+  // 调整子树的层级和路径
+  const levelOffset = (parent ? parent.level + 1 : 0) - roots[0].level;
+  roots.forEach(root => {
+    root.parentId = parent ? parentKey : null;
+  });
+  flatNodes.forEach(node => {
+    const parentPath = node.parentId === parentKey ? parent?.pathKey : nodeMap.get(node.parentId)?.pathKey;
+    node.level += levelOffset;
+    node.pathKey = parentPath ? `${parentPath}/${node.key}` : String(node.key);
+    nodeMap.set(node.key, node);
+  });
+
+  spliceLarge(flattenedData, position, 0, flatNodes);
+
+  if (parent) {
+    parent.children.splice(insertAt, 0, ...roots.map(root => root.key));
+    parent.isLeaf = false;
+    parent.loaded = true;
+  }
+
+  // 树索引原地增量更新，持有该对象的引用始终可用
+  insertTreeIndexRange(treeIndex, flattenedData, position, flatNodes.length);
+  refreshSiblings(processed, parentKey);
+};
+
+/**
+ * 在父节点下插入节点（可包含子树），原地更新扁平数据、节点映射和树索引
+ * @param {Object} processed processTreeData的处理结果
+ * @param {String|null} parentKey 父节点键值，null表示插入到顶层
+ * @param {Object|Array} node 原始节点数据，格式同treeData，传入数组时依次插入多个相邻节点
+ * @param {Number} index 在兄弟节点中的位置，缺省时追加到末尾
+ * @param {Object} options 配置选项 { itemHeight }
+ * @returns {Array|null} 插入的扁平节点，父节点不存在或键值已存在时返回null
+ */
+export const insertTreeNode = (processed, parentKey, node, index, options = {}) => {
+  const { itemHeight = 40 } = options;
+  const { nodeMap } = processed;
+  if (parentKey != null && !nodeMap.has(parentKey)) return null;
+
+  const flatNodes = [];
+  let duplicated = false;
+  const flatten = (rawNode, level, parentId, posInSet, setSize) => {
+    const flatNode = createFlatNode(rawNode, { level, parentId, posInSet, setSize, itemHeight });
+    if (nodeMap.has(flatNode.key)) duplicated = true;
+    flatNodes.push(flatNode);
+    rawNode.children?.forEach((child, childIndex) => {
+      flatten(child, level + 1, flatNode.key, childIndex + 1, rawNode.children.length);
+    });
+  };
+  const rawNodes = Array.isArray(node) ? node : [node];
+  rawNodes.forEach((rawNode, rawIndex) => flatten(rawNode, 0, null, rawIndex + 1, rawNodes.length));
+  if (duplicated || flatNodes.length === 0) return null;
+
+  placeSubtree(processed, parentKey, flatNodes, index);
+  return flatNodes;
+};
+
+/**
+ * 删除节点及其子树，原地更新扁平数据、节点映射和树索引
+ * @param {Object} processed processTreeData的处理结果
+ * @param {String} key 节点键值
+ * @returns {Array|null} 被删除的扁平节点（先序），节点不存在时返回null
+ */
+export const removeTreeNode = (processed, key) => {
+  const { flattenedData, nodeMap, treeIndex } = processed;
+  const position = treeIndex.positions.get(key);
+  if (position === undefined) return null;
+
+  const removed = spliceLarge(flattenedData, position, treeIndex.subtreeEnd[position] - position);
+  removed.forEach(node => nodeMap.delete(node.key));
+
+  const parentKey = removed[0].parentId;
+  const parent = parentKey != null ? nodeMap.get(parentKey) : null;
+  if (parent) {
+    parent.children = parent.children.filter(childKey => childKey !== key);
+    parent.isLeaf = parent.children.length === 0;
+  }
+
+  removeTreeIndexRange(treeIndex, flattenedData, position, removed);
+  refreshSiblings(processed, parentKey);
+  return removed;
+};
+
+/**
+ * 移动节点及其子树到新的父节点下
+ * @param {Object} processed processTreeData的处理结果
+ * @param {String} key 节点键值
+ * @param {String|null} newParentKey 新父节点键值，null表示移动到顶层
+ * @param {Number} index 移动后在新兄弟节点中的位置（不含节点自身），缺省时追加到末尾
+ * @returns {Array|null} 被移动的扁平节点，节点不存在或目标位于自身子树内时返回null
+ */
+export const moveTreeNode = (processed, key, newParentKey, index) => {
+  const { flattenedData, nodeMap, treeIndex } = processed;
+  if (!nodeMap.has(key)) return null;
+  if (newParentKey != null) {
+    if (!nodeMap.has(newParentKey) || newParentKey === key) return null;
+    if (getAncestorKeys(flattenedData, treeIndex, newParentKey).includes(key)) return null;
+  }
+
+  const moved = removeTreeNode(processed, key);
+  placeSubtree(processed, newParentKey, moved, index);
+  return moved;
+};
+
+// 节点结构字段只能通过插入、删除、移动修改
+const STRUCTURE_FIELDS = ['id', 'key', 'parentId', 'level', 'children', 'isLeaf', 'pathKey', 'posInSet', 'setSize'];
+
+/**
+ * 修改节点的业务字段，如名称、职位等
+ * @param {Object} processed processTreeData的处理结果
+ * @param {String} key 节点键值
+ * @param {Object} patch 需要修改的字段
+ * @param {Object} options 配置选项 { itemHeight }
+ * @returns {Object|null} 修改后的扁平节点，节点不存在时返回null
+ */
+export const updateTreeNode = (processed, key, patch, options = {}) => {
+  const { itemHeight } = options;
+  const node = processed.nodeMap.get(key);
+  if (!node || !patch) return null;
+
+  Object.keys(patch).forEach(field => {
+    if (!STRUCTURE_FIELDS.includes(field)) {
+      node[field] = patch[field];
+    }
+  });
+
+  // name和title互为别名
+  if ('name' in patch && !('title' in patch)) node.title = patch.name;
+  if ('title' in patch && !('name' in patch)) node.name = patch.title;
+
+  if (typeof itemHeight === 'function') {
+    node.rowHeight = itemHeight(node);
+  }
+  return node;
+};
+
+/**
+ * 勾选结果的返回策略，与antd TreeSelect的showCheckedStrategy一致
+ * SHOW_ALL：返回所有勾选节点
+ * SHOW_PARENT：整个子树都被勾选时只返回最上层的父节点
+ * SHOW_CHILD：只返回勾选的叶子节点
+ * SHOW_USER：只返回勾选的人员节点
+ */
+export const SHOW_ALL = 'SHOW_ALL';
+export const SHOW_PARENT = 'SHOW_PARENT';
+export const SHOW_CHILD = 'SHOW_CHILD';
+export const SHOW_USER = 'SHOW_USER';
+
+/**
+ * 计算父子联动后的勾选状态
+ * 先将勾选向下传递给所有子孙节点，再自底向上推导父节点：子节点全部勾选则父节点勾选，部分勾选则父节点半选
+ * @param {Array} flattenedData 先序排列的扁平化节点数组
+ * @param {Array|Set} keys 勾选的节点键值
+ * @param {Object} treeIndex 树索引，未提供时按flattenedData构建
+ * @returns {Object} { checkedKeys: Set, halfCheckedKeys: Set }
+ */
+export const conductCheckedKeys = (flattenedData, keys, treeIndex = buildTreeIndex(flattenedData)) => {
+  const { positions, parents, subtreeEnd, size } = treeIndex;
+  const checked = new Uint8Array(size);
+  const checkedChildCount = new Int32Array(size);
+  const halfChecked = new Uint8Array(size);
+
+  // 勾选整个子树区间，已被祖先覆盖的节点直接跳过
+  keys.forEach(key => {
+    const position = positions.get(key);
+    if (position === undefined || checked[position]) return;
+    checked.fill(1, position, subtreeEnd[position]);
+  });
+
+  // 逆序遍历即自底向上，子节点先于父节点完成计算
+  for (let i = size - 1; i >= 0; i--) {
+    const childCount = flattenedData[i].children ? flattenedData[i].children.length : 0;
+    if (!checked[i] && childCount > 0) {
+      if (checkedChildCount[i] === childCount) {
+        checked[i] = 1;
+      } else if (checkedChildCount[i] > 0) {
+        halfChecked[i] = 1;
+      }
+    }
+
+    const parent = parents[i];
+    if (parent >= 0) {
+      if (checked[i]) {
+        checkedChildCount[parent]++;
+      } else if (halfChecked[i]) {
+        halfChecked[parent] = 1;
+      }
+    }
+  }
+
+  const checkedKeys = new Set();
+  const halfCheckedKeys = new Set();
+  for (let i = 0; i < size; i++) {
+    if (checked[i]) {
+      checkedKeys.add(flattenedData[i].key);
+    } else if (halfChecked[i]) {
+      halfCheckedKeys.add(flattenedData[i].key);
+    }
+  }
+
+  return { checkedKeys, halfCheckedKeys };
+};
+
+/**
+ * 按策略筛选需要返回的勾选节点
+ * @param {Array|Set} keys 父子联动后的全部勾选节点键值
+ * @param {Map} nodeMap 节点映射
+ * @param {String} strategy SHOW_ALL | SHOW_PARENT | SHOW_CHILD | SHOW_USER
+ * @returns {Array} 筛选后的节点键值
+ */
+export const formatCheckedKeys = (keys, nodeMap, strategy = SHOW_ALL) => {
+  const keySet = keys instanceof Set ? keys : new Set(keys);
+  const result = [];
+
+  keySet.forEach(key => {
+    const node = nodeMap.get(key);
+    if (!node) return;
+
+    switch (strategy) {
+      case SHOW_PARENT:
+        if (node.parentId == null || !keySet.has(node.parentId)) result.push(key);
+        break;
+      case SHOW_CHILD:
+        if (!node.children || node.children.length === 0) result.push(key);
+        break;
+      case SHOW_USER:
+        if (node.type === 'user') result.push(key);
+        break;
+      default:
+        result.push(key);
+    }
+  });
+
+  return result;
+};
+
 /**
  * 生成测试数据
  * @param {Number} departments 部门数量
@@ -0,0 +1,211 @@
+/**
+ * 树Worker客户端
+ * 按treeWorkerProtocol发送带请求ID的消息，应答通过Promise返回
+ * 每个请求都可以通过AbortSignal取消、设置超时，取消或超时的请求如果仍在Worker队列中会被一并移除
+ */
+
+import { MessageType, createRequest, isProtocolMessage } from './treeWorkerProtocol.js';
+
+// 创建与DOMException一致命名的错误，调用方可按name区分中止和超时
+const createNamedError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const createAbortError = (message = '请求已取消') => createNamedError('AbortError', message);
+
+/**
+ * 错误是否由取消请求或终止Worker引起，这类错误不需要提示或降级
+ * @param {Error} error 错误
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * 创建树Worker客户端
+ * @param {Worker} worker Worker实例
+ * @param {Object} options 配置项
+ * @param {Function} options.onError Worker出现未捕获错误时的回调
+ * @param {number} options.timeout 请求的默认超时时间(ms)，为0时不限
+ * @returns {Object} 客户端，除request和terminate外为每种消息类型提供同名方法
+ */
+export function createTreeWorkerClient(worker, options = {}) {
+  const { onError, timeout: defaultTimeout = 0 } = options;
+  // 请求ID -> { resolve, reject }
+  const pending = new Map();
+  let nextId = 1;
+  let terminated = false;
+
+  // 拒绝所有未完成的请求
+  const rejectAll = (error) => {
+    Array.from(pending.values()).forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+    if (!isProtocolMessage(message)) {
+      console.warn('忽略不符合协议的Worker消息:', message);
+      return;
+    }
+
+    // 已取消、已超时的请求和取消请求本身的应答都没有对应的记录
+    const entry = pending.get(message.id);
+    if (!entry) return;
+
+    if (message.ok) {
+      entry.resolve(message.payload);
+    } else {
+      entry.reject(createNamedError(message.error?.name || 'Error', message.error?.message || 'Worker处理失败'));
+    }
+  };
+
+  worker.onerror = (error) => {
+    rejectAll(error instanceof Error ? error : new Error(error?.message || 'Worker错误'));
+    if (onError) onError(error);
+  };
+
+  /**
+   * 发送请求
+   * @param {string} type 消息类型，见MessageType
+   * @param {Object} payload 参数
+   * @param {Object} requestOptions 请求选项
+   * @param {string} requestOptions.priority 'high'时Worker立即处理，'low'时排在其他请求之后
+   * @param {AbortSignal} requestOptions.signal 取消信号，取消后以AbortError拒绝
+   * @param {number} requestOptions.timeout 超时时间(ms)，超时后以TimeoutError拒绝，不传时使用默认值
+   * @param {Array} requestOptions.transfer 随请求转移给Worker的Transferable对象
+   * @returns {Promise<Object>} 应答结果，Worker终止后以AbortError拒绝
+   */
+  const request = (type, payload, requestOptions = {}) => {
+    const { priority, signal, timeout = defaultTimeout, transfer = [] } = requestOptions;
+
+    if (terminated) {
+      return Promise.reject(createAbortError('Worker已终止'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      // 请求结束时清理记录、定时器和取消监听
+      const settle = (callback, value) => {
+        if (!pending.has(id)) return;
+        pending.delete(id);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', handleAbort);
+        callback(value);
+      };
+
+      // 主动放弃请求，并通知Worker从队列中移除
+      const cancel = (error) => {
+        if (!pending.has(id)) return;
+        settle(reject, error);
+        if (!terminated) {
+          worker.postMessage(createRequest(nextId++, MessageType.CANCEL, { id }, 'high'));
+        }
+      };
+
+      const handleAbort = () => cancel(createAbortError());
+
+      pending.set(id, {
+        resolve: value => settle(resolve, value),
+        reject: error => settle(reject, error)
+      });
+      signal?.addEventListener('abort', handleAbort, { once: true });
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          cancel(createNamedError('TimeoutError', `Worker请求超时: ${type}`));
+        }, timeout);
+      }
+
+      worker.postMessage(createRequest(id, type, payload, priority), transfer);
+    });
+  };
+
+  return {
+    request,
+
+    /**
+     * 初始化Worker中的树数据
+     * @param {Array} nodes 先序排列的节点记录
+     * @param {ArrayBuffer|SharedArrayBuffer} buffer 树状态缓冲区，普通ArrayBuffer需通过transfer转移
+     * @param {Object} requestOptions 请求选项，同request
+     */
+    initialize: (nodes, buffer, requestOptions) => request(MessageType.INITIALIZE, { nodes, buffer }, requestOptions),
+
+    /**
+     * 计算视口对应的可见节点索引范围
+     * @param {Object} params { scrollTop, viewportHeight, overscan }
+     * @param {Object} requestOptions 请求选项，同request
+     */
+    updateVisibleNodes: (params, requestOptions) => request(MessageType.UPDATE_VISIBLE_NODES, params, requestOptions),
+
+    /**
+     * 切换节点展开状态
+     * @param {string} nodeId 节点ID
+     * @param {boolean} expanded 是否展开
+     * @param {Object} requestOptions 请求选项，同request
+     */
+    toggleNode: (nodeId, expanded, requestOptions) => request(MessageType.TOGGLE_NODE, { nodeId, expanded }, requestOptions),
+
+    /**
+     * 合并节点字段
+     * @param {Array} nodes 需要更新的节点
+     * @param {Object} requestOptions 请求选项，同request
+     */
+    updateNodes: (nodes, requestOptions) => request(MessageType.UPDATE_NODES, { nodes }, requestOptions),
+
+    /**
+     * 插入节点
+     * @param {string|null} beforeId 插入位置之后的节点ID
+     * @param {Array} nodes 先序排列的新节点
+     * @param {number} version 插入后主线程的结构版本号
+     * @param {Object} requestOptions 请求选项，同request
+     */
+    insertNodes: (beforeId, nodes, version, requestOptions) => (
+      request(MessageType.INSERT_NODES, { beforeId, nodes, version }, requestOptions)
+    ),
+
+    /**
+     * 删除节点
+     * @param {Array} nodeIds 整个子树的节点ID
+     * @param {number} version 删除后主线程的结构版本号
+     * @param {Object} requestOptions 请求选项，同request
+     */
+    removeNodes: (nodeIds, version, requestOptions) => (
+      request(MessageType.REMOVE_NODES, { nodeIds, version }, requestOptions)
+    ),
+
+    /**
+     * 设置搜索过滤
+     * @param {Array|null} nodeIds 保留的节点ID，为null时取消过滤
+     * @param {Object} requestOptions 请求选项，同request
+     */
+    setFilter: (nodeIds, requestOptions) => request(MessageType.SET_FILTER, { nodeIds }, requestOptions),
+
+    /**
+     * 搜索节点
+     * @param {string} term 搜索关键字
+     * @param {Object} requestOptions 请求选项，同request
+     */
+    search: (term, requestOptions) => request(MessageType.SEARCH, { term }, requestOptions),
+
+    /**
+     * 终止Worker，未完成的请求以AbortError拒绝
+     */
+    terminate() {
+      if (terminated) return;
+      terminated = true;
+      worker.terminate();
+      rejectAll(createAbortError('Worker已终止'));
+    },
+
+    get pendingCount() {
+      return pending.size;
+    }
+  };
+}
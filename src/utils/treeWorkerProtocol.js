@@ -0,0 +1,107 @@
+/**
+ * 树Worker消息协议
+ * 主线程与树Worker之间的所有消息都使用同一套带版本号的信封格式，除被取消的请求外，每个请求都有且只有一个应答
+ *
+ * 请求（主线程 -> Worker）：
+ *   { v: 协议版本, id: 请求ID, type: 消息类型, payload: 参数, priority: 'high' | 'normal' | 'low' }
+ *   high的请求到达后立即处理，normal按消息类型的优先级排队，low排在所有normal请求之后
+ * 应答（Worker -> 主线程）：
+ *   成功 { v, id, ok: true, payload: 结果 }
+ *   失败 { v, id, ok: false, error: { name, message } }
+ *
+ * 消息类型、参数和结果：
+ *   initialize          { nodes, buffer }                  -> 布局
+ *   updateVisibleNodes  { scrollTop, viewportHeight, overscan } -> { start, end, revision, totalHeight, visibleCount, scrollTop }
+ *   toggleNode          { nodeId, expanded }               -> { nodeId, expanded, ...布局 }
+ *   updateNodes         { nodes }                          -> 布局
+ *   insertNodes         { beforeId, nodes, version }       -> 布局
+ *   removeNodes         { nodeIds, version }               -> 布局
+ *   setFilter           { nodeIds }                        -> 布局
+ *   search              { term }                           -> { matchCount, matches, results, expandedKeys, searchTerm }
+ *   cancel              { id }                             -> { cancelled }
+ *
+ * 树的结构、展开和过滤状态、行高以及可见节点序列保存在树状态缓冲区中（见treeBuffer.js），
+ * initialize的buffer由主线程创建并写入，nodes只包含键、父节点和搜索字段，不再复制完整的节点对象
+ * 布局为 { totalHeight, visibleCount, revision, layout, buffer }：
+ *   使用共享内存时主线程直接读取缓冲区，没有layout；insertNodes容量不足换用新的缓冲区时通过buffer返回
+ *   不使用共享内存时layout为可见节点序列的副本 { order, offsets, count, revision, version }，以Transferable发回
+ * insertNodes、removeNodes的version为主线程修改树结构后的结构版本号，Worker应用修改后写入缓冲区，
+ *   可见节点序列的version与主线程当前的结构版本号不一致时，序列中的位置对应旧的树结构，不能映射为节点
+ * updateVisibleNodes只返回可见节点序列中的索引范围[start, end)，由主线程映射为节点；revision与当前序列不一致时结果已过期
+ *
+ * cancel总是立即处理：目标请求仍在排队时从队列中移除且不再应答，已经开始处理的请求无法取消
+ *
+ * 协议不兼容的修改需要递增PROTOCOL_VERSION，版本不一致的请求会收到失败应答
+ */
+
+// 协议版本
+export const PROTOCOL_VERSION = 2;
+
+// 消息类型
+export const MessageType = {
+  INITIALIZE: 'initialize',
+  UPDATE_VISIBLE_NODES: 'updateVisibleNodes',
+  TOGGLE_NODE: 'toggleNode',
+  UPDATE_NODES: 'updateNodes',
+  INSERT_NODES: 'insertNodes',
+  REMOVE_NODES: 'removeNodes',
+  SET_FILTER: 'setFilter',
+  SEARCH: 'search',
+  CANCEL: 'cancel'
+};
+
+// normal请求在Worker中排队的优先级，数字越大越先处理，未列出的类型为1；low请求为0
+export const MESSAGE_PRIORITY = {
+  [MessageType.UPDATE_VISIBLE_NODES]: 8,
+  [MessageType.TOGGLE_NODE]: 7,
+  [MessageType.SEARCH]: 5
+};
+
+/**
+ * 创建请求消息
+ * @param {number} id 请求ID
+ * @param {string} type 消息类型
+ * @param {Object} payload 参数
+ * @param {string} priority 'high'、'normal' 或 'low'
+ * @returns {Object} 请求消息
+ */
+export function createRequest(id, type, payload = {}, priority = 'normal') {
+  return { v: PROTOCOL_VERSION, id, type, payload, priority };
+}
+
+/**
+ * 创建成功应答
+ * @param {Object} request 请求消息
+ * @param {Object} payload 结果
+ * @returns {Object} 应答消息
+ */
+export function createReply(request, payload = {}) {
+  return { v: PROTOCOL_VERSION, id: request.id, ok: true, payload };
+}
+
+/**
+ * 创建失败应答，Error对象无法完整地跨线程传递，只保留名称和信息
+ * @param {Object} request 请求消息
+ * @param {Error|string} error 错误
+ * @returns {Object} 应答消息
+ */
+export function createErrorReply(request, error) {
+  return {
+    v: PROTOCOL_VERSION,
+    id: request.id,
+    ok: false,
+    error: {
+      name: error?.name || 'Error',
+      message: error?.message || String(error)
+    }
+  };
+}
+
+/**
+ * 消息是否符合当前版本的协议
+ * @param {Object} message 消息
+ * @returns {boolean}
+ */
+export function isProtocolMessage(message) {
+  return !!message && typeof message === 'object' && message.v === PROTOCOL_VERSION && message.id != null;
+}
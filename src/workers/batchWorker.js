@@ -104,10 +104,10 @@ function handleSelectAll(data) {
 
 /**
  * 处理仅选择用户节点操作
- * @param {Object} data 包含allNodes等数据
+ * @param {Object} data 包含allNodes等数据，keysOnly为true时只返回节点键
  */
 function handleSelectUsers(data) {
-  const { allNodes } = data;
+  const { allNodes, keysOnly = false } = data;
   
   if (!Array.isArray(allNodes) || allNodes.length === 0) {
     self.postMessage({
@@ -134,7 +134,7 @@ function handleSelectUsers(data) {
       self.postMessage({
         type: 'selectUsersCompleted',
         userKeys: userNodes.map(node => node.key),
-        userNodes
+        userNodes: keysOnly ? [] : userNodes
       });
       return;
     }
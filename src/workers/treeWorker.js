@@ -1,573 +1,411 @@
 /**
  * 处理树数据和操作的Web Worker
- * 负责搜索、节点状态更新等计算密集型任务
- * 优化大数据量树结构的性能表现
+ * 负责可见节点计算、搜索、节点状态更新等计算密集型任务
+ * 消息格式见 treeWorkerProtocol.js，树的结构和状态保存在 treeBuffer.js 描述的缓冲区中
  */
 
-// 全局状态
-let nodeMap = new Map();
-let visibilityCache = new Map();
+import { PROTOCOL_VERSION, MessageType, MESSAGE_PRIORITY, createReply, createErrorReply } from '../utils/treeWorkerProtocol.js';
+import { buildTreeIndex, insertTreeIndexRange, removeTreeIndexRange, spliceLarge } from '../utils/treeCore.js';
+import {
+  NODE_EXPANDED,
+  NODE_FILTERED_OUT,
+  createTreeBuffer,
+  getTreeBufferViews,
+  isSharedTreeBuffer,
+  writeTreeBufferRange,
+  shiftTreeBuffer,
+  setTreeBufferVersion,
+  setNodeFlag,
+  computeVisibleOrder,
+  readVisibleLayout,
+  copyVisibleLayout,
+  getViewportRange
+} from '../utils/treeBuffer.js';
+import { createPinyinIndex } from '../utils/pinyin.js';
+import { createSearchMatcher, createSearchIndex, getSearchCandidates, compareMatches } from '../utils/searchMatcher.js';
+
+const NODE_HEIGHT = 40; // 默认节点高度，节点携带rowHeight时以rowHeight为准
+// 缓冲区容量不足时按节点数的倍数扩容，之后的插入可以原地完成
+const BUFFER_GROWTH_FACTOR = 1.5;
+
+// 先序排列的节点记录（只有键、父节点、展开状态、行高和搜索字段）、节点映射和树索引
 let flattenedData = [];
-const NODE_HEIGHT = 40; // 与主线程保持一致
-
-// 增加优先级处理标志
-let isProcessingHighPriority = false;
-
-// 消息队列和处理状态
+let nodeMap = new Map();
+let treeIndex = buildTreeIndex(flattenedData);
+// 树状态缓冲区的视图，以及缓冲区是否与主线程共享
+let views = getTreeBufferViews(createTreeBuffer(0, { shared: false }));
+let shared = false;
+// 拼音索引，拼音条目在精确匹配候选节点时按需生成，随节点删除同步
+const pinyinIndex = createPinyinIndex();
+// 倒排n-gram索引，初始化时构建一次，随节点增删改同步
+const searchIndex = createSearchIndex();
+// 上一次搜索匹配的节点ID，再次搜索时只需重置这些节点
+let matchedIds = [];
+// 搜索过滤保留的节点ID，为null时不过滤，由主线程按searchMode计算后下发；重建缓冲区时用于恢复过滤状态
+let filterKeys = null;
+
+// 等待处理的normal和low优先级请求
 let messageQueue = [];
 let isProcessing = false;
 
+// 读取节点行高
+const getRowHeight = node => node.rowHeight || NODE_HEIGHT;
+
+// 请求在队列中的优先级，low排在所有normal请求之后
+const getQueuePriority = request => (
+  request.priority === 'low' ? 0 : MESSAGE_PRIORITY[request.type] || 1
+);
+
 /**
- * 将消息添加到队列中，按优先级排序
- * @param {Object} message 消息对象
- * @param {number} priority 优先级(0-10)，数字越大优先级越高
+ * Worker主处理函数
+ * 取消请求和高优先级请求直接处理，其他请求按优先级排队
  */
-function queueMessage(message, priority = 0) {
-  messageQueue.push({ message, priority });
-  messageQueue.sort((a, b) => b.priority - a.priority);
-  
-  if (!isProcessing) {
-    processNextMessage();
+self.onmessage = function(e) {
+  const request = e.data;
+
+  if (!request || request.v !== PROTOCOL_VERSION) {
+    self.postMessage(createErrorReply(request || {}, new Error(`不支持的协议版本: ${request?.v}`)));
+    return;
   }
+
+  if (request.type === MessageType.CANCEL) {
+    self.postMessage(createReply(request, { cancelled: cancelQueuedRequest(request.payload?.id) }));
+  } else if (request.priority === 'high') {
+    handleRequest(request);
+  } else {
+    messageQueue.push({ request, priority: getQueuePriority(request) });
+    // 排序是稳定的，同优先级的请求保持先后顺序
+    messageQueue.sort((a, b) => b.priority - a.priority);
+    if (!isProcessing) processNextMessage();
+  }
+};
+
+/**
+ * 从队列中移除尚未处理的请求，被移除的请求不再应答
+ * @param {number} id 请求ID
+ * @returns {boolean} 是否移除成功，请求已处理或正在处理时返回false
+ */
+function cancelQueuedRequest(id) {
+  const index = messageQueue.findIndex(item => item.request.id === id);
+  if (index === -1) return false;
+
+  messageQueue.splice(index, 1);
+  return true;
 }
 
 /**
- * 处理队列中的下一条消息
+ * 处理队列中的下一条请求，每条请求之间让出执行权
  */
 function processNextMessage() {
   if (messageQueue.length === 0) {
     isProcessing = false;
     return;
   }
-  
+
   isProcessing = true;
-  const { message } = messageQueue.shift();
-  
-  // 处理消息
-  handleWorkerMessage(message);
-  
-  // 使用setTimeout确保不阻塞其他操作
-  setTimeout(() => {
-    processNextMessage();
-  }, 0);
+  const { request } = messageQueue.shift();
+  handleRequest(request);
+
+  setTimeout(processNextMessage, 0);
 }
 
 /**
- * Worker主处理函数
+ * 执行请求并应答，处理出错时应答失败信息
+ * @param {Object} request 请求消息
  */
-self.onmessage = function(e) {
-  // 高优先级消息直接处理，其他消息进入队列
-  if (e.data.priority === 'high') {
-    handleWorkerMessage(e);
-    } else {
-    // 根据消息类型设置优先级
-    let priority = 0;
-    switch (e.data.type) {
-      case 'updateVisibleNodes':
-        priority = 8; // 可见节点更新优先级高
-        break;
-      case 'search':
-        priority = 5; // 搜索优先级中等
-        break;
-      case 'toggleNode':
-        priority = 7; // 节点展开/折叠优先级较高
-        break;
-      case 'batchUpdate':
-        priority = 3; // 批量更新优先级较低
-        break;
-      default:
-        priority = 1;
-}
-    queueMessage(e, priority);
+function handleRequest(request) {
+  try {
+    const result = dispatch(request.type, request.payload || {});
+    // 可见节点序列的副本转移给主线程，不再复制
+    const transfer = result?.layout ? [result.layout.order.buffer, result.layout.offsets.buffer] : [];
+    self.postMessage(createReply(request, result), transfer);
+  } catch (error) {
+    console.error('Worker处理请求失败:', error);
+    self.postMessage(createErrorReply(request, error));
   }
-};
+}
 
 /**
- * 处理Worker消息
+ * 按消息类型分发请求
+ * @param {string} type 消息类型
+ * @param {Object} payload 参数
+ * @returns {Object} 应答结果
  */
-function handleWorkerMessage(e) {
-  const { type, priority = 'normal' } = e.data;
-  
-  // 高优先级任务处理
-  if (priority === 'high') {
-    isProcessingHighPriority = true;
-  }
-  
-  let flattenedData, scrollTop, viewportHeight, buffer, nodeId, expanded, searchTerm, updatedNodes, nodeIds, checked;
-  let visibleNodes, totalHeight, visibleCount, matchResult, searchMode;
-
+function dispatch(type, payload) {
   switch (type) {
-    case 'initialize':
-      flattenedData = e.data.flattenedData;
-      initializeData(flattenedData);
-      break;
-
-    case 'updateVisibleNodes':
-      scrollTop = e.data.scrollTop;
-      viewportHeight = e.data.viewportHeight;
-      buffer = e.data.buffer;
-      
-      // 使用高性能计算模式
-      if (priority === 'high' || !isProcessingHighPriority) {
-        const result = calculateVisibleNodes(
-          scrollTop,
-          viewportHeight,
-          NODE_HEIGHT,
-          buffer
-        );
-        
-        visibleNodes = result.visibleNodes;
-        totalHeight = result.totalHeight;
-        visibleCount = result.visibleCount;
-        
-        self.postMessage({ 
-          type: 'visibleNodesUpdated', 
-          visibleNodes, 
-          totalHeight,
-          visibleCount,
-          scrollTop // 返回请求时的滚动位置，便于UI判断是否仍然有效
-        });
-      }
-      break;
-
-    case 'toggleNode':
-      nodeId = e.data.nodeId;
-      expanded = e.data.expanded;
-      toggleNodeExpanded(nodeId, expanded);
-      break;
-
-    case 'search':
-      searchTerm = e.data.searchTerm;
-      searchMode = e.data.mode || 'complete';
-      matchResult = searchNodes(searchTerm, searchMode);
-      
-      // 发送搜索结果
-      self.postMessage({ 
-        type: 'searchComplete', 
-        result: matchResult,
-        mode: searchMode
-      });
-      break;
-      
-    case 'updateNodes':
-      updatedNodes = e.data.updatedNodes;
-      updateNodes(updatedNodes);
-      break;
-      
-    case 'batchUpdate':
-      nodeIds = e.data.nodeIds;
-      checked = e.data.checked;
-      batchUpdateNodes(nodeIds, checked);
-      break;
-  }
+    case MessageType.INITIALIZE:
+      return initializeData(payload.nodes, payload.buffer);
 
-  // 重置高优先级标志
-  if (priority === 'high') {
-    isProcessingHighPriority = false;
-  }
-}
+    case MessageType.UPDATE_VISIBLE_NODES:
+      return calculateViewport(payload.scrollTop, payload.viewportHeight, payload.overscan);
 
-/**
- * 批量更新节点状态
- * @param {Array} nodeIds 需要更新的节点ID数组
- * @param {boolean} checked 选中状态
- */
-function batchUpdateNodes(nodeIds, checked) {
-  if (!Array.isArray(nodeIds) || nodeIds.length === 0) return;
-  
-  // 分批处理，每批500个节点
-  const batchSize = 500;
-  const batches = [];
-  
-  for (let i = 0; i < nodeIds.length; i += batchSize) {
-    batches.push(nodeIds.slice(i, i + batchSize));
-  }
-  
-  // 处理第一批
-  processBatch(0);
-  
-  function processBatch(batchIndex) {
-    if (batchIndex >= batches.length) {
-      // 所有批次处理完成，发送完成消息
-      self.postMessage({
-        type: 'batchUpdateCompleted',
-        nodeIds,
-        checked,
-        totalProcessed: nodeIds.length
-      });
-      return;
-    }
-    
-    const currentBatch = batches[batchIndex];
-    
-    // 更新当前批次的节点
-    currentBatch.forEach(nodeId => {
-      const node = nodeMap.get(nodeId);
-      if (node) {
-        node.checked = checked;
-      }
-    });
-    
-    // 如果不是最后一批，发送进度消息
-    if (batchIndex < batches.length - 1) {
-      self.postMessage({
-        type: 'batchUpdateProgress',
-        processed: (batchIndex + 1) * batchSize,
-        total: nodeIds.length
-      });
-    }
-    
-    // 使用setTimeout处理下一批，避免阻塞
-    setTimeout(() => {
-      processBatch(batchIndex + 1);
-    }, 0);
+    case MessageType.TOGGLE_NODE:
+      return toggleNodeExpanded(payload.nodeId, payload.expanded);
+
+    case MessageType.UPDATE_NODES:
+      return updateNodes(payload.nodes);
+
+    case MessageType.INSERT_NODES:
+      return insertNodes(payload.beforeId, payload.nodes, payload.version);
+
+    case MessageType.REMOVE_NODES:
+      return removeNodes(payload.nodeIds, payload.version);
+
+    case MessageType.SET_FILTER:
+      return setVisibleFilter(payload.nodeIds);
+
+    case MessageType.SEARCH:
+      return searchNodes(payload.term);
+
+    default:
+      throw new Error(`未知的消息类型: ${type}`);
   }
 }
 
 /**
  * 初始化Worker数据
- * @param {Array} data 扁平化的树节点数据
+ * @param {Array} nodes 先序排列的节点记录
+ * @param {ArrayBuffer|SharedArrayBuffer} buffer 主线程写好的树状态缓冲区
+ * @returns {Object} 布局
  */
-function initializeData(flattenedData) {
-  console.time('worker:initialize');
-  nodeMap.clear();
-  visibilityCache.clear();
-
-  // 优化：批量处理初始数据
-  flattenedData.forEach(node => {
-    nodeMap.set(node.id, node);
-  });
-
-  console.timeEnd('worker:initialize');
-
-  // 计算初始可见节点和总高度
-  const initialHeight = calculateTotalHeight();
-  
-  // 立即返回初始化成功消息和总高度
-  self.postMessage({
-    type: 'initialized',
-    success: true,
-    totalHeight: initialHeight.totalHeight,
-    visibleCount: initialHeight.visibleCount
-  });
-  
-  // 额外的优化：立即计算初始可见节点并返回，避免UI空白时间
-  const initialNodes = calculateInitialVisibleNodes();
-  
-  // 延迟一帧后发送初始可见节点，确保UI能立即响应初始化完成事件
-  setTimeout(() => {
-    self.postMessage({
-      type: 'visibleNodesUpdated',
-      visibleNodes: initialNodes.visibleNodes,
-      totalHeight: initialNodes.totalHeight,
-      visibleCount: initialNodes.visibleCount
-    });
-  }, 0);
+function initializeData(nodes, buffer) {
+  flattenedData = Array.isArray(nodes) ? nodes : [];
+  nodeMap = new Map(flattenedData.map(node => [node.key, node]));
+  treeIndex = buildTreeIndex(flattenedData);
+  views = getTreeBufferViews(buffer);
+  shared = isSharedTreeBuffer(buffer);
+  filterKeys = null;
+  pinyinIndex.clear();
+  searchIndex.build(flattenedData);
+  matchedIds = [];
+
+  return refreshLayout();
 }
 
 /**
- * 计算初始可见节点（无需滚动位置信息）
- * @returns {Object} 可见节点和总高度
+ * 展开状态、过滤条件或树结构变化后重新计算可见节点序列
+ * @param {Object} extra 合并到结果中的字段
+ * @returns {Object} 布局，不共享内存时附带可见节点序列的副本
  */
-function calculateInitialVisibleNodes() {
-  console.time('worker:initialVisibleNodes');
-  
-  const visibleNodes = [];
-  let accumulatedHeight = 0;
-  let currentIndex = 0;
-  
-  // 获取根节点和前几层可见节点
-  const maxInitialNodes = 20; // 限制初始返回的节点数量，避免传输过多数据
-  
-  for (const [id, node] of nodeMap.entries()) {
-    const isVisible = isNodeVisible(node);
-    
-    if (isVisible) {
-      const offsetTop = accumulatedHeight;
-      
-      // 只返回初始可见范围内的节点
-      if (currentIndex < maxInitialNodes) {
-        visibleNodes.push({
-          ...node,
-          offsetTop,
-          index: currentIndex
-        });
-      }
-      
-      accumulatedHeight += NODE_HEIGHT;
-      currentIndex++;
-      
-      // 达到最大初始节点数量时停止
-      if (currentIndex >= maxInitialNodes) {
-        break;
-      }
-    }
-  }
-  
-  console.timeEnd('worker:initialVisibleNodes');
-  
-  return {
-    visibleNodes,
-    totalHeight: accumulatedHeight,
-    visibleCount: currentIndex
-  };
+function refreshLayout(extra = {}) {
+  const result = { ...computeVisibleOrder(views), ...extra };
+  if (!shared) result.layout = copyVisibleLayout(views);
+  return result;
 }
 
 /**
- * 更新节点数据
- * @param {Array} updatedNodes 需要更新的节点数组
+ * 节点增删后平移缓冲区中其后节点的状态和行高，插入的节点从节点记录写入，并记录主线程的结构版本号
+ * 插入时容量不足才换用更大的缓冲区
+ * @param {number} position 插入或删除的位置
+ * @param {number} delta 插入的节点数，删除时为负数
+ * @param {number} version 主线程的结构版本号
+ * @returns {Object} 布局，共享内存换用新缓冲区时附带该缓冲区
  */
-function updateNodes(updatedNodes) {
-  if (!Array.isArray(updatedNodes) || updatedNodes.length === 0) return;
-  
-  // 更新节点
-  updatedNodes.forEach(node => {
-    if (nodeMap.has(node.id)) {
-      // 更新现有节点
-      const existingNode = nodeMap.get(node.id);
-      nodeMap.set(node.id, { ...existingNode, ...node });
-      
-      // 更新扁平化数据中的节点
-      const index = flattenedData.findIndex(item => item.id === node.id);
-      if (index !== -1) {
-        flattenedData[index] = { ...flattenedData[index], ...node };
-      }
-    } else {
-      // 添加新节点
-      nodeMap.set(node.id, node);
-      flattenedData.push(node);
-      }
-  });
-  
-  // 清除可见性缓存
-  visibilityCache.clear();
-  
-  // 重新计算高度并通知主线程
-  const { totalHeight, visibleCount } = calculateTotalHeight();
-  self.postMessage({
-    type: 'nodesUpdated',
-    totalHeight,
-    visibleCount
-  });
+function applyStructureChange(position, delta, version) {
+  const source = views;
+  let buffer = null;
+  if (treeIndex.size > source.capacity) {
+    buffer = createTreeBuffer(treeIndex.size, {
+      shared,
+      capacity: Math.ceil(treeIndex.size * BUFFER_GROWTH_FACTOR)
+    });
+    views = getTreeBufferViews(buffer);
+  }
+
+  shiftTreeBuffer(source, views, treeIndex, position, delta);
+  if (delta > 0) {
+    writeTreeBufferRange(views, flattenedData, position, position + delta, { nodeHeight: getRowHeight, filterKeys });
+  }
+  if (version != null) setTreeBufferVersion(views, version);
+
+  return refreshLayout(shared && buffer ? { buffer } : {});
 }
 
 /**
- * 计算可见节点
+ * 计算视口对应的可见节点索引范围
  * @param {number} scrollTop 滚动位置
  * @param {number} viewportHeight 可视区域高度
- * @param {number} nodeHeight 节点高度
- * @param {number} buffer 缓冲区大小
- * @returns {Object} 可见节点和总高度
+ * @param {number} overscan 视口上下额外渲染的节点数
+ * @returns {Object} 索引范围、修订号、总高度和可见节点数
  */
-function calculateVisibleNodes(scrollTop, viewportHeight, nodeHeight, buffer) {
-  const visibleNodes = [];
-  let accumulatedHeight = 0;
-  let currentIndex = 0;
-  
-  // 优化：预计算开始和结束索引范围
-  const startPosition = Math.max(0, scrollTop - (buffer * nodeHeight));
-  const endPosition = scrollTop + viewportHeight + (buffer * nodeHeight);
-  
-  // 优化：使用二分查找快速定位开始位置
-  let startIndex = 0;
-  let visibleCount = 0;
-  
-  // 遍历所有节点，计算可见性和位置
-  for (const [id, node] of nodeMap.entries()) {
-    const isVisible = isNodeVisible(node);
-
-    if (isVisible) {
-      const offsetTop = accumulatedHeight;
-      visibleCount++;
-
-      // 检查节点是否在可视区域内（包括缓冲区）
-      if (offsetTop >= startPosition && offsetTop <= endPosition) {
-        visibleNodes.push({
-          ...node,
-          offsetTop,
-          index: currentIndex
-        });
-      }
-
-      accumulatedHeight += nodeHeight;
-      currentIndex++;
-    }
-  }
+function calculateViewport(scrollTop = 0, viewportHeight = 0, overscan = 10) {
+  const { offsets, count, revision } = readVisibleLayout(views);
 
   return {
-          visibleNodes,
-    totalHeight: accumulatedHeight,
-    visibleCount
+    ...getViewportRange(offsets, { scrollTop, viewportHeight, overscan }),
+    revision,
+    totalHeight: offsets[count],
+    visibleCount: count,
+    scrollTop // 返回请求时的滚动位置，便于UI判断是否仍然有效
   };
-    }
-    
-/**
- * 节点可见性判断（带缓存）
- * @param {Object} node 节点对象
- * @returns {boolean} 是否可见
- */
-function isNodeVisible(node) {
-  if (visibilityCache.has(node.id)) {
-    return visibilityCache.get(node.id);
-  }
-
-  // 根节点总是可见
-  if (!node.parentId) {
-    visibilityCache.set(node.id, true);
-    return true;
-    }
-    
-  // 递归检查父节点展开状态
-  let currentNode = node;
-  let isVisible = true;
-
-  while (currentNode.parentId) {
-    const parent = nodeMap.get(currentNode.parentId);
-    if (!parent || !parent.expanded) {
-      isVisible = false;
-      break;
-    }
-    currentNode = parent;
-  }
-
-  visibilityCache.set(node.id, isVisible);
-  return isVisible;
 }
 
 /**
  * 切换节点展开状态
  * @param {string} nodeId 节点ID
  * @param {boolean} expanded 是否展开
- * @returns {boolean} 操作是否成功
+ * @returns {Object} 节点的新状态和布局
  */
 function toggleNodeExpanded(nodeId, expanded) {
-  const node = nodeMap.get(nodeId);
-  if (!node) return false;
+  const position = treeIndex.positions.get(nodeId);
+  if (position === undefined) throw new Error(`节点不存在: ${nodeId}`);
+
+  flattenedData[position].expanded = expanded;
+  setNodeFlag(views, position, NODE_EXPANDED, expanded);
+  return { nodeId, expanded, ...refreshLayout() };
+}
+
+/**
+ * 更新节点字段，只合并已存在的节点，新节点通过insertNodes加入
+ * @param {Array} nodes 需要更新的节点（可以只包含变化的字段和key/id）
+ * @returns {Object} 布局
+ */
+function updateNodes(nodes) {
+  if (Array.isArray(nodes)) {
+    nodes.forEach(patch => {
+      const key = patch.key ?? patch.id;
+      const node = nodeMap.get(key);
+      if (!node) return;
+
+      Object.assign(node, patch);
+      const position = treeIndex.positions.get(key);
+      if ('expanded' in patch) setNodeFlag(views, position, NODE_EXPANDED, !!patch.expanded);
+      if (patch.rowHeight) views.rowHeights[position] = patch.rowHeight;
+      // 只有可搜索的字段变化时才会重建该节点的索引
+      searchIndex.update(node);
+    });
+  }
 
-  node.expanded = expanded;
-  visibilityCache.clear(); // 清除可见性缓存
+  return refreshLayout();
+}
+
+/**
+ * 插入节点，新节点在先序数组中是连续的一段
+ * @param {string|null} beforeId 插入位置之后的节点ID，为空时追加到末尾
+ * @param {Array} nodes 先序排列的新节点记录
+ * @param {number} version 插入后主线程的结构版本号
+ * @returns {Object} 布局
+ */
+function insertNodes(beforeId, nodes, version) {
+  if (!Array.isArray(nodes) || nodes.length === 0) return refreshLayout();
 
-  // 计算更新后的高度和可见节点
-  const { totalHeight, visibleCount } = calculateTotalHeight();
+  let position = beforeId == null ? undefined : treeIndex.positions.get(beforeId);
+  if (position === undefined) position = flattenedData.length;
 
-  self.postMessage({
-    type: 'nodeToggled',
-    nodeId,
-    expanded,
-    totalHeight,
-    visibleCount,
+  spliceLarge(flattenedData, position, 0, nodes);
+  nodes.forEach(node => {
+    nodeMap.set(node.key, node);
+    searchIndex.add(node);
   });
+  insertTreeIndexRange(treeIndex, flattenedData, position, nodes.length);
 
-  return true;
+  return applyStructureChange(position, nodes.length, version);
 }
 
 /**
- * 计算整个树的高度
- * @returns {Object} 总高度和可见节点数
+ * 删除节点，调用方需传入整个子树的节点ID，这些节点在先序数组中是连续的一段
+ * @param {Array} nodeIds 需要删除的节点ID
+ * @param {number} version 删除后主线程的结构版本号
+ * @returns {Object} 布局
  */
-function calculateTotalHeight() {
-  let visibleCount = 0;
+function removeNodes(nodeIds, version) {
+  const positions = Array.isArray(nodeIds)
+    ? nodeIds.map(id => treeIndex.positions.get(id)).filter(position => position !== undefined)
+    : [];
+  if (positions.length === 0) return refreshLayout();
+
+  const position = positions.reduce((min, value) => Math.min(min, value));
+  const removed = spliceLarge(flattenedData, position, positions.length);
+  removed.forEach(node => {
+    nodeMap.delete(node.key);
+    pinyinIndex.remove(node.key);
+    searchIndex.remove(node.key);
+  });
+  removeTreeIndexRange(treeIndex, flattenedData, position, removed);
 
-  for (const [id, node] of nodeMap.entries()) {
-    if (isNodeVisible(node)) {
-      visibleCount++;
-              }
-  }
+  return applyStructureChange(position, -removed.length, version);
+}
 
-  return {
-    totalHeight: visibleCount * NODE_HEIGHT,
-    visibleCount
-  };
-            }
+/**
+ * 设置搜索过滤，不在过滤集合中的节点及其子树不可见
+ * @param {Array|null} nodeIds 保留的节点ID，为null时取消过滤
+ * @returns {Object} 布局
+ */
+function setVisibleFilter(nodeIds) {
+  filterKeys = Array.isArray(nodeIds) ? new Set(nodeIds) : null;
+  flattenedData.forEach((node, position) => {
+    setNodeFlag(views, position, NODE_FILTERED_OUT, !!filterKeys && !filterKeys.has(node.key));
+  });
+  return refreshLayout();
+}
 
 /**
  * 搜索节点
+ * 先用倒排索引筛选候选节点再逐个精确匹配，只重置上一次匹配的节点，不遍历整棵树
  * @param {string} term 搜索关键字
- * @param {string} mode 搜索模式: 'immediate'(即时) 或 'complete'(完整)
  * @returns {Object} 匹配结果
  */
-function searchNodes(term, mode = 'complete') {
+function searchNodes(term) {
   // 确保term是字符串
   const searchTerm = String(term || '');
-  
+  // 支持字段限定、排除、引号、通配符和OR语法，没有有效查询项时返回null
+  const matchNode = createSearchMatcher(searchTerm, { pinyinIndex });
+
+  // 重置先前的匹配状态，不修改节点展开状态
+  matchedIds.forEach(id => {
+    const node = nodeMap.get(id);
+    if (node) node.matched = false;
+  });
+  matchedIds = [];
+
   // 如果搜索词为空，清除所有匹配状态
-  if (!searchTerm || searchTerm.trim() === '') {
-    // 重置搜索状态而不修改节点展开状态
-    for (const [id, node] of nodeMap.entries()) {
-      if (node.matched) {
-        node.matched = false;
-      }
-    }
-    
-    // 不清除可见性缓存，避免重新计算所有节点可见性
-    return { 
-      matchCount: 0, 
+  if (!matchNode) {
+    return {
+      matchCount: 0,
       matches: [],
+      results: [],
       expandedKeys: [],
       searchTerm: '' // 明确标记这是一个清除搜索的操作
     };
   }
 
-  const termLower = searchTerm.toLowerCase();
-  const matches = [];
-  const expandedKeys = new Set();
+  // 无法用索引缩小范围时（如只有排除项）遍历所有节点
+  const candidateIds = getSearchCandidates(searchTerm, searchIndex, { pinyinIndex });
+  const candidates = candidateIds
+    ? candidateIds.map(id => nodeMap.get(id)).filter(Boolean)
+    : flattenedData;
+  const results = [];
 
-  // 确定处理的节点数量
-  const nodesToProcess = mode === 'immediate' 
-    ? Math.min(1000, nodeMap.size) // 即时模式处理较少节点
-    : nodeMap.size; // 完整模式处理所有节点
-  
-  let processedCount = 0;
-  
   // 标记匹配的节点
-  for (const [id, node] of nodeMap.entries()) {
-    // 限制处理节点数量，提高即时搜索响应速度
-    if (mode === 'immediate' && processedCount >= nodesToProcess) break;
-    processedCount++;
-    
-    // 重置先前的匹配状态
-    const wasMatched = node.matched;
-    node.matched = false;
-          
-    // 只搜索员工节点，不搜索部门节点
-    if (node.type === 'user') {
-      const nodeTitle = (node.title || node.name || '').toLowerCase();
-      const nodeEmail = (node.email || '').toLowerCase();
-      const nodePosition = (node.position || '').toLowerCase();
-      const nodeRealName = (node.realName || '').toLowerCase();
-      
-      if (
-        nodeTitle.includes(termLower) ||
-        nodeEmail.includes(termLower) ||
-        nodePosition.includes(termLower) ||
-        nodeRealName.includes(termLower)
-      ) {
-        node.matched = true;
-        matches.push(id);
-        
-        // 收集父节点路径，用于展开
-        let parentId = node.parentId;
-        while (parentId) {
-          expandedKeys.add(parentId);
-          const parent = nodeMap.get(parentId);
-          if (parent) {
-            parentId = parent.parentId;
-          } else {
-            break;
-          }
-        }
-      }
-    }
+  for (const node of candidates) {
+    // 搜索多个字段并评分
+    const match = matchNode(node);
+    if (!match) continue;
+
+    node.matched = true;
+    matchedIds.push(node.key);
+    results.push({ id: node.key, score: match.score, matchedField: match.matchedField, ranges: match.ranges });
   }
 
-  // 清除可见性缓存，确保重新计算节点可见性
-  visibilityCache.clear();
+  // 按得分从高到低排列，得分相同时按索引顺序，主线程会按树中顺序整理匹配键
+  results.sort(compareMatches);
+  const matches = results.map(result => result.id);
+
+  // 收集需要展开的祖先节点，由主线程统一更新展开状态后再同步回来
+  const expandedKeys = new Set();
+  matches.forEach(matchId => {
+    let parentId = nodeMap.get(matchId)?.parentId;
+    while (parentId != null && !expandedKeys.has(parentId)) {
+      expandedKeys.add(parentId);
+      parentId = nodeMap.get(parentId)?.parentId;
+    }
+  });
 
   return {
     matchCount: matches.length,
     matches,
+    results,
     expandedKeys: Array.from(expandedKeys),
-    searchTerm,
-    mode
+    searchTerm // 包含搜索词，以便主线程判断
   };
-} 
\ No newline at end of file
+}